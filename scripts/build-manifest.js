@@ -0,0 +1,104 @@
+/**
+ * Builds public/index.json by scanning public/<location>/<month>/level*_response.csv
+ * and public/<location>/roster.csv.
+ *
+ * Usage: node scripts/build-manifest.js
+ *
+ * Labels already present in an existing index.json are kept, so display names
+ * can be edited by hand and survive the next regeneration.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseMonthId } from '../src/lib/manifest.js'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const PUBLIC_DIR = path.join(ROOT, 'public')
+const MANIFEST_PATH = path.join(PUBLIC_DIR, 'index.json')
+
+function defaultLevelLabel(level) {
+  return level === 0 ? 'PB' : `Level ${level}`
+}
+
+function readPrevious() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'))
+  } catch {
+    return { levels: [], locations: [] }
+  }
+}
+
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .sort()
+}
+
+function build() {
+  const previous = readPrevious()
+  const prevLevelLabels = Object.fromEntries((previous.levels || []).map(l => [l.level, l.label]))
+  const prevLocations = Object.fromEntries((previous.locations || []).map(l => [l.id, l]))
+
+  const seenLevels = new Set()
+  const locations = []
+
+  for (const locationId of listDirs(PUBLIC_DIR)) {
+    const months = []
+
+    for (const monthId of listDirs(path.join(PUBLIC_DIR, locationId))) {
+      const dir = path.join(PUBLIC_DIR, locationId, monthId)
+      const files = fs.readdirSync(dir)
+      const levels = files
+        .map(f => f.match(/^level(\d+)_response\.csv$/))
+        .filter(Boolean)
+        .map(m => Number(m[1]))
+        .sort((a, b) => a - b)
+        .map(level => {
+          seenLevels.add(level)
+          const metaFile = `meta_level${level}.csv`
+          const rubricFile = `rubric_level${level}.json`
+          const entry = {
+            level,
+            response: `/${locationId}/${monthId}/level${level}_response.csv`,
+          }
+          if (files.includes(metaFile)) entry.meta = `/${locationId}/${monthId}/${metaFile}`
+          if (files.includes(rubricFile)) entry.rubric = `/${locationId}/${monthId}/${rubricFile}`
+          return entry
+        })
+
+      if (!levels.length) continue
+
+      const prevMonth = prevLocations[locationId]?.months?.find(m => m.id === monthId)
+      const { order, label } = parseMonthId(monthId)
+      months.push({ id: monthId, label: prevMonth?.label || label, order, levels })
+    }
+
+    if (!months.length) continue
+
+    months.sort((a, b) => a.order - b.order || a.id.localeCompare(b.id))
+    const location = {
+      id: locationId,
+      label: prevLocations[locationId]?.label || locationId,
+      recentMonth: months[months.length - 1].id,
+      months: months.map(({ order, ...m }) => m),
+    }
+    // Enrolled students, for roster reconciliation
+    if (fs.existsSync(path.join(PUBLIC_DIR, locationId, 'roster.csv'))) location.roster = `/${locationId}/roster.csv`
+    locations.push(location)
+  }
+
+  const levels = [...seenLevels]
+    .sort((a, b) => a - b)
+    .map(level => ({ level, label: prevLevelLabels[level] || defaultLevelLabel(level) }))
+
+  const defaultLocation = locations.some(l => l.id === previous.defaultLocation)
+    ? previous.defaultLocation
+    : locations[0]?.id || null
+
+  return { defaultLocation, levels, locations }
+}
+
+const manifest = build()
+fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n')
+console.log(`Wrote ${path.relative(ROOT, MANIFEST_PATH)}: ${manifest.locations.length} location(s), ${manifest.levels.length} level(s).`)
@@ -1,46 +1,80 @@
-import React, { useEffect, useMemo, useState } from 'react'
-import Papa from 'papaparse'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { Chart as ChartJS, BarElement, CategoryScale, LinearScale, Tooltip, Legend, ArcElement } from 'chart.js'
 import { Bar, Pie } from 'react-chartjs-2'
 import { Dialog } from '@headlessui/react'
-import { SunIcon, MoonIcon, XMarkIcon, ClipboardDocumentCheckIcon, CheckCircleIcon, BoltIcon } from '@heroicons/react/24/outline'
+import { SunIcon, MoonIcon, XMarkIcon, ClipboardDocumentCheckIcon, CheckCircleIcon, BoltIcon, FolderOpenIcon, Cog6ToothIcon, DocumentArrowDownIcon, EyeSlashIcon } from '@heroicons/react/24/outline'
+import { EMPTY_MANIFEST, loadManifest, findLocation, findMonth, findLevelEntry, recentMonthFor, levelLabel, monthLabel, resolveSelection } from './lib/manifest.js'
+import { buildMetaMap, extractScoreObj, splitGroups, totalScore, isHTMLText } from './lib/dataset.js'
+import { prettyNumber } from './lib/format.js'
+import { downloadBlob, downloadCSV, filePart } from './lib/download.js'
+import { loadLevelEntry, loadAllDatasets, runInWorker } from './lib/loader.js'
+import { LOCAL_LOCATION_ID, withLocalDataset, loadPersistedLocalFiles, persistLocalFiles, clearPersistedLocalFiles, readSource } from './lib/localData.js'
+import { EMPTY_ANALYTICS, DISTRIBUTION_LABELS, computeAnalytics } from './lib/analytics.js'
+import { buildSections, studentSectionScores, cohortSectionAverages } from './lib/sections.js'
+import { availableColumns, resolveLayout, layoutToSave, loadColumnLayout, saveColumnLayout, cellText, sortValue, compareValues } from './lib/columns.js'
+import { loadReferenceCohort, saveReferenceCohort, cohortPercents, computeStanding, formatZ } from './lib/standing.js'
+import { buildHistoryRecords, buildStudentIndex, studentDisplayName, SO_KEY } from './lib/history.js'
+import { loadFailureIssue } from './lib/validate.js'
+import { applyFilters, toggleFilter } from './lib/filters.js'
+import { loadPrivacyMode, savePrivacyMode, privacySalt, piiColumns, createMasker, anonymizeRow, attemptPseudonym } from './lib/privacy.js'
+import { URL_DEFAULTS, ALL_ROWS, readUrlState, buildUrlSearch, studentParam, findStudent } from './lib/urlState.js'
+import { buildWorkbook, downloadWorkbook } from './lib/workbook.js'
+import { buildReportCard, reportCardBlob, reportCardFileName, loadReportHeader, saveReportHeader } from './lib/reportCard.js'
+import { findDuplicateGroups, resolveDuplicates, attemptId, datasetKey, loadDuplicatePolicy, saveDuplicatePolicy, loadSplitNames, saveSplitNames, loadDuplicateOverrides, saveDuplicateOverrides } from './lib/duplicates.js'
+import { loadSavedRules, saveRules, rescoreResponses, rescoreDataset } from './lib/rescore.js'
+import { gradeKey, loadManualGrades, saveManualGrades, manualQuestions, questionPoints, applyManualGrades, gradesToCSVRows, mergeGradesCSV } from './lib/manualGrading.js'
+import { rubricFor, levelLabel as rubricLevelLabel } from './lib/rubric.js'
+import { loadExamWindows, saveExamWindows } from './lib/timeline.js'
+import { DEFAULT_POLICY, loadGradingPolicy, loadSavedPolicy, savePolicy, resolvePolicy, gradeResult } from './lib/grading.js'
+import { computePlacements, placementLevels, placementNotes } from './lib/placement.js'
+import { parseRoster, loadUploadedRosters, saveUploadedRoster, reconcileRoster } from './lib/roster.js'
+import LocalDataPanel from './components/LocalDataPanel.jsx'
+import ItemAnalysis from './components/ItemAnalysis.jsx'
+import SectionProfileChart from './components/SectionProfileChart.jsx'
+import StandingChart from './components/StandingChart.jsx'
+import StudentHistory from './components/StudentHistory.jsx'
+import ProgressView from './components/ProgressView.jsx'
+import CompareView from './components/CompareView.jsx'
+import GradingSettings from './components/GradingSettings.jsx'
+import RescoreView from './components/RescoreView.jsx'
+import DataHealthPanel from './components/DataHealthPanel.jsx'
+import DuplicatesView from './components/DuplicatesView.jsx'
+import ReportCardHeaderFields from './components/ReportCardHeaderFields.jsx'
+import BulkReportDialog from './components/BulkReportDialog.jsx'
+import FilterBuilder from './components/FilterBuilder.jsx'
+import ColumnChooser from './components/ColumnChooser.jsx'
+import ManualGradingView from './components/ManualGradingView.jsx'
+import QuestionExplorer from './components/QuestionExplorer.jsx'
+import TimelineView from './components/TimelineView.jsx'
+import RosterView from './components/RosterView.jsx'
 
 ChartJS.register(BarElement, CategoryScale, LinearScale, Tooltip, Legend, ArcElement)
 
-// Passing Percentage
-const PASSING_THRESHOLD = 50; // percentage
+const DEFAULT_LEVEL = 0
 
-// Updated LEVELS array to include 0 and map labels
-const LEVEL_CONFIG = [
-  { level: 0, label: 'PB' },
-  { level: 1, label: 'Level 1' },
-  { level: 2, label: 'Level 2' },
-  { level: 3, label: 'Level 3' },
-  { level: 4, label: 'Level 4' },
+// Tabs below the analytics cards
+const VIEWS = [
+  { id: 'students', label: 'Students' },
+  { id: 'items', label: 'Item analysis' },
+  { id: 'questions', label: 'Questions' },
+  { id: 'timeline', label: 'Timeline' },
+  { id: 'roster', label: 'Roster' },
+  { id: 'progress', label: 'Progress' },
+  { id: 'compare', label: 'Compare locations' },
+  { id: 'rescore', label: 'Re-scoring' },
+  { id: 'grading', label: 'Manual grading' },
+  { id: 'duplicates', label: 'Duplicates' },
 ]
-const LOCATIONS = ["AliJiwani", "Gulshan-e-Noor"];
-const DEFAULT_LEVEL = 0
-const DEFAULT_LOCATION= 'AliJiwani'
-
-const MONTHS = [
-   "November25",
-   "March26",
-];
-
-const RECENT_MONTH_PER_LOCATION = {
-  AliJiwani: "March26",
-  "Gulshan-e-Noor": "November25", // <-- Corrected
-};
-
-// Columns to display in the main table
-const MAIN_TABLE_KEYS = [
-  { label: 'Username', key: 'Username' },
-  { label: 'Total Score', key: 'Total score', numeric: true },
-  { label: 'Status', key: '__pass_fail__' }, // NEW COLUMN
-  { label: 'Identity Number', key: 'Identity Number (SO Number)' },
-  { label: 'Contact Number', key: 'Contact Number / Mobile Number' }
+
+// Which scores the dashboard shows: as recorded by the form or re-scored from the answer key
+const SCORE_SOURCES = [
+  { id: 'form', label: 'Form scores' },
+  { id: 'rescored', label: 'Re-scored' },
 ]
 
+// Stable fallback so memos keyed on the current overrides don't rerun every render
+const NO_OVERRIDES = {}
+
 function useDarkMode() {
   const getInitial = () => {
     //const ls = localStorage.getItem("dark");
@@ -64,225 +98,540 @@ function useDarkMode() {
   return [dark, setDark]
 }
 
-function parseCSV(text) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(text, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (r) => resolve(r.data),
-      error: (e) => reject(e),
-    })
-  })
-}
-
 /**
- * Standardizes text by removing extra spaces to ensure matching 
- * works between Response CSV and Meta CSV (which may have double spaces).
+ * Slice of a scrolling table's `count` rows that is on screen (plus
+ * `overscan` rows either side), with the padding that stands in for the
+ * rest. Rows are assumed to share one height, measured from a rendered
+ * `tr[data-row]`; cells don't wrap, so they do.
+ * `scrollRef` is a callback ref for the scrolling element, so the listener
+ * follows it when a view switch remounts the table.
  */
-function normalizeKey(str) {
-  if (!str) return ''
-  // Replace multiple spaces/newlines with a single space and trim
-  return String(str).replace(/\s+/g, ' ').trim()
+function useVirtualRows(count, overscan = 10) {
+  const [viewport, setViewport] = useState({ top: 0, height: 640, rowHeight: 49 })
+  const [el, setEl] = useState(null)
+  const active = count > 0
+
+  useEffect(() => {
+    if (!el || !active) return
+    const update = () => {
+      const row = el.querySelector('tr[data-row]')
+      setViewport(v => ({ top: el.scrollTop, height: el.clientHeight, rowHeight: row?.offsetHeight || v.rowHeight }))
+    }
+    update()
+    el.addEventListener('scroll', update, { passive: true })
+    window.addEventListener('resize', update)
+    return () => {
+      el.removeEventListener('scroll', update)
+      window.removeEventListener('resize', update)
+    }
+  }, [el, active])
+
+  const { top, height, rowHeight } = viewport
+  const start = Math.min(count, Math.max(0, Math.floor(top / rowHeight) - overscan))
+  const end = Math.min(count, Math.ceil((top + height) / rowHeight) + overscan)
+  return { start, end, padTop: start * rowHeight, padBottom: Math.max(0, count - end) * rowHeight, scrollRef: setEl }
 }
 
 /**
- * Robustly detects question groups based on [Score] and [Feedback] suffixes.
- * Returns an array of objects: { baseName, normalizedName, questionKey, scoreKey, feedbackKey }
+ * Loads every dataset in the manifest once `enabled` turns true, for views
+ * that look across test cycles. Reloads when the manifest or local files change.
  */
-function detectQuestionGroups(headers) {
-  const groups = []
-  
-  // Identify columns that look like score columns (ending in [Score] or [score])
-  const scoreCols = headers.filter(h => /\[score\]$/i.test(h.trim()))
-  
-  scoreCols.forEach(scoreKey => {
-    // Determine the base question text by stripping the suffix
-    const baseName = scoreKey.replace(/\s*\[score\]$/i, '')
-    
-    // Find the corresponding Question Column (should match baseName exactly or trimmed)
-    const questionKey = headers.find(h => h === baseName || h.trim() === baseName.trim())
-    
-    // Find the corresponding Feedback Column
-    const feedbackKey = headers.find(h => 
-      h.trim() === `${baseName} [Feedback]` || 
-      h.trim() === `${baseName} [feedback]` ||
-      (h.includes(baseName) && /\[feedback\]$/i.test(h.trim()))
-    )
-
-    if (questionKey) {
-      groups.push({
-        baseName, // Kept as is for display
-        normalizedName: normalizeKey(baseName), // Used for meta lookup
-        questionKey,
-        scoreKey,
-        feedbackKey
-      })
-    }
-  })
+function useAllDatasets(manifest, localFiles, enabled) {
+  const [state, setState] = useState({ loading: false, datasets: null, source: null })
+
+  useEffect(() => { setState({ loading: false, datasets: null, source: null }) }, [manifest])
+
+  useEffect(() => {
+    if (!enabled || state.datasets || state.loading || !manifest.locations.length) return
+    setState({ loading: true, datasets: null, source: manifest })
+    loadAllDatasets(manifest, localFiles).then(datasets => {
+      // Ignore results for a manifest that has since been replaced
+      setState(s => (s.source === manifest ? { loading: false, datasets, source: manifest } : s))
+    })
+  }, [enabled, manifest, localFiles, state.datasets, state.loading])
 
-  return groups
+  return state
 }
 
-function prettyNumber(n) {
-  if (n === null || n === undefined || n === '') return '-' 
-  const num = Number(n)
-  if (isNaN(num)) return n
-  return Math.round(num * 100) / 100
+const EMPTY_LEVEL_STATS = { items: [], distribution: DISTRIBUTION_LABELS.map(() => 0), pending: false, error: null }
+
+/**
+ * Loads a few manifest levels, `picks` ([{ location, month, entry }], null
+ * to load nothing), for views that need more than the selected level but
+ * not the whole manifest. Levels parsed before come from the loader's cache.
+ * `picks` should be memoized: a new array reloads.
+ */
+function usePickedDatasets(localFiles, picks) {
+  const [state, setState] = useState({ loading: false, datasets: null })
+
+  useEffect(() => {
+    if (!picks) {
+      setState({ loading: false, datasets: null })
+      return
+    }
+    let stale = false
+    setState({ loading: true, datasets: null })
+    Promise.all(picks.map(({ location, month, entry }) => loadLevelEntry(entry, localFiles)
+      .then(dataset => ({ location, month, level: entry.level, dataset }))
+      .catch(e => {
+        console.warn(`Skipping ${location}/${month} level ${entry.level}:`, e.message)
+        return null
+      })))
+      .then(datasets => { if (!stale) setState({ loading: false, datasets: datasets.filter(Boolean) }) })
+    return () => { stale = true }
+  }, [picks, localFiles])
+
+  return state
 }
 
-function extractScoreObj(v) {
-  if (!v) return { score: 0, max: 0 };
-  const m = String(v).match(/([\d.]+)\s*\/\s*([\d.]+)/);
-  if (m) {
-    return { score: Number(m[1]), max: Number(m[2]) };
-  }
-  const num = Number(v);
-  if (!isNaN(num)) return { score: num, max: null };
-  return { score: 0, max: 0 };
+/** Datasets with the current level's score source, manual grades and duplicate resolution applied. */
+function scoreDatasets(datasets, { scoreSource, rescoreRules, manualGrades, duplicatePolicy, duplicateOverrides, splitNames }) {
+  return datasets.map(d => {
+    const key = datasetKey(d.location, d.month, d.level)
+    const scored = scoreSource === 'rescored' ? rescoreDataset(d.dataset, rescoreRules) : d.dataset.responses
+    const rows = applyManualGrades(scored, d.dataset.questionGroups, manualGrades, key)
+    const kept = resolveDuplicates(rows, findDuplicateGroups(rows), duplicatePolicy, duplicateOverrides[key], splitNames)
+    return { ...d, dataset: { ...d.dataset, responses: kept } }
+  })
 }
 
 export default function App() {
-  const [level, setLevel] = useState(DEFAULT_LEVEL)
-  const [location, setLocation] = useState(DEFAULT_LOCATION);
-  const [month, setMonth] = useState(MONTHS[0]);
-
-  const [responses, setResponses] = useState([])
+  const [servedManifest, setServedManifest] = useState(EMPTY_MANIFEST)
+  const [manifestError, setManifestError] = useState(null)
+  const [localFiles, setLocalFiles] = useState({})
+  const [keepLocal, setKeepLocal] = useState(false)
+  const [showLocalPanel, setShowLocalPanel] = useState(false)
+  const [level, setLevel] = useState(null)
+  const [location, setLocation] = useState(null);
+  const [month, setMonth] = useState(null);
+
+  const [formResponses, setFormResponses] = useState([])
   const [meta, setMeta] = useState([])
   const [headers, setHeaders] = useState([])
   const [questionGroups, setQuestionGroups] = useState([])
+  const [rubric, setRubric] = useState(null) // Scoring rubric for open-ended questions, if the level has one
   const [dataError, setDataError] = useState(false) // New state for tracking data load failure
+  const [issues, setIssues] = useState([]) // Data quality issues of the loaded level
   
   const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState([])
+  const [columnLayout, setColumnLayout] = useState(null) // Saved column order/visibility for the level
+  const [manualGrades, setManualGrades] = useState({}) // Teacher scores for open-ended questions, from IndexedDB
+  const [filterCombine, setFilterCombine] = useState('and')
+  const [analyticsScope, setAnalyticsScope] = useState('all') // Whether the cards describe everyone or the filtered rows
   const [page, setPage] = useState(1)
   const [pageSize, setPageSize] = useState(12)
   const [sortBy, setSortBy] = useState('Total score')
   const [sortDir, setSortDir] = useState('desc')
   const [selectedStudent, setSelectedStudent] = useState(null)
+  const [view, setView] = useState('students')
+  const [filePolicy, setFilePolicy] = useState(DEFAULT_POLICY)
+  const [policy, setPolicy] = useState(() => loadSavedPolicy() || DEFAULT_POLICY)
+  const [policyEdited, setPolicyEdited] = useState(() => !!loadSavedPolicy())
+  const [showSettings, setShowSettings] = useState(false)
+  const [scoreSource, setScoreSource] = useState('form')
+  const [rescoreRules, setRescoreRules] = useState(loadSavedRules)
+  const [duplicatePolicy, setDuplicatePolicy] = useState(loadDuplicatePolicy)
+  const [splitNames, setSplitNames] = useState(loadSplitNames)
+  const [examWindows, setExamWindows] = useState(loadExamWindows) // Exam window per test cycle, for the timeline
+  const [referenceCohort, setReferenceCohort] = useState(loadReferenceCohort) // Also rank against every location's students
+  const [uploadedRosters, setUploadedRosters] = useState({}) // { [location]: { fileName, text } }, kept in IndexedDB
+  const [servedRoster, setServedRoster] = useState(null) // { location, text } of the manifest's roster.csv
+  const [duplicateOverrides, setDuplicateOverrides] = useState(loadDuplicateOverrides)
+  const [reportHeader, setReportHeader] = useState(loadReportHeader)
+  const [showReportHeader, setShowReportHeader] = useState(false)
+  const [showBulkReports, setShowBulkReports] = useState(false)
+  const [loadedKey, setLoadedKey] = useState(null) // Dataset the current responses belong to
+  const [levelLoading, setLevelLoading] = useState(false)
+  const loadController = useRef(null) // Aborts the level load in flight when the selection moves on
+  const [pendingStudent, setPendingStudent] = useState(null) // { key, param } from a link, opened once loaded
+  const [urlNotice, setUrlNotice] = useState(null)
+  // Set to 'replace' while applying state from the URL so restoring doesn't add history entries
+  const historyMode = useRef('replace')
+  const lastWritten = useRef(null)
   const [dark, setDark] = useDarkMode() 
+  const [privacyMode, setPrivacyMode] = useState(loadPrivacyMode)
+  const [salt] = useState(privacySalt)
+
+  // Served manifest plus the ad-hoc Local location built from dropped files
+  const manifest = useMemo(() => withLocalDataset(servedManifest, localFiles), [servedManifest, localFiles])
 
   useEffect(() => {
-    loadLevel(level)
-  }, [level, location, month])
+    // Restored local files must be in place before a link pointing at them is resolved
+    const restoredLocal = loadPersistedLocalFiles()
+      .then(files => {
+        if (!files) return {}
+        setLocalFiles(files)
+        setKeepLocal(true)
+        return files
+      })
+      .catch(e => {
+        console.warn('Could not restore local files:', e.message)
+        return {}
+      })
+
+    Promise.all([loadManifest(), restoredLocal])
+      .then(([m, files]) => {
+        setServedManifest(m)
+        setManifestError(null)
+        applyUrlState(readUrlState(), withLocalDataset(m, files))
+      })
+      .catch(e => {
+        console.error('Failed to load manifest:', e)
+        setManifestError(e.message)
+      })
+
+    loadManualGrades()
+      .then(setManualGrades)
+      .catch(e => console.warn('Could not load manual grades:', e.message))
+
+    loadUploadedRosters().then(setUploadedRosters)
+
+    loadGradingPolicy().then(p => {
+      setFilePolicy(p)
+      // Settings-panel edits take precedence over the file
+      if (!loadSavedPolicy()) setPolicy(p)
+    })
+  }, [])
 
   useEffect(() => {
-    const defaultMonth = RECENT_MONTH_PER_LOCATION[location] || MONTHS[0];
+    if (location === null || month === null || level === null) return
     loadLevel(level)
-    setMonth(defaultMonth);
-  }, [location])
+  }, [level, location, month, location === LOCAL_LOCATION_ID ? localFiles : null])
+
+  useEffect(() => {
+    const path = findLocation(manifest, location)?.roster
+    setServedRoster(null)
+    if (!path) return
+    readSource(path, localFiles)
+      .then(text => { if (text !== null && !isHTMLText(text)) setServedRoster({ location, text }) })
+      .catch(e => console.warn(`Roster ${path} failed to load.`, e.message))
+  }, [manifest, location])
+
+  // Back/forward restores the state recorded in the URL
+  useEffect(() => {
+    if (!manifest.locations.length) return
+    const onPopState = () => applyUrlState(readUrlState(), manifest)
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [manifest])
+
+  /**
+   * Applies state read from the URL (see urlState.js). Unknown
+   * location/month/level values snap to what exists, with a notice.
+   */
+  function applyUrlState(fromUrl, m) {
+    historyMode.current = 'replace'
+    const loc = fromUrl.location || m.defaultLocation
+    const requested = { location: loc, month: fromUrl.month || recentMonthFor(m, loc), level: fromUrl.level ?? DEFAULT_LEVEL }
+    const resolved = resolveSelection(m, requested)
+    const missing = ['location', 'month', 'level'].filter(k => fromUrl[k] !== null && fromUrl[k] !== resolved[k])
+    if (missing.length) {
+      const asked = missing.map(k => `${k} "${fromUrl[k]}"`).join(', ')
+      const shown = [levelLabel(m, resolved.level), monthLabel(m, resolved.location, resolved.month), findLocation(m, resolved.location)?.label].filter(Boolean).join(', ')
+      setUrlNotice(`This link asked for ${asked}, which is not available. Showing ${shown} instead.`)
+    } else {
+      setUrlNotice(null)
+    }
+    setLocation(resolved.location)
+    setMonth(resolved.month)
+    setLevel(resolved.level)
+    setSearch(fromUrl.search)
+    setFilters([])
+    setSortBy(fromUrl.sortBy)
+    setSortDir(fromUrl.sortDir)
+    setPage(fromUrl.page)
+    setPageSize(fromUrl.pageSize)
+    setView(VIEWS.some(v => v.id === fromUrl.view) ? fromUrl.view : URL_DEFAULTS.view)
+    setSelectedStudent(null)
+    setPendingStudent(fromUrl.student ? { key: datasetKey(resolved.location, resolved.month, resolved.level), param: fromUrl.student } : null)
+  }
+
+  /**
+   * Moves to a new location/month/level, snapping to the nearest combination
+   * that the manifest says exists. Switching location jumps to its most
+   * recent month.
+   */
+  function select(next, m = manifest) {
+    const requested = { location, month, level, ...next }
+    if (next.location && next.location !== location && !next.month) {
+      requested.month = recentMonthFor(m, next.location)
+    }
+    const resolved = resolveSelection(m, requested)
+    setLocation(resolved.location)
+    setMonth(resolved.month)
+    setLevel(resolved.level)
+    setSearch('')
+    setFilters([])
+    setPage(1)
+  }
 
   async function loadLevel(lv) {
+    loadController.current?.abort();
+    const controller = new AbortController();
+    loadController.current = controller;
+
     // Reset state immediately
-    setResponses([]);
+    setFormResponses([]);
     setMeta([]);
     setHeaders([]);
     setQuestionGroups([]);
+    setRubric(null);
     setDataError(false);
-    setSearch('');
-    setPage(1);
-    const base = `/${location}/${month}`;
-    const respPath = `${base}/level${lv}_response.csv`;
-    const metaPath = `${base}/meta_level${lv}.csv`;
+    setIssues([]);
+    setLevelLoading(true);
+    const entry = findLevelEntry(manifest, location, month, lv);
 
     try {
-      // --- Fetch response file ---
-      let respText = '';
       try {
-        const resp = await fetch(respPath);
-
-        if (!resp.ok) throw new Error(`Response file missing for level ${lv}`);
-
-        respText = await resp.text();
-
-        //console.log(`Fetched ${respPath}:`);
-        //console.log(respText.slice(0, 10)); // log first 500 chars for debugging
-
-        const isHTML = respText.trim().startsWith('<!doctype html') || respText.trim().startsWith('<html');
-        if (isHTML) {
-          throw new Error(`Response file for level ${lv} is missing. Got HTML page instead of CSV.`);
-        }
-
-        // --- Guard: check if content looks like CSV ---
-        const looksLikeCSV = respText.includes(',') || respText.trim().startsWith('"');
-        if (!looksLikeCSV) {
-          throw new Error(`Response file does not contain valid CSV for level ${lv}`);
-        }
-
-        // --- Parse CSV and filter out empty rows ---
-        const parsedResp = (await parseCSV(respText)).filter(row =>
-          Object.values(row).some(v => (v || '').toString().trim().length > 0)
-        );
-
-        if (!parsedResp.length) throw new Error(`No valid rows in response CSV for level ${lv}`);
-
-        // --- Fetch and parse meta file (optional) ---
-        let parsedMeta = [];
-        try {
-          const metaResp = await fetch(metaPath);
-          if (metaResp.ok) {
-            const metaText = await metaResp.text();
-            if (metaText && (metaText.includes(',') || metaText.trim().startsWith('"'))) {
-              parsedMeta = await parseCSV(metaText);
-            } else {
-              console.warn(`Meta file ${metaPath} does not look like valid CSV`);
-            }
-          }
-        } catch (e) {
-          console.warn(`Meta file ${metaPath} failed to load. Proceeding without metadata.`, e.message);
-        }
-
-        // --- Headers ---
-        const firstRaw = Papa.parse(respText, { header: true, skipEmptyLines: true });
-        const h = firstRaw.meta.fields || Object.keys(parsedResp[0] || {});
-
-        // --- Detect question groups ---
-        const qg = detectQuestionGroups(h);
+        const { responses: parsedResp, meta: parsedMeta, headers: h, questionGroups: qg, rubric: rb, issues: found } =
+          await loadLevelEntry(entry || { level: lv }, localFiles, { signal: controller.signal });
 
         // --- Update state ---
-        setResponses(parsedResp);
+        setFormResponses(parsedResp);
         setMeta(parsedMeta);
         setHeaders(h);
         setQuestionGroups(qg);
+        setRubric(rb);
+        setIssues(found);
         setDataError(false);
+        setLoadedKey(datasetKey(location, month, lv));
+        setLevelLoading(false);
 
         console.log(`Level ${lv} loaded successfully. Responses: ${parsedResp.length}, Meta: ${parsedMeta.length}`);
       } catch (e) {
+        // A newer load has taken over
+        if (e.name === 'AbortError') return;
         console.warn(`Failed to ${location} load level ${lv} response:`, e.message);
-        setResponses([]);
+        setIssues([loadFailureIssue(e, entry?.response)]);
+        setFormResponses([]);
         setMeta([]);
         setHeaders([]);
         setQuestionGroups([]);
         setDataError(true);
+        setLoadedKey(datasetKey(location, month, lv));
+        setLevelLoading(false);
       }
     } catch (e) {
       console.error('Unexpected error in loadLevel:', e);
-      setResponses([]);
+      setFormResponses([]);
       setMeta([]);
       setHeaders([]);
       setQuestionGroups([]);
       setDataError(true);
+      setLevelLoading(false);
     }
   }
 
 
 
   // Map meta for quick lookup by Normalized Question text
-  const metaMap = useMemo(() => {
-    const map = {}
-    meta.forEach(m => {
-      if (m.Question) {
-        // Use normalizeKey to handle fuzzy matching of whitespace
-        map[normalizeKey(m.Question)] = m
-      }
+  const metaMap = useMemo(() => buildMetaMap(meta), [meta])
+
+  // Determine which groups are "Personal Info" vs "Questions"
+  const { infoGroups, quizGroups } = useMemo(() => splitGroups(questionGroups, metaMap), [questionGroups, metaMap])
+
+  const piiKeys = useMemo(() => piiColumns(headers, infoGroups), [headers, infoGroups])
+  // Masks personal fields on screen while privacy mode is on
+  const privacy = useMemo(() => createMasker({ enabled: privacyMode, piiKeys, salt }), [privacyMode, piiKeys, salt])
+
+  function togglePrivacy() {
+    savePrivacyMode(!privacyMode)
+    setPrivacyMode(!privacyMode)
+  }
+
+  // Answer-key re-scoring
+  const rescoring = useMemo(
+    () => rescoreResponses(formResponses, quizGroups, metaMap, rescoreRules),
+    [formResponses, quizGroups, metaMap, rescoreRules]
+  )
+  const scoredResponses = scoreSource === 'rescored' ? rescoring.rows : formResponses
+  // Teacher-entered scores for open-ended questions replace the form's
+  const gradedResponses = useMemo(
+    () => applyManualGrades(scoredResponses, questionGroups, manualGrades, datasetKey(location, month, level)),
+    [scoredResponses, questionGroups, manualGrades, location, month, level]
+  )
+
+  // Repeat submissions; everything below reads `responses`, the attempts that count
+  const duplicateGroups = useMemo(() => findDuplicateGroups(gradedResponses), [gradedResponses])
+  const currentOverrides = duplicateOverrides[datasetKey(location, month, level)] || NO_OVERRIDES
+  const responses = useMemo(
+    () => resolveDuplicates(gradedResponses, duplicateGroups, duplicatePolicy, currentOverrides, splitNames),
+    [gradedResponses, duplicateGroups, duplicatePolicy, currentOverrides, splitNames]
+  )
+
+  // Open the student named in a link once their dataset has loaded
+  useEffect(() => {
+    if (!pendingStudent || pendingStudent.key !== loadedKey) return
+    const row = findStudent(responses, pendingStudent.param, privacy.pseudonym)
+    historyMode.current = 'replace'
+    setPendingStudent(null)
+    setSelectedStudent(row)
+    if (!row) setUrlNotice(n => n || 'The student in this link was not found in this test cycle.')
+  }, [pendingStudent, loadedKey, responses, privacy])
+
+  // Mirror the view state into the URL; selection, view and student changes get their own history entry
+  useEffect(() => {
+    if (location === null || level === null) return
+    const state = {
+      location, month, level, search, sortBy, sortDir, page, pageSize, view,
+      // Links made in privacy mode name the student by pseudonym
+      student: selectedStudent ? (privacy.enabled ? privacy.pseudonym(selectedStudent) : studentParam(selectedStudent)) : pendingStudent?.param || null,
+    }
+    const next = buildUrlSearch(state)
+    const prev = lastWritten.current
+    const replace = historyMode.current === 'replace'
+    lastWritten.current = state
+    historyMode.current = 'push'
+    if (next === window.location.search) return
+    const url = `${window.location.pathname}${next}${window.location.hash}`
+    const navigation = prev && ['location', 'month', 'level', 'view', 'student'].some(k => prev[k] !== state[k])
+    if (navigation && !replace) window.history.pushState(null, '', url)
+    else window.history.replaceState(null, '', url)
+  }, [location, month, level, search, sortBy, sortDir, page, pageSize, view, selectedStudent, pendingStudent, privacy])
+
+  const sections = useMemo(() => buildSections(quizGroups, metaMap), [quizGroups, metaMap])
+
+  // Section sub-scores per response row, computed once per dataset
+  const sectionScoresByRow = useMemo(() => {
+    const map = new Map()
+    responses.forEach(r => map.set(r, studentSectionScores(r, sections)))
+    return map
+  }, [responses, sections])
+
+  const sectionAverages = useMemo(
+    () => cohortSectionAverages(responses, sections, r => sectionScoresByRow.get(r) || {}),
+    [responses, sections, sectionScoresByRow]
+  )
+
+  // Grading policy in effect for the current level/month
+  const resolvedPolicy = useMemo(() => resolvePolicy(policy, { level, month }), [policy, level, month])
+
+  const gradeByRow = useMemo(() => {
+    const map = new Map()
+    responses.forEach(r => map.set(r, gradeResult(resolvedPolicy, totalScore(r).percent, sectionScoresByRow.get(r))))
+    return map
+  }, [responses, resolvedPolicy, sectionScoresByRow])
+
+  // On the placement test, students get a recommended level instead of a pass/fail
+  const isPlacement = level === policy.placement.level
+  const placementByRow = useMemo(
+    () => (isPlacement ? computePlacements(responses, policy.placement, sectionScoresByRow) : null),
+    [isPlacement, responses, policy.placement, sectionScoresByRow]
+  )
+  const placedLevels = useMemo(() => (isPlacement ? placementLevels(policy.placement) : []), [isPlacement, policy.placement])
+  const placementLabel = useMemo(() => (lv) => levelLabel(manifest, lv), [manifest])
+
+  // An uploaded roster wins over the served one
+  const rosterSource = uploadedRosters[location]
+    ? { source: 'uploaded', ...uploadedRosters[location] }
+    : servedRoster?.location === location ? { source: 'served', text: servedRoster.text } : null
+  const rosterText = rosterSource?.text ?? null
+  const rosterParse = useMemo(() => {
+    if (rosterText === null) return { roster: null, error: null }
+    try {
+      return { roster: parseRoster(rosterText, manifest.levels), error: null }
+    } catch (e) {
+      return { roster: null, error: `The roster could not be read: ${e.message}` }
+    }
+  }, [rosterText, manifest.levels])
+  const roster = rosterParse.roster
+
+  // Every test cycle, for student history and the progress and compare views
+  const allDatasets = useAllDatasets(manifest, localFiles, view === 'progress' || view === 'compare' || !!selectedStudent)
+  // Same score source and duplicate resolution as the current level
+  const scoring = useMemo(
+    () => ({ scoreSource, rescoreRules, manualGrades, duplicatePolicy, duplicateOverrides, splitNames }),
+    [scoreSource, rescoreRules, manualGrades, duplicatePolicy, duplicateOverrides, splitNames]
+  )
+  const scoredDatasets = useMemo(
+    () => (allDatasets.datasets ? scoreDatasets(allDatasets.datasets, scoring) : null),
+    [allDatasets.datasets, scoring]
+  )
+
+  // Every level this month at this location against the roster; only that month is loaded
+  const hasRoster = !!roster
+  const rosterPicks = useMemo(
+    () => (hasRoster ? (findMonth(manifest, location, month)?.levels || []).map(entry => ({ location, month, entry })) : null),
+    [hasRoster, manifest, location, month]
+  )
+  const monthDatasets = usePickedDatasets(localFiles, rosterPicks)
+  const reconciliation = useMemo(() => {
+    if (!roster || !monthDatasets.datasets) return null
+    const submissions = scoreDatasets(monthDatasets.datasets, scoring)
+      .flatMap(d => d.dataset.responses.map(row => ({ level: d.level, row })))
+    return reconcileRoster(roster, submissions, { placementLevel: policy.placement.level })
+  }, [roster, monthDatasets.datasets, scoring, policy.placement.level])
+
+  // Same level and month at every location, when comparing across centers; only those are loaded
+  const referencePicks = useMemo(() => {
+    if (!referenceCohort) return null
+    return manifest.locations
+      .map(loc => ({ location: loc.id, month, entry: findLevelEntry(manifest, loc.id, month, level) }))
+      .filter(p => p.entry)
+  }, [referenceCohort, manifest, month, level])
+  const referenceDatasets = usePickedDatasets(localFiles, referencePicks)
+  const referencePercents = useMemo(() => {
+    if (!referenceCohort || !referenceDatasets.datasets) return null
+    return scoreDatasets(referenceDatasets.datasets, scoring).flatMap(d => cohortPercents(d.dataset.responses))
+  }, [referenceCohort, referenceDatasets.datasets, scoring])
+  const standingByRow = useMemo(() => computeStanding(responses, referencePercents), [responses, referencePercents])
+  const cohortPercentList = useMemo(() => cohortPercents(responses), [responses])
+
+  useEffect(() => {
+    setColumnLayout(loadColumnLayout(level))
+  }, [level])
+
+  // Every column in layout order, hidden ones included, and the ones on show
+  const layoutColumns = useMemo(() => resolveLayout(columnLayout, availableColumns({
+    headers,
+    quizGroups,
+    sections,
+    hasGrades: resolvedPolicy.gradeBands.length > 0,
+    hasReference: referenceCohort,
+    hasPlacement: isPlacement,
+  })), [columnLayout, headers, quizGroups, sections, resolvedPolicy, referenceCohort, isPlacement])
+  const tableColumns = useMemo(() => layoutColumns.filter(c => !c.hidden), [layoutColumns])
+
+  const cellCtx = useMemo(
+    () => ({ gradeByRow, sectionScoresByRow, standingByRow, placementByRow, levelLabel: placementLabel }),
+    [gradeByRow, sectionScoresByRow, standingByRow, placementByRow, placementLabel]
+  )
+
+  function changeColumns(columns) {
+    const layout = layoutToSave(columns)
+    saveColumnLayout(level, layout)
+    setColumnLayout(layout)
+  }
+
+  function resetColumns() {
+    saveColumnLayout(level, null)
+    setColumnLayout(null)
+  }
+
+  const filterCtx = useMemo(
+    () => ({ quizGroups, gradeByRow, sectionScoresByRow, standingByRow, placementByRow, levelLabel: placementLabel }),
+    [quizGroups, gradeByRow, sectionScoresByRow, standingByRow, placementByRow, placementLabel]
+  )
+
+  // Lower-cased text of each row, built once per dataset rather than on every keystroke
+  const searchTextByRow = useMemo(() => {
+    const map = new Map()
+    responses.forEach(r => {
+      // With privacy mode on, only what is on screen can be searched
+      const parts = Object.entries(r).map(([k, v]) => String(privacy.value(k, v, r) || ''))
+      if (privacy.enabled) parts.push(privacy.pseudonym(r))
+      map.set(r, parts.join('\n').toLowerCase())
     })
     return map
-  }, [meta])
+  }, [responses, privacy])
 
   const filtered = useMemo(() => {
     if (!responses || responses.length === 0) return []
     const s = search.trim().toLowerCase()
     let arr = responses.filter(r => {
       if (!s) return true;
-      return Object.values(r).some(v => String(v || '').toLowerCase().includes(s));
+      return searchTextByRow.get(r).includes(s);
     })
     .filter(() => {
       // Since CSV has no location column,
@@ -290,113 +639,360 @@ export default function App() {
       // Each level dataset is considered per-location view.
       return true; // or keep logic open if later each student has location
     });
+    arr = applyFilters(arr, filters, filterCombine, filterCtx)
     
-    if (sortBy) {
-      arr = arr.slice().sort((a,b) => {
-        const A = a[sortBy] || ''
-        const B = b[sortBy] || ''
-        
-        // Find if the key is numeric to sort numerically
-        const isNumeric = MAIN_TABLE_KEYS.find(k => k.key === sortBy)?.numeric || false;
-        
-        let valA = A
-        let valB = B
-        
-        if (sortBy === 'Total score' || isNumeric) {
-           valA = extractScoreObj(A).score
-           valB = extractScoreObj(B).score
-        }
-
-        const numA = Number(valA)
-        const numB = Number(valB)
-        
-        if (!isNaN(numA) && !isNaN(numB)) {
-          return (numA - numB) * (sortDir === 'asc' ? 1 : -1)
-        }
-        return String(A).localeCompare(String(B)) * (sortDir === 'asc' ? 1 : -1)
-      })
+    const column = layoutColumns.find(c => c.key === sortBy)
+    if (column) {
+      arr = arr
+        .map(r => ({ r, v: sortValue(r, column, cellCtx) }))
+        .sort((a, b) => compareValues(a.v, b.v, sortDir))
+        .map(x => x.r)
     }
     return arr
-  }, [responses, search, sortBy, sortDir])
+  }, [responses, search, searchTextByRow, filters, filterCombine, filterCtx, sortBy, sortDir, layoutColumns, cellCtx])
 
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize))
-  const pageData = filtered.slice((page-1)*pageSize, page*pageSize)
+  // "All rows" renders one scrolling table, drawing only the rows in view
+  const showAll = pageSize === ALL_ROWS
+  const virtual = useVirtualRows(showAll ? filtered.length : 0)
+  const totalPages = showAll ? 1 : Math.max(1, Math.ceil(filtered.length / pageSize))
+  const pageData = showAll
+    ? filtered.slice(virtual.start, virtual.end)
+    : filtered.slice((page-1)*pageSize, page*pageSize)
+
+  // A linked page number past the end lands on the last page once the data is in
+  useEffect(() => {
+    if (loadedKey === datasetKey(location, month, level) && page > totalPages) setPage(totalPages)
+  }, [page, totalPages, loadedKey])
 
   // Robust Analytics Calculation
   const analytics = useMemo(() => {
-    if (dataError) {
-      // CSV missing → no students
-      return { totalStudents: 0, avg: 0, max: 0, min: 0, passCount: 0, passRate: 0, detectedMaxScore: 0 };
-    }
-    if (!responses || responses.length === 0) {
-      return { totalStudents: 0, avg: 0, max: 0, min: 0, passCount: 0, passRate: 0, detectedMaxScore: 0 };
+    // CSV missing → no students
+    if (dataError) return EMPTY_ANALYTICS;
+    return computeAnalytics(responses, (row) => gradeByRow.get(row)?.passed);
+  }, [responses, dataError, gradeByRow]);
+
+  const filterGrades = resolvedPolicy.gradeBands.length
+    ? [...resolvedPolicy.gradeBands].sort((a, b) => Number(b.min) - Number(a.min)).map(b => b.grade).concat('Fail')
+    : []
+  const narrowed = filters.length > 0 || search.trim() !== ''
+  const filteredAnalytics = useMemo(
+    () => computeAnalytics(filtered, (row) => gradeByRow.get(row)?.passed),
+    [filtered, gradeByRow]
+  )
+  // Item analysis and the score distribution are worked out in the parser worker
+  const [levelStats, setLevelStats] = useState(EMPTY_LEVEL_STATS)
+  useEffect(() => {
+    let stale = false
+    // Nothing from the previous level stays on screen while the worker runs
+    setLevelStats({ ...EMPTY_LEVEL_STATS, pending: true })
+    runInWorker('levelStats', { responses, quizGroups, metaMap })
+      .then(stats => { if (!stale) setLevelStats({ ...EMPTY_LEVEL_STATS, ...stats }) })
+      .catch(e => {
+        console.warn('Could not analyze the level:', e.message)
+        if (!stale) setLevelStats({ ...EMPTY_LEVEL_STATS, error: e.message })
+      })
+    return () => { stale = true }
+  }, [responses, quizGroups, metaMap])
+  const { items: itemStats, distribution } = levelStats
+  const cardAnalytics = analyticsScope === 'filtered' && narrowed && !dataError ? filteredAnalytics : analytics
+  const reviewCount = useMemo(() => {
+    if (!placementByRow) return 0
+    const rows = analyticsScope === 'filtered' && narrowed ? filtered : responses
+    return rows.filter(r => placementByRow.get(r)?.review).length
+  }, [placementByRow, analyticsScope, narrowed, filtered, responses])
+  // Students per recommended level, split into clear and borderline placements
+  const placementCounts = useMemo(() => {
+    if (!placementByRow) return null
+    const counts = placedLevels.map(lv => ({ level: lv, clear: 0, review: 0 }))
+    placementByRow.forEach(p => {
+      const c = counts.find(x => x.level === p.level)
+      if (c) c[p.review ? 'review' : 'clear']++
+    })
+    return counts
+  }, [placementByRow, placedLevels])
+
+  function changeFilters(next) {
+    setFilters(next)
+    setPage(1)
+  }
+
+  /** Chart clicks add the matching filter, or remove it when clicked again. */
+  function crossFilter(filter) {
+    changeFilters(toggleFilter(filters, filter))
+  }
+
+  const pointerOnHover = (e, elements) => {
+    e.native.target.style.cursor = elements.length ? 'pointer' : 'default'
+  }
+
+  /** Adds dropped files; returns the paths of earlier local files they replace. */
+  function importLocal(files) {
+    const replaced = Object.keys(files).filter(path => path in localFiles)
+    const merged = { ...localFiles, ...files }
+    setLocalFiles(merged)
+    if (keepLocal) persistLocalFiles(merged).catch(e => console.warn('Could not save local files:', e.message))
+    select({ location: LOCAL_LOCATION_ID }, withLocalDataset(servedManifest, merged))
+    return replaced
+  }
+
+  function changeKeepLocal(keep) {
+    setKeepLocal(keep)
+    const op = keep ? persistLocalFiles(localFiles) : clearPersistedLocalFiles()
+    op.catch(e => console.warn('Could not update saved local files:', e.message))
+  }
+
+  function clearLocal() {
+    setLocalFiles({})
+    clearPersistedLocalFiles().catch(e => console.warn('Could not clear saved local files:', e.message))
+    if (location === LOCAL_LOCATION_ID) {
+      select({ location: servedManifest.defaultLocation }, servedManifest)
     }
-    
-    const totalStudents = responses.length || 0;
-    const parsed = responses.map(r => extractScoreObj(r["Total score"] || r["Total Score"] || r["TotalScore"]));
-    const scores = parsed.map(p => p.score);
-    const maxScores = parsed.map(p => p.max).filter(x => x);
-    const detectedMaxScore = maxScores.length ? Math.max(...maxScores) : Math.max(...scores);
-    
-    // Only calculate percentages if max score is detected and greater than zero
-    const percentages = detectedMaxScore > 0 
-      ? scores.map(s => (s / detectedMaxScore) * 100) 
-      : Array(totalStudents).fill(0);
-      
-    const avg = percentages.length ? percentages.reduce((a, b) => a + b, 0) / percentages.length : 0;
-    const passCount = percentages.filter(p => p >= PASSING_THRESHOLD).length;
-    const min = percentages.length ? Math.min(...percentages) : 0;
-    const max = percentages.length ? Math.max(...percentages) : 0;
-
-    return { 
-      totalStudents, 
-      avg, 
-      max, 
-      min, 
-      passCount, 
-      passRate: totalStudents ? (passCount / totalStudents) * 100 : 0, 
-      detectedMaxScore 
-    };
-  }, [responses, dataError]);
+  }
+
+  function changePolicy(next) {
+    setPolicy(next)
+    setPolicyEdited(true)
+    savePolicy(next)
+  }
+
+  function resetPolicy() {
+    setPolicy(filePolicy)
+    setPolicyEdited(false)
+    savePolicy(null)
+  }
+
+  function changeRescoreRules(next) {
+    setRescoreRules(next)
+    saveRules(next)
+  }
+
+  function changeReferenceCohort(on) {
+    setReferenceCohort(on)
+    saveReferenceCohort(on)
+  }
+
+  async function uploadRoster(file) {
+    const text = await file.text()
+    // Throws on an unusable file, before anything is saved
+    const { students, skipped } = parseRoster(text, manifest.levels)
+    setUploadedRosters(await saveUploadedRoster(location, { fileName: file.name, text }))
+    return { students: students.length, skipped }
+  }
+
+  function removeUploadedRoster() {
+    saveUploadedRoster(location, null)
+      .then(setUploadedRosters)
+      .catch(e => console.warn('Could not remove the roster:', e.message))
+  }
+
+  function exportAbsentees() {
+    downloadCSV(reconciliation.absent.map(s => ({
+      ...(privacy.enabled
+        ? { Pseudonym: privacy.pseudonym(s.row) }
+        : { Name: s.row.Name, 'Identity Number': s.row[SO_KEY], Contact: s.row['Contact Number / Mobile Number'] }),
+      'Assigned level': s.level === null ? '' : placementLabel(s.level),
+    })), `${[location, month].map(filePart).join('_')}_absentees${privacy.enabled ? '_anonymized' : ''}.csv`)
+  }
+
+  function changeExamWindow(next) {
+    const key = datasetKey(location, month, level)
+    const windows = { ...examWindows }
+    if (next && (next.start || next.end)) windows[key] = next
+    else delete windows[key]
+    setExamWindows(windows)
+    saveExamWindows(windows)
+  }
+
+  function changeScoreSource(next) {
+    // Rows are swapped for their re-scored copies, so the open student would go stale
+    setSelectedStudent(null)
+    setScoreSource(next)
+  }
+
+  function changeDuplicatePolicy(next) {
+    setDuplicatePolicy(next)
+    saveDuplicatePolicy(next)
+  }
+
+  function changeSplitNames(next) {
+    setSplitNames(next)
+    saveSplitNames(next)
+  }
+
+  function overrideDuplicate(groupId, choice) {
+    const key = datasetKey(location, month, level)
+    const forDataset = { ...(duplicateOverrides[key] || {}) }
+    if (choice) forDataset[groupId] = choice
+    else delete forDataset[groupId]
+    const next = { ...duplicateOverrides, [key]: forDataset }
+    setDuplicateOverrides(next)
+    saveDuplicateOverrides(next)
+  }
+
+  function changeReportHeader(next) {
+    setReportHeader(next)
+    saveReportHeader(next)
+  }
+
+  function reportCardFor(row) {
+    return buildReportCard(row, {
+      quizGroups,
+      metaMap,
+      sections,
+      sectionScores: sectionScoresByRow.get(row),
+      result: gradeByRow.get(row),
+      levelLabel: currentLevelLabel,
+      locationLabel: currentLocationLabel,
+      monthLabel: monthLabel(manifest, location, month),
+      pseudonym: privacy.enabled ? privacy.pseudonym(row) : null,
+    })
+  }
+
+  function downloadReportCard(row) {
+    const card = reportCardFor(row)
+    downloadBlob(reportCardBlob([card], reportHeader), reportCardFileName(card))
+  }
 
   function onSort(columnKey) {
     if (sortBy === columnKey) setSortDir(sortDir === 'asc' ? 'desc' : 'asc')
-    else { setSortBy(columnKey); setSortDir('desc') }
+    else {
+      setSortBy(columnKey)
+      // Rank 1 is the top student, so ranks start ascending
+      setSortDir(tableColumns.find(c => c.key === columnKey)?.kind === 'rank' ? 'asc' : 'desc')
+    }
+  }
+
+  const gradingQuestions = useMemo(
+    () => manualQuestions(quizGroups, metaMap).map(g => {
+      const entry = rubricFor(rubric, g)
+      // A rubric's criteria define the question's points
+      return { group: g, index: quizGroups.indexOf(g), points: entry ? entry.max : questionPoints(g, metaMap, formResponses), rubric: entry }
+    }),
+    [quizGroups, metaMap, formResponses, rubric]
+  )
+
+  function gradeResponse(question, row, value) {
+    const dataset = datasetKey(location, month, level)
+    const key = gradeKey(dataset, attemptId(row), question.group.normalizedName)
+    const next = { ...manualGrades }
+    if (value) {
+      next[key] = { dataset, attempt: attemptId(row), question: question.group.normalizedName, score: value.score, max: question.points, feedback: value.feedback, updatedAt: Date.now() }
+      if (value.criteria) next[key].criteria = value.criteria
+    } else {
+      delete next[key]
+    }
+    setManualGrades(next)
+    saveManualGrades(next).catch(e => console.warn('Could not save manual grades:', e.message))
+  }
+
+  function exportManualGrades() {
+    const rows = gradesToCSVRows(manualGrades, formResponses, [datasetKey(location, month, level)], privacy.enabled ? salt : null)
+    downloadCSV(rows, `${exportBaseName()}_manual_grades${privacy.enabled ? '_anonymized' : ''}.csv`)
+  }
+
+  async function importManualGrades(text) {
+    // Anonymized exports from this browser name attempts by attemptPseudonym
+    const attempts = new Map(formResponses.map(r => [attemptPseudonym(attemptId(r), salt), attemptId(r)]))
+    const result = mergeGradesCSV(manualGrades, text, a => (/^A-[0-9A-F]{14}$/.test(a) ? attempts.get(a) ?? null : a))
+    setManualGrades(result.grades)
+    await saveManualGrades(result.grades)
+    return result
   }
 
   function exportFilteredCSV() {
-    const csv = Papa.unparse(filtered)
-    const blob = new Blob([csv], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `level${level}_filtered.csv`
-    a.click()
-    URL.revokeObjectURL(url)
+    downloadCSV(filtered.map(r => {
+      const result = gradeByRow.get(r)
+      const standing = standingByRow.get(r)
+      return {
+        ...(privacy.enabled ? anonymizeRow(r, piiKeys, salt) : r),
+        Status: result?.status || '',
+        ...(resolvedPolicy.gradeBands.length ? { Grade: result?.grade || '' } : {}),
+        Rank: standing?.rank ?? '',
+        Percentile: standing ? Math.round(standing.percentile) : '',
+        'Z-score': formatZ(standing?.z) ?? '',
+        ...(referencePercents ? {
+          'Rank (all centers)': standing?.reference?.rank ?? '',
+          'Percentile (all centers)': standing?.reference ? Math.round(standing.reference.percentile) : '',
+        } : {}),
+        ...(placementByRow ? placementColumns(r) : {}),
+      }
+    }), `${exportBaseName()}_${scoreSource === 'rescored' ? 'rescored' : 'filtered'}${privacy.enabled ? '_anonymized' : ''}.csv`)
   }
 
-  // Determine which groups are "Personal Info" vs "Questions"
-  const { infoGroups, quizGroups } = useMemo(() => {
-    const info = []
-    const quiz = []
-    
-    questionGroups.forEach(g => {
-      // Use normalized lookup
-      const m = metaMap[g.normalizedName]
-      
-      const isPI = m ? (m.Section === 'Personal Info') : (
-        // Fallback regex if meta is missing
-        /name|email|identity|contact|mobile/i.test(g.baseName)
-      )
-      
-      if (isPI) info.push(g)
-      else quiz.push(g)
+  function placementColumns(row) {
+    const p = placementByRow.get(row)
+    return {
+      'Recommended level': p ? placementLabel(p.level) : '',
+      'Needs review': p?.review ? 'Yes' : '',
+      'Placement notes': placementNotes(p, placementLabel).join('; '),
+    }
+  }
+
+  /** Filtered students grouped by recommended level, for setting up classes. */
+  function exportClassAllocation() {
+    const placed = filtered
+      .filter(r => placementByRow.get(r))
+      .sort((a, b) => placementByRow.get(a).level - placementByRow.get(b).level
+        || studentDisplayName(a).localeCompare(studentDisplayName(b)))
+    downloadCSV(placed.map(r => {
+      const sectionScores = sectionScoresByRow.get(r) || {}
+      const { 'Placement notes': notes, ...placement } = placementColumns(r)
+      return {
+        ...placement,
+        ...(privacy.enabled
+          ? { Pseudonym: privacy.pseudonym(r) }
+          : { Name: studentDisplayName(r), 'Identity Number': r[SO_KEY] || '', Username: r.Username || '', Contact: r['Contact Number / Mobile Number'] || '' }),
+        'Total %': prettyNumber(totalScore(r).percent),
+        ...Object.fromEntries(sections.map(sec => [`${sec.name} %`, prettyNumber(sectionScores[sec.name]?.percent)])),
+        'Placement notes': notes,
+      }
+    }), `${exportBaseName()}_class_allocation${privacy.enabled ? '_anonymized' : ''}.csv`)
+  }
+
+  function exportBaseName() {
+    return [location, month, `level${level}`].map(filePart).join('_')
+  }
+
+  function exportWorkbook() {
+    const wb = buildWorkbook({
+      locationLabel: currentLocationLabel,
+      monthLabel: monthLabel(manifest, location, month),
+      levelLabel: currentLevelLabel,
+      scoreSource,
+      analytics,
+      policy: resolvedPolicy,
+      rows: filtered,
+      headers,
+      sections,
+      sectionScoresByRow,
+      gradeByRow,
+      standingByRow,
+      hasReference: !!referencePercents,
+      placementByRow,
+      placementLabel,
+      items: itemStats,
+      anonymize: privacy.enabled ? { piiKeys, salt } : null,
     })
-    return { infoGroups: info, quizGroups: quiz }
-  }, [questionGroups, metaMap])
+    downloadWorkbook(wb, `${exportBaseName()}${privacy.enabled ? '_anonymized' : ''}.xlsx`)
+  }
+
+  const studentIndex = useMemo(() => {
+    if (!scoredDatasets) return null
+    const records = buildHistoryRecords(scoredDatasets, ({ level, month, percent, sections }) =>
+      gradeResult(resolvePolicy(policy, { level, month }), percent, sections))
+    return buildStudentIndex(records)
+  }, [scoredDatasets, policy])
+  const selectedHistory = selectedStudent && studentIndex ? (studentIndex.lookup(selectedStudent)?.records || []) : []
+
+  const recordMonthLabel = (r) => monthLabel(manifest, r.location, r.month)
+  const recordLevelLabel = (lv) => levelLabel(manifest, lv)
+  const recordLocationLabel = (id) => findLocation(manifest, id)?.label || id
   
   // Get current level label
-  const currentLevelLabel = LEVEL_CONFIG.find(c => c.level === level)?.label || `Level ${level}`;
+  const currentLevelLabel = levelLabel(manifest, level);
+  const currentLocationLabel = findLocation(manifest, location)?.label || location;
+  const availableMonths = findLocation(manifest, location)?.months || [];
+  const availableLevels = findMonth(manifest, location, month)?.levels || [];
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors">
@@ -414,50 +1010,66 @@ export default function App() {
           <div className="flex items-center gap-2">
             {/* Level Selector DropDown */}
             <select
-              value={level}
-              onChange={(e) => setLevel(Number(e.target.value))}
+              value={level ?? ''}
+              onChange={(e) => select({ level: Number(e.target.value) })}
               className="px-3 py-2 rounded-lg 
               border border-gray-200 dark:border-gray-700 
               bg-white dark:bg-gray-800 
               text-gray-800 dark:text-gray-100 
               focus:ring-indigo-500 focus:border-indigo-500">
 
-              <option value={0}>PB</option>
-              <option value={1}>Level 1</option>
-              <option value={2}>Level 2</option>
-              <option value={3}>Level 3</option>
-              <option value={4}>Level 4</option>
+              {availableLevels.map(l => (
+                <option key={l.level} value={l.level}>{levelLabel(manifest, l.level)}</option>
+              ))}
             </select>
             {/* Level Selector Buttons */}
             {/* 
             <div className="hidden sm:flex bg-white dark:bg-gray-800 rounded-lg p-1 shadow-sm border border-gray-200 dark:border-gray-700">
-              {LEVEL_CONFIG.map(l => (
-                <button key={l.level} onClick={() => setLevel(l.level)} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${level===l.level ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-60:0 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
-                  {l.label}
+              {availableLevels.map(l => (
+                <button key={l.level} onClick={() => select({ level: l.level })} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${level===l.level ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-60:0 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+                  {levelLabel(manifest, l.level)}
                 </button>
               ))}
             </div>
             */}
             <select 
-              value={location} 
-              onChange={(e) => setLocation(e.target.value)}
+              value={location ?? ''} 
+              onChange={(e) => select({ location: e.target.value })}
               className="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer">
-              {LOCATIONS.map(loc => (
-                  <option key={loc} value={loc}>{loc}</option>
+              {manifest.locations.map(loc => (
+                  <option key={loc.id} value={loc.id}>{loc.label}</option>
               ))}
             </select>
             {/* Month */}
             <select 
-              value={month} 
-              onChange={(e) => setMonth(e.target.value)}
+              value={month ?? ''} 
+              onChange={(e) => select({ month: e.target.value })}
               className="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer">
               {
-                MONTHS.map(m => (
-                  <option key={m} value={m}>{m}</option>
+                availableMonths.map(m => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
                   )
                 )
               }
             </select>
+            <button
+              onClick={() => setShowSettings(v => !v)}
+              title="Grading policy"
+              className={`p-2 rounded-lg border border-gray-200 dark:border-gray-700 transition-colors ${showSettings ? 'bg-indigo-600 text-white' : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+              <Cog6ToothIcon className="w-5 h-5"/>
+            </button>
+            <button
+              onClick={() => setShowLocalPanel(v => !v)}
+              title="Load local files"
+              className={`p-2 rounded-lg border border-gray-200 dark:border-gray-700 transition-colors ${showLocalPanel ? 'bg-indigo-600 text-white' : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+              <FolderOpenIcon className="w-5 h-5"/>
+            </button>
+            <button
+              onClick={togglePrivacy}
+              title={privacyMode ? 'Privacy mode on: personal details are masked and exports anonymized' : 'Privacy mode'}
+              className={`p-2 rounded-lg border border-gray-200 dark:border-gray-700 transition-colors ${privacyMode ? 'bg-indigo-600 text-white' : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+              <EyeSlashIcon className="w-5 h-5"/>
+            </button>
             {/* Dark Mode Toggle */}
             {/*
             <button onClick={() => setDark(!dark)} className="p-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">
@@ -467,232 +1079,541 @@ export default function App() {
           </div>
         </header>
         
+        {showSettings && (
+          <GradingSettings
+            policy={policy}
+            edited={policyEdited}
+            levels={manifest.levels}
+            months={availableMonths}
+            sections={sections.map(sec => sec.name)}
+            onChange={changePolicy}
+            onReset={resetPolicy}
+          />
+        )}
+
+        {showLocalPanel && (
+          <LocalDataPanel
+            levels={servedManifest.levels}
+            localFiles={localFiles}
+            keepLocal={keepLocal}
+            onKeepLocalChange={changeKeepLocal}
+            onImport={importLocal}
+            onClear={clearLocal}
+          />
+        )}
+
+        {urlNotice && (
+          <div className="mb-6 p-4 flex items-start gap-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-300 dark:border-yellow-700 rounded-xl text-yellow-800 dark:text-yellow-300 text-sm font-medium">
+            <span className="flex-1">{urlNotice}</span>
+            <button onClick={() => setUrlNotice(null)} title="Dismiss" className="shrink-0">
+              <XMarkIcon className="w-5 h-5"/>
+            </button>
+          </div>
+        )}
+
+        {manifestError && (
+          <div className="mb-6 p-4 bg-red-100 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl text-red-800 dark:text-red-300 font-medium">
+            Could not load the data manifest: {manifestError}
+          </div>
+        )}
+
         {dataError && responses.length === 0 && (
           <div className="mb-6 p-4 bg-red-100 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl text-red-800 dark:text-red-300 font-medium">
-            No results found for {currentLevelLabel} level from {location}.
+            No results found for {currentLevelLabel} level from {currentLocationLabel}.
           </div>
         )}
 
+        {(issues.length > 0 || responses.length > 0) && (
+          <DataHealthPanel issues={issues} reportName={`${exportBaseName()}_data_health.csv`} />
+        )}
+
         {/* Analytics Cards */}
-        <section className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <section className={`grid grid-cols-1 ${roster ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-4 mb-6`}>
           <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
             <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Total Students</div>
-            <div className="mt-2 text-3xl font-bold">{analytics.totalStudents}</div>
+            <div className="mt-2 text-3xl font-bold">{cardAnalytics.totalStudents}</div>
           </div>
           <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
             <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Average Score</div>
-            <div className="mt-2 text-3xl font-bold">{prettyNumber(analytics.avg)}%</div>
-          </div>
-          <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
-            <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Pass Rate (>=50%)</div>
-            <div className="mt-2 text-3xl font-bold text-emerald-600 dark:text-emerald-400">{Math.round(analytics.passRate)}%</div>
+            <div className="mt-2 text-3xl font-bold">{prettyNumber(cardAnalytics.avg)}%</div>
           </div>
+          {isPlacement ? (
+            <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
+              <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Placements to review (±{prettyNumber(policy.placement.margin)} points)</div>
+              <div className="mt-2 text-3xl font-bold text-amber-600 dark:text-amber-400">{reviewCount}</div>
+            </div>
+          ) : (
+            <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
+              <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Pass Rate (>={prettyNumber(resolvedPolicy.passMark)}%)</div>
+              <div className="mt-2 text-3xl font-bold text-emerald-600 dark:text-emerald-400">{Math.round(cardAnalytics.passRate)}%</div>
+            </div>
+          )}
           <div className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700">
             <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Score Range</div>
             <div className="mt-2 flex items-end justify-between">
-              <span className="text-xl font-semibold">{prettyNumber(analytics.min)}% - {prettyNumber(analytics.max)}%</span>
+              <span className="text-xl font-semibold">{prettyNumber(cardAnalytics.min)}% - {prettyNumber(cardAnalytics.max)}%</span>
             </div>
             <div className="mt-3 h-1.5 w-full bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
-              <div style={{ width: `${analytics.avg}%` }} className="h-full bg-indigo-500 rounded-full"/>
+              <div style={{ width: `${cardAnalytics.avg}%` }} className="h-full bg-indigo-500 rounded-full"/>
             </div>
           </div>
+          {roster && (
+            <button onClick={() => setView('roster')} title="Enrolled students who submitted any level this month" className="p-5 text-left rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-100 dark:border-gray-700 hover:border-indigo-300 dark:hover:border-indigo-700 transition-colors">
+              <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Participation</div>
+              <div className="mt-2 text-3xl font-bold">
+                {!reconciliation ? '…' : reconciliation.participationRate === null ? '-' : `${Math.round(reconciliation.participationRate)}%`}
+              </div>
+              {reconciliation && (
+                <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">{reconciliation.present} of {reconciliation.enrolled} enrolled · {reconciliation.absent.length} missing</div>
+              )}
+            </button>
+          )}
         </section>
 
-        {/* Search & Toolbar */}
-        <div className="flex flex-col md:flex-row gap-4 mb-6">
-          <input 
-            placeholder="Search students..." 
-            value={search} 
-            onChange={(e)=>{setSearch(e.target.value); setPage(1)}} 
-            className="flex-1 px-4 py-2.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:ring-2 focus:ring-indigo-500 outline-none" 
-            disabled={dataError || responses.length === 0}
-          />
-          <div className="flex gap-2">
-            <select value={pageSize} onChange={(e)=>{setPageSize(Number(e.target.value)); setPage(1)}} className="px-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 outline-none cursor-pointer" disabled={dataError || responses.length === 0}>
-              <option value={8}>8 rows</option>
-              <option value={12}>12 rows</option>
-              <option value={24}>24 rows</option>
-            </select>
-            <button onClick={exportFilteredCSV} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50" disabled={dataError || responses.length === 0}>
-              Export CSV
+        {/* View Tabs */}
+        <nav className="flex flex-wrap items-end gap-1 mb-6 border-b border-gray-200 dark:border-gray-700">
+          {VIEWS.map(v => (
+            <button
+              key={v.id}
+              onClick={() => setView(v.id)}
+              className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${view === v.id ? 'border-indigo-600 text-indigo-600 dark:text-indigo-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`}>
+              {v.label}
+              {v.id === 'duplicates' && duplicateGroups.length > 0 && (
+                <span className="ml-1.5 px-1.5 py-0.5 rounded-full text-[10px] font-bold bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-400">{duplicateGroups.length}</span>
+              )}
             </button>
+          ))}
+          <div className="ml-auto mb-1.5 flex bg-white dark:bg-gray-800 rounded-lg p-0.5 border border-gray-200 dark:border-gray-700">
+            {SCORE_SOURCES.map(src => (
+              <button
+                key={src.id}
+                onClick={() => changeScoreSource(src.id)}
+                className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${scoreSource === src.id ? 'bg-indigo-600 text-white' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+                {src.label}
+              </button>
+            ))}
+          </div>
+        </nav>
+
+        {view === 'students' && (
+          <>
+          {/* Search & Toolbar */}
+          <div className="flex flex-col md:flex-row gap-4 mb-6">
+            <input 
+              placeholder="Search students..." 
+              value={search} 
+              onChange={(e)=>{setSearch(e.target.value); setPage(1)}} 
+              className="flex-1 px-4 py-2.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:ring-2 focus:ring-indigo-500 outline-none" 
+              disabled={dataError || responses.length === 0}
+            />
+            <div className="flex gap-2">
+              <select value={pageSize} onChange={(e)=>{setPageSize(e.target.value === ALL_ROWS ? ALL_ROWS : Number(e.target.value)); setPage(1)}} className="px-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 outline-none cursor-pointer" disabled={dataError || responses.length === 0}>
+                <option value={8}>8 rows</option>
+                <option value={12}>12 rows</option>
+                <option value={24}>24 rows</option>
+                <option value={ALL_ROWS}>All rows</option>
+              </select>
+              <ColumnChooser columns={layoutColumns} onChange={changeColumns} onReset={resetColumns} disabled={dataError || responses.length === 0} />
+              {manifest.locations.length > 1 && (
+                <label title="Rank and percentile against this level and month at every location" className="flex items-center gap-2 px-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-sm font-medium cursor-pointer whitespace-nowrap">
+                  <input type="checkbox" checked={referenceCohort} onChange={(e) => changeReferenceCohort(e.target.checked)} />
+                  All centers
+                </label>
+              )}
+              <button onClick={() => setShowBulkReports(true)} className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50" disabled={dataError || responses.length === 0}>
+                Report cards
+              </button>
+              {isPlacement && (
+                <button onClick={exportClassAllocation} title="Filtered students grouped by recommended level" className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50 whitespace-nowrap" disabled={dataError || responses.length === 0}>
+                  Class allocation
+                </button>
+              )}
+              <button onClick={exportFilteredCSV} className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50" disabled={dataError || responses.length === 0}>
+                Export CSV{privacy.enabled && ' (anonymized)'}
+              </button>
+              <button onClick={exportWorkbook} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50" disabled={dataError || responses.length === 0}>
+                Export Excel{privacy.enabled && ' (anonymized)'}
+              </button>
+            </div>
           </div>
-        </div>
-
-        {/* Content Grid */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Main Table */}
-          <div className="lg:col-span-2 flex flex-col">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden flex-1">
-              <div className="overflow-x-auto">
-                <table className="w-full text-left text-sm">
-                  <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
-                    <tr>
-                      {MAIN_TABLE_KEYS.map(({ label, key }) => (
-                        <th key={key} onClick={()=>onSort(key)} className="px-6 py-3 font-semibold text-gray-700 dark:text-gray-300 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors select-none whitespace-nowrap">
-                          <div className="flex items-center gap-1">
-                            {label}
-                            {sortBy === key && (
-                              <span className="text-indigo-600 dark:text-indigo-400">{sortDir==='asc' ? '▲' : '▼'}</span>
-                            )}
-                          </div>
-                        </th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
-                    {pageData.map((row, idx) => (
-                      <tr 
-                        key={idx} 
-                        onClick={() => setSelectedStudent(row)} 
-                        className="group cursor-pointer hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10 transition-colors"
-                      >
-                        {MAIN_TABLE_KEYS.map(({ key }) => {
-                          let value = row[key];
-                          let cellClass = "text-gray-600 dark:text-gray-300"; // Base class
-
-                          if (key === '__pass_fail__') {
-                            const { score, max } = extractScoreObj(row['Total score']);
-                            const percent = max ? (score / max) * 100 : 0;
-                            value = percent >= PASSING_THRESHOLD ? 'PASS' : 'FAIL';
-
-                            // Apply color classes based on the result
-                            if (value === 'PASS') {
-                              cellClass = 'text-emerald-700 dark:text-emerald-400 font-medium';
-                            } else {
-                              cellClass = 'text-rose-700 dark:text-rose-400 font-medium';
-                            }
-                          }
 
-                          return (
-                            <td 
-                              key={key} 
-                              className={`px-6 py-3.5 whitespace-nowrap ${cellClass}`} // Dynamic class
-                            >
-                              {value || '-'}
-                            </td>
-                          );
-                        })}
-                      </tr>
-                    ))}
-                    {pageData.length === 0 && (
+          <FilterBuilder
+            filters={filters}
+            combine={filterCombine}
+            onChange={changeFilters}
+            onCombineChange={(c) => { setFilterCombine(c); setPage(1) }}
+            ctx={{ ...filterCtx, metaMap, sections, grades: filterGrades, rows: responses, hasReference: referenceCohort, placementLevels: placedLevels }}
+            disabled={dataError || responses.length === 0}
+          />
+
+          {/* Content Grid */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Main Table */}
+            <div className="lg:col-span-2 flex flex-col">
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden flex-1">
+                <div ref={virtual.scrollRef} className={`overflow-x-auto ${showAll ? 'max-h-[70vh] overflow-y-auto' : ''}`}>
+                  <table className="w-full text-left text-sm">
+                    <thead className={`bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 ${showAll ? 'sticky top-0 z-10 backdrop-blur' : ''}`}>
                       <tr>
-                        <td colSpan={MAIN_TABLE_KEYS.length} className="px-6 py-8 text-center text-gray-500">
-                          {dataError ? `No data loaded for ${currentLevelLabel}.` : 'No students found matching your search.'}
-                        </td>
+                        {tableColumns.map(({ label, key }) => (
+                          <th key={key} onClick={()=>onSort(key)} title={label} className="px-6 py-3 font-semibold text-gray-700 dark:text-gray-300 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors select-none whitespace-nowrap">
+                            <div className="flex items-center gap-1">
+                              <span className="max-w-[14rem] truncate">{label}</span>
+                              {sortBy === key && (
+                                <span className="text-indigo-600 dark:text-indigo-400">{sortDir==='asc' ? '▲' : '▼'}</span>
+                              )}
+                            </div>
+                          </th>
+                        ))}
                       </tr>
-                    )}
-                  </tbody>
-                </table>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                      {showAll && virtual.padTop > 0 && <tr aria-hidden="true" style={{ height: virtual.padTop }} />}
+                      {pageData.map((row, idx) => (
+                        <tr 
+                          key={showAll ? virtual.start + idx : idx} 
+                          data-row
+                          onClick={() => setSelectedStudent(row)} 
+                          className="group cursor-pointer hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10 transition-colors"
+                        >
+                          {tableColumns.map((column) => {
+                            const value = privacy.value(column.key, cellText(row, column, cellCtx), row);
+                            let cellClass = "text-gray-600 dark:text-gray-300"; // Base class
+
+                            if (column.kind === 'status') {
+                              // Apply color classes based on the result
+                              if (value === 'PASS') {
+                                cellClass = 'text-emerald-700 dark:text-emerald-400 font-medium';
+                              } else {
+                                cellClass = 'text-rose-700 dark:text-rose-400 font-medium';
+                              }
+                            } else if (column.kind === 'grade') {
+                              cellClass = gradeByRow.get(row)?.passed
+                                ? 'text-gray-800 dark:text-gray-200 font-medium'
+                                : 'text-rose-700 dark:text-rose-400 font-medium';
+                            }
+
+                            return (
+                              <td 
+                                key={column.key} 
+                                className={`px-6 py-3.5 whitespace-nowrap ${column.kind === 'field' ? 'max-w-xs truncate' : ''} ${cellClass}`} // Dynamic class
+                              >
+                                {value || '-'}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                      {showAll && virtual.padBottom > 0 && <tr aria-hidden="true" style={{ height: virtual.padBottom }} />}
+                      {pageData.length === 0 && (
+                        <tr>
+                          <td colSpan={tableColumns.length} className="px-6 py-8 text-center text-gray-500">
+                            {levelLoading ? `Loading ${currentLevelLabel}…` : dataError ? `No data loaded for ${currentLevelLabel}.` : 'No students found matching your search or filters.'}
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
               </div>
-            </div>
             
-            {/* Pagination */}
-            <div className="flex items-center justify-between mt-4 px-2">
-              <span className="text-sm text-gray-500 dark:text-gray-400">
-                Page {page} of {totalPages}
-              </span>
-              <div className="flex gap-2">
-                <button 
-                  disabled={page===1 || dataError}
-                  onClick={()=>setPage(p=>Math.max(1,p-1))} 
-                  className="px-4 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium transition-colors"
-                >
-                  Previous
-                </button>
-                <button 
-                  disabled={page===totalPages || dataError}
-                  onClick={()=>setPage(p=>Math.min(totalPages,p+1))} 
-                  className="px-4 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium transition-colors"
-                >
-                  Next
-                </button>
+              {/* Pagination */}
+              <div className="flex items-center justify-between mt-4 px-2">
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {showAll ? `${filtered.length} row${filtered.length === 1 ? '' : 's'}` : `Page ${page} of ${totalPages}`}
+                </span>
+                <div className="flex gap-2">
+                  <button 
+                    disabled={page===1 || dataError}
+                    onClick={()=>setPage(p=>Math.max(1,p-1))} 
+                    className="px-4 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium transition-colors"
+                  >
+                    Previous
+                  </button>
+                  <button 
+                    disabled={page===totalPages || dataError}
+                    onClick={()=>setPage(p=>Math.min(totalPages,p+1))} 
+                    className="px-4 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium transition-colors"
+                  >
+                    Next
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
 
-          {/* Charts Sidebar */}
-          <div className="space-y-6">
-            <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
-              <h3 className="text-lg font-semibold mb-4">Score Distribution</h3>
-              <div className="h-64">
-                <Bar
-                  options={{ 
-                    maintainAspectRatio: false, 
-                    responsive: true,
-                    plugins: {
-                      legend: {
-                        labels: {
-                          color: dark ? '#f5f5f5' : '#374151', // Legend labels: white in dark, dark gray in light
-                        },
+            {/* Charts Sidebar */}
+            <div className="space-y-6">
+              <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
+                <h3 className="text-lg font-semibold mb-4">Score Distribution</h3>
+                <p className="-mt-3 mb-3 text-xs text-gray-500 dark:text-gray-400">Click a bar or slice to filter the table.</p>
+                {levelStats.error && <p className="-mt-1 mb-3 text-xs text-rose-700 dark:text-rose-400">The distribution could not be worked out: {levelStats.error}</p>}
+                <div className="h-64">
+                  <Bar
+                    options={{ 
+                      maintainAspectRatio: false, 
+                      responsive: true,
+                      onHover: pointerOnHover,
+                      onClick: (e, elements) => {
+                        if (!elements.length) return
+                        const i = elements[0].index
+                        // Same buckets as scoreDistribution: 0–20% inclusive, then (20i, 20(i+1)]
+                        crossFilter({ type: 'total', min: i * 20, max: (i + 1) * 20, ...(i > 0 ? { aboveMin: true } : {}) })
                       },
-                    },
-                    scales: {
-                      x: {
-                        ticks: {
-                          color: dark ? '#f5f5f5' : '#374151', // X-axis labels
-                        },
-                        grid: {
-                          color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)', // X-axis grid lines
+                      plugins: {
+                        legend: {
+                          labels: {
+                            color: dark ? '#f5f5f5' : '#374151', // Legend labels: white in dark, dark gray in light
+                          },
                         },
                       },
-                      y: {
-                        ticks: {
-                          color: dark ? '#f5f5f5' : '#374151', // Y-axis labels
+                      scales: {
+                        x: {
+                          ticks: {
+                            color: dark ? '#f5f5f5' : '#374151', // X-axis labels
+                          },
+                          grid: {
+                            color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)', // X-axis grid lines
+                          },
                         },
-                        grid: {
-                          color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)', // Y-axis grid lines
+                        y: {
+                          ticks: {
+                            color: dark ? '#f5f5f5' : '#374151', // Y-axis labels
+                          },
+                          grid: {
+                            color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)', // Y-axis grid lines
+                          },
                         },
                       },
-                    },
-                  }}
-                  data={{
-                    labels: ["0–20%", "21–40%", "41–60%", "61–80%", "81–100%"],
-                    datasets: [{
-                      label: "Students",
-                      backgroundColor: dark ? '#f5f5f5' : '#6366f1',
-                      borderRadius: 4,
-                      data: dataError || responses.length === 0 ? [0, 0, 0, 0, 0] : [0, 20, 40, 60, 80, 100].slice(0, 5).map((_, i) => {
-                        const rangeStart = i * 20;
-                        const rangeEnd = i === 4 ? 100 : (i + 1) * 20;
-                        return responses.filter(r => {
-                          const { score, max } = extractScoreObj(r["Total score"]);
-                          if (!max || max === 0) return false;
-                          const pct = (score / max) * 100;
-                          return pct >= rangeStart && pct <= rangeEnd;
-                        }).length;
-                      })
-                    }]
-                  }}
-                />
+                    }}
+                    data={{
+                      labels: DISTRIBUTION_LABELS,
+                      datasets: [{
+                        label: "Students",
+                        backgroundColor: dark ? '#f5f5f5' : '#6366f1',
+                        borderRadius: 4,
+                        data: dataError || responses.length === 0 ? [0, 0, 0, 0, 0] : distribution
+                      }]
+                    }}
+                  />
+                </div>
               </div>
-            </div>
 
-            <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
-              <h3 className="text-lg font-semibold mb-4">Pass vs Fail</h3>
-              <div className="h-64 flex justify-center">
-                <Pie
-                  options={{ maintainAspectRatio: false }}
-                  data={{
-                    labels: ['Pass', 'Fail'],
-                    datasets: [{
-                      data: [analytics.passCount, analytics.totalStudents - analytics.passCount],
-                      backgroundColor: [
-                        dark ? '#34D399':'#047857', 
-                        dark ? '#FB7185':'#B91C1C'
-                      ],
-                      borderColor: [
-                        dark ? '#6EE7B7':'#6EE7B7', 
-                        dark? '#FCA5A5':'#FCA5A5'
+              {placementCounts ? (
+              <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
+                <h3 className="text-lg font-semibold mb-4">Placement</h3>
+                <div className="h-64">
+                  <Bar
+                    options={{
+                      maintainAspectRatio: false,
+                      responsive: true,
+                      onHover: pointerOnHover,
+                      onClick: (e, elements) => {
+                        if (!elements.length) return
+                        const { index, datasetIndex } = elements[0]
+                        crossFilter(datasetIndex === 1 ? { type: 'placement', value: 'review' } : { type: 'placement', value: placementCounts[index].level })
+                      },
+                      plugins: { legend: { labels: { color: dark ? '#f5f5f5' : '#374151' } } },
+                      scales: {
+                        x: { stacked: true, ticks: { color: dark ? '#f5f5f5' : '#374151' }, grid: { display: false } },
+                        y: { stacked: true, beginAtZero: true, ticks: { precision: 0, color: dark ? '#f5f5f5' : '#374151' }, grid: { color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' } },
+                      },
+                    }}
+                    data={{
+                      labels: placementCounts.map(c => placementLabel(c.level)),
+                      datasets: [
+                        { label: 'Placed', data: placementCounts.map(c => c.clear), backgroundColor: dark ? '#a5b4fc' : '#6366f1', borderRadius: 4 },
+                        { label: 'Needs review', data: placementCounts.map(c => c.review), backgroundColor: dark ? '#fbbf24' : '#f59e0b', borderRadius: 4 },
                       ],
-                      borderWidth: 1,
-                    }],
-                  }}
-                />
+                    }}
+                  />
+                </div>
               </div>
+              ) : (
+              <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
+                <h3 className="text-lg font-semibold mb-4">Pass vs Fail</h3>
+                <div className="h-64 flex justify-center">
+                  <Pie
+                    options={{
+                      maintainAspectRatio: false,
+                      onHover: pointerOnHover,
+                      onClick: (e, elements) => {
+                        if (elements.length) crossFilter({ type: 'status', value: elements[0].index === 0 ? 'PASS' : 'FAIL' })
+                      },
+                    }}
+                    data={{
+                      labels: ['Pass', 'Fail'],
+                      datasets: [{
+                        data: [analytics.passCount, analytics.totalStudents - analytics.passCount],
+                        backgroundColor: [
+                          dark ? '#34D399':'#047857', 
+                          dark ? '#FB7185':'#B91C1C'
+                        ],
+                        borderColor: [
+                          dark ? '#6EE7B7':'#6EE7B7', 
+                          dark? '#FCA5A5':'#FCA5A5'
+                        ],
+                        borderWidth: 1,
+                      }],
+                    }}
+                  />
+                </div>
+              </div>
+              )}
+
+              {sections.length > 0 && (
+                <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
+                  <h3 className="text-lg font-semibold mb-4">Section Averages</h3>
+                  <div className="h-64">
+                    <Bar
+                      options={{
+                        indexAxis: 'y',
+                        maintainAspectRatio: false,
+                        responsive: true,
+                        plugins: { legend: { display: false } },
+                        scales: {
+                          x: {
+                            min: 0,
+                            max: 100,
+                            ticks: { color: dark ? '#f5f5f5' : '#374151', callback: (v) => `${v}%` },
+                            grid: { color: dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' },
+                          },
+                          y: {
+                            ticks: { color: dark ? '#f5f5f5' : '#374151' },
+                            grid: { display: false },
+                          },
+                        },
+                      }}
+                      data={{
+                        labels: sections.map(sec => sec.name),
+                        datasets: [{
+                          label: 'Average %',
+                          backgroundColor: dark ? '#a5b4fc' : '#6366f1',
+                          borderRadius: 4,
+                          data: sections.map(sec => sectionAverages[sec.name] ?? 0),
+                        }],
+                      }}
+                    />
+                  </div>
+                </div>
+              )}
             </div>
           </div>
-        </div>
+          </>
+        )}
+
+        {view === 'items' && (
+          <ItemAnalysis items={itemStats} pending={levelStats.pending} error={levelStats.error} />
+        )}
+
+        {view === 'questions' && (
+          <QuestionExplorer
+            quizGroups={quizGroups}
+            metaMap={metaMap}
+            rows={responses}
+            onOpenStudent={setSelectedStudent}
+            privacy={privacy}
+          />
+        )}
+
+        {view === 'timeline' && (
+          <TimelineView
+            rows={responses}
+            sections={sections}
+            sectionScoresByRow={sectionScoresByRow}
+            gradeByRow={gradeByRow}
+            examWindow={examWindows[datasetKey(location, month, level)]}
+            onExamWindowChange={changeExamWindow}
+            onOpenStudent={setSelectedStudent}
+            privacy={privacy}
+            dark={dark}
+          />
+        )}
+
+        {view === 'roster' && (
+          <RosterView
+            roster={roster}
+            rosterSource={rosterSource}
+            rosterError={rosterParse.error}
+            reconciliation={reconciliation}
+            loading={monthDatasets.loading}
+            monthLabel={monthLabel(manifest, location, month)}
+            levelLabel={placementLabel}
+            privacy={privacy}
+            onUpload={uploadRoster}
+            onRemoveUpload={removeUploadedRoster}
+            onExportAbsent={exportAbsentees}
+          />
+        )}
+
+        {view === 'grading' && (
+          <ManualGradingView
+            questions={gradingQuestions}
+            rows={responses}
+            formRows={scoredResponses}
+            grades={manualGrades}
+            dataset={datasetKey(location, month, level)}
+            onGrade={gradeResponse}
+            onExport={exportManualGrades}
+            onImport={importManualGrades}
+            privacy={privacy}
+            dark={dark}
+          />
+        )}
+
+        {view === 'rescore' && (
+          <RescoreView result={rescoring} rules={rescoreRules} onRulesChange={changeRescoreRules} level={level} privacy={privacy} />
+        )}
+
+        {view === 'duplicates' && (
+          <DuplicatesView
+            groups={duplicateGroups}
+            policy={duplicatePolicy}
+            splitNames={splitNames}
+            overrides={currentOverrides}
+            onPolicyChange={changeDuplicatePolicy}
+            onSplitNamesChange={changeSplitNames}
+            onOverride={overrideDuplicate}
+            privacy={privacy}
+          />
+        )}
+
+        {view === 'progress' && (
+          <ProgressView
+            index={studentIndex}
+            months={availableMonths}
+            location={location}
+            loading={allDatasets.loading}
+            monthLabel={recordMonthLabel}
+            levelLabel={recordLevelLabel}
+            locationLabel={recordLocationLabel}
+            dark={dark}
+            privacy={privacy}
+          />
+        )}
+
+        {view === 'compare' && (
+          <CompareView
+            datasets={scoredDatasets}
+            loading={allDatasets.loading}
+            manifest={manifest}
+            initialMonth={month}
+            initialLevel={level}
+            policy={policy}
+            dark={dark}
+          />
+        )}
+
+        <BulkReportDialog
+          open={showBulkReports}
+          onClose={() => setShowBulkReports(false)}
+          filteredRows={filtered}
+          allRows={responses}
+          cardFor={reportCardFor}
+          header={reportHeader}
+          onHeaderChange={changeReportHeader}
+          bundleName={`report_cards_${exportBaseName()}${privacy.enabled ? '_anonymized' : ''}`}
+          anonymized={privacy.enabled}
+        />
 
         {/* Student Detail Modal */}
         <Dialog open={!!selectedStudent} onClose={()=>setSelectedStudent(null)} className="relative z-50">
@@ -705,7 +1626,7 @@ export default function App() {
                   <div className="p-6 border-b border-gray-100 dark:border-gray-800 flex justify-between items-start bg-gray-50/50 dark:bg-gray-800/50">
                     <div>
                       <h2 className="text-lg font-bold text-gray-900 dark:text-white">
-                        {selectedStudent['Username'] || 'Student Details'}
+                        {privacy.enabled ? privacy.name(selectedStudent) : selectedStudent['Username'] || 'Student Details'}
                       </h2>
                       <p className="text-gray-500 dark:text-gray-400 text-sm mt-1">
                         Submitted: {selectedStudent['Timestamp']}
@@ -724,6 +1645,31 @@ export default function App() {
                             return `${formattedObtained} / ${formattedTotal}`;
                         })()}
                       </div>
+                      {placementByRow?.get(selectedStudent) && (() => {
+                        const result = placementByRow.get(selectedStudent);
+                        const notes = placementNotes(result, placementLabel);
+                        return (
+                          <div className={`mt-1 text-right text-xs font-bold uppercase tracking-wider ${result.review ? 'text-amber-600 dark:text-amber-400' : 'text-indigo-600 dark:text-indigo-400'}`}>
+                            Placement: {placementLabel(result.level)}{result.review ? ' · Review' : ''}
+                            {notes.map(note => (
+                              <span key={note} className="block normal-case font-medium tracking-normal whitespace-normal max-w-xs">{note}</span>
+                            ))}
+                          </div>
+                        );
+                      })()}
+                      {!isPlacement && gradeByRow.get(selectedStudent) && (() => {
+                        const result = gradeByRow.get(selectedStudent);
+                        return (
+                          <div className={`mt-1 text-xs font-bold uppercase tracking-wider ${result.passed ? 'text-emerald-700 dark:text-emerald-400' : 'text-rose-700 dark:text-rose-400'}`}>
+                            {result.status}{result.grade && result.grade !== 'Fail' ? ` · ${result.grade}` : ''}
+                            {result.failedSections.length > 0 && (
+                              <span className="block normal-case font-medium tracking-normal">
+                                Below minimum in {result.failedSections.join(', ')}
+                              </span>
+                            )}
+                          </div>
+                        );
+                      })()}
                     </div>
                   </div>
 
@@ -734,11 +1680,11 @@ export default function App() {
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                       {/* Standard Info Cards */}
                       {[
-                        { label: 'Name', val: selectedStudent['Name'] },
-                        { label: 'Email', val: selectedStudent['Email'] },
-                        { label: 'Identity Number', val: selectedStudent['Identity Number (SO Number)'] },
-                        { label: 'Contact', val: selectedStudent['Contact Number / Mobile Number'] }
-                      ].map((item, i) => (
+                        { label: 'Name', key: 'Name' },
+                        { label: 'Email', key: 'Email' },
+                        { label: 'Identity Number', key: 'Identity Number (SO Number)' },
+                        { label: 'Contact', key: 'Contact Number / Mobile Number' }
+                      ].map(({ label, key }) => ({ label, val: privacy.value(key, selectedStudent[key], selectedStudent) })).map((item, i) => (
                         <div key={i} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-100 dark:border-gray-700">
                           <div className="text-xs uppercase tracking-wide text-gray-400 font-semibold mb-1">{item.label}</div>
                           <div className="text-gray-900 dark:text-gray-200 font-medium truncate" title={item.val}>{item.val || '-'}</div>
@@ -751,12 +1697,48 @@ export default function App() {
                          return (
                            <div key={'meta-'+idx} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-100 dark:border-gray-700">
                              <div className="text-xs uppercase tracking-wide text-gray-400 font-semibold mb-1">{g.baseName}</div>
-                             <div className="text-gray-900 dark:text-gray-200 font-medium">{selectedStudent[g.questionKey]}</div>
+                             <div className="text-gray-900 dark:text-gray-200 font-medium">{privacy.value(g.questionKey, selectedStudent[g.questionKey], selectedStudent)}</div>
                            </div>
                          )
                       })}
                     </div>
 
+                    {standingByRow.get(selectedStudent) && (
+                      <>
+                        <div className="border-t border-gray-100 dark:border-gray-800 my-4"></div>
+                        <StandingChart
+                          percent={totalScore(selectedStudent).percent}
+                          standing={standingByRow.get(selectedStudent)}
+                          percents={cohortPercentList}
+                          referencePercents={referencePercents}
+                          dark={dark}
+                        />
+                      </>
+                    )}
+
+                    {sections.length > 0 && (
+                      <>
+                        <div className="border-t border-gray-100 dark:border-gray-800 my-4"></div>
+                        <SectionProfileChart
+                          sections={sections}
+                          scores={sectionScoresByRow.get(selectedStudent) || {}}
+                          averages={sectionAverages}
+                          dark={dark}
+                        />
+                      </>
+                    )}
+
+                    <div className="border-t border-gray-100 dark:border-gray-800 my-4"></div>
+
+                    <StudentHistory
+                      records={selectedHistory}
+                      loading={allDatasets.loading || !studentIndex}
+                      monthLabel={recordMonthLabel}
+                      levelLabel={recordLevelLabel}
+                      locationLabel={recordLocationLabel}
+                      dark={dark}
+                    />
+
                     <div className="border-t border-gray-100 dark:border-gray-800 my-4"></div>
 
                     {/* Questions List */}
@@ -773,6 +1755,9 @@ export default function App() {
                           const feedback = selectedStudent[g.feedbackKey];
                           // Use normalized lookup
                           const metaInfo = metaMap[g.normalizedName];
+                          const rescoreChange = rescoring.byRow.get(selectedStudent)?.changes.find(c => c.group === g);
+                          const rubricEntry = rubricFor(rubric, g);
+                          const rubricGrade = rubricEntry && manualGrades[gradeKey(datasetKey(location, month, level), attemptId(selectedStudent), g.normalizedName)];
                           
                           // --- NEW LOGIC START ---
                           const { score, max } = extractScoreObj(scoreStr);
@@ -834,6 +1819,11 @@ export default function App() {
                                     {StatusIcon && <StatusIcon className="w-5 h-5" />}
                                     {scoreStr || '-'}
                                   </div>
+                                  {rescoreChange && (
+                                    <div className="text-xs text-yellow-700 dark:text-yellow-400 whitespace-nowrap">
+                                      Form {prettyNumber(rescoreChange.form)} · key {prettyNumber(rescoreChange.rescored)}
+                                    </div>
+                                  )}
                                 </div>
                               </div>
 
@@ -864,7 +1854,25 @@ export default function App() {
                                 </div>
 
                                 {/* Feedback Column */}
-                                {(feedback && feedback !== '--') ? (
+                                {rubricGrade?.criteria ? (
+                                  <div className="border-t md:border-t-0 md:border-l border-gray-200 dark:border-gray-700 pt-3 md:pt-0 md:pl-4">
+                                    <div className="text-xs font-bold text-gray-400 uppercase mb-1">Rubric</div>
+                                    <table className="w-full text-sm">
+                                      <tbody>
+                                        {rubricEntry.criteria.map(c => (
+                                          <tr key={c.name} className="align-top">
+                                            <td className="py-0.5 pr-2 text-gray-700 dark:text-gray-300">{c.name}</td>
+                                            <td className="py-0.5 pr-2 text-gray-500 dark:text-gray-400">{rubricLevelLabel(c, rubricGrade.criteria[c.name])}</td>
+                                            <td className="py-0.5 text-right whitespace-nowrap font-medium">{prettyNumber(rubricGrade.criteria[c.name] ?? 0)} / {prettyNumber(c.max)}</td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                    {rubricGrade.feedback && (
+                                      <div className="mt-2 text-sm text-gray-600 dark:text-gray-400 italic">{rubricGrade.feedback}</div>
+                                    )}
+                                  </div>
+                                ) : (feedback && feedback !== '--') ? (
                                   <div className="border-t md:border-t-0 md:border-l border-gray-200 dark:border-gray-700 pt-3 md:pt-0 md:pl-4">
                                     <div className="text-xs font-bold text-gray-400 uppercase mb-1">Feedback</div>
                                     <div className="text-sm text-gray-600 dark:text-gray-400 italic">
@@ -885,7 +1893,19 @@ export default function App() {
                   </div>
 
                   {/* Modal Footer */}
-                  <div className="p-4 bg-gray-50 dark:bg-gray-800 border-t border-gray-100 dark:border-gray-700 text-right">
+                  {showReportHeader && (
+                    <div className="px-4 py-3 border-t border-gray-100 dark:border-gray-700">
+                      <ReportCardHeaderFields header={reportHeader} onChange={changeReportHeader} />
+                    </div>
+                  )}
+                  <div className="p-4 bg-gray-50 dark:bg-gray-800 border-t border-gray-100 dark:border-gray-700 flex items-center justify-end gap-2">
+                    <button onClick={() => setShowReportHeader(v => !v)} className="mr-auto text-sm text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400">
+                      {showReportHeader ? 'Hide report card header' : 'Report card header…'}
+                    </button>
+                    <button onClick={() => downloadReportCard(selectedStudent)} className="flex items-center gap-1.5 px-5 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors">
+                      <DocumentArrowDownIcon className="w-5 h-5"/>
+                      Report card PDF
+                    </button>
                     <button onClick={()=>setSelectedStudent(null)} className="px-5 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 font-medium transition-colors">
                       Close
                     </button>
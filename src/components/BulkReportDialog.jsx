@@ -0,0 +1,154 @@
+import React, { useRef, useState } from 'react'
+import { Dialog } from '@headlessui/react'
+import { generateReportCards, reportCardFileName, DEFAULT_FILE_TEMPLATE } from '../lib/reportCard.js'
+import { downloadBlob } from '../lib/download.js'
+import ReportCardHeaderFields from './ReportCardHeaderFields.jsx'
+
+const TEMPLATE_KEY = 'report-card-template'
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+
+/**
+ * Report cards for the filtered students (or everyone) as a zip of PDFs or
+ * one combined PDF, with progress and cancel. `anonymized` notes that the
+ * cards carry pseudonyms (privacy mode).
+ */
+export default function BulkReportDialog({ open, onClose, filteredRows, allRows, cardFor, header, onHeaderChange, bundleName, anonymized }) {
+  const [scope, setScope] = useState('filtered')
+  const [mode, setMode] = useState('zip')
+  const [template, setTemplate] = useState(() => localStorage.getItem(TEMPLATE_KEY) || DEFAULT_FILE_TEMPLATE)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const controller = useRef(null)
+
+  const rows = scope === 'filtered' ? filteredRows : allRows
+  const running = progress !== null
+
+  function changeTemplate(v) {
+    setTemplate(v)
+    localStorage.setItem(TEMPLATE_KEY, v)
+  }
+
+  async function generate() {
+    const { signal } = (controller.current = new AbortController())
+    setError(null)
+    setProgress({ done: 0, total: rows.length })
+    try {
+      const cards = rows.map(cardFor)
+      const blob = await generateReportCards(cards, header, {
+        mode,
+        template,
+        signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      })
+      if (signal.aborted) return
+      downloadBlob(blob, `${bundleName}.${mode === 'zip' ? 'zip' : 'pdf'}`)
+      onClose()
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.error('Report card generation failed:', e)
+        setError(e.message)
+      }
+    } finally {
+      setProgress(null)
+      controller.current = null
+    }
+  }
+
+  function close() {
+    controller.current?.abort()
+    onClose()
+  }
+
+  const example = rows[0] ? reportCardFileName(cardFor(rows[0]), template) : null
+
+  return (
+    <Dialog open={open} onClose={close} className="relative z-50">
+      <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="w-full max-w-2xl bg-white dark:bg-gray-900 rounded-2xl shadow-2xl overflow-hidden">
+          <div className="p-6 border-b border-gray-100 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-800/50">
+            <Dialog.Title className="text-lg font-bold text-gray-900 dark:text-white">Report cards</Dialog.Title>
+          </div>
+
+          <div className="p-6 space-y-5 text-sm">
+            <div className="flex flex-wrap gap-6">
+              <fieldset disabled={running} className="space-y-1.5">
+                <legend className="font-medium mb-1">Students</legend>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="radio" checked={scope === 'filtered'} onChange={() => setScope('filtered')} />
+                  Current filtered list ({filteredRows.length})
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} />
+                  All students ({allRows.length})
+                </label>
+              </fieldset>
+              <fieldset disabled={running} className="space-y-1.5">
+                <legend className="font-medium mb-1">Download as</legend>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="radio" checked={mode === 'zip'} onChange={() => setMode('zip')} />
+                  Zip with one PDF per student
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="radio" checked={mode === 'combined'} onChange={() => setMode('combined')} />
+                  One combined PDF
+                </label>
+              </fieldset>
+            </div>
+
+            {mode === 'zip' && (
+              <div>
+                <label className="flex items-center gap-2">
+                  <span className="font-medium">File names</span>
+                  <input value={template} onChange={(e) => changeTemplate(e.target.value)} disabled={running} className={`${inputClass} flex-1 font-mono`} />
+                </label>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Tokens: {'{SO}'} {'{Name}'} {'{Level}'} {'{Month}'} {'{Location}'}{example && <> · e.g. <span className="font-mono">{example}</span></>}
+                </p>
+                {anonymized && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Privacy mode is on: {'{Name}'} is the pseudonym and {'{SO}'} is left out, in the file names and on the cards.</p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <div className="font-medium mb-2">Header</div>
+              <ReportCardHeaderFields header={header} onChange={onHeaderChange} />
+            </div>
+
+            {running && (
+              <div>
+                <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+                  <span>Generating…</span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="h-2 w-full bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} className="h-full bg-indigo-500 rounded-full transition-all" />
+                </div>
+              </div>
+            )}
+
+            {error && <div className="text-rose-700 dark:text-rose-400">Could not generate report cards: {error}</div>}
+          </div>
+
+          <div className="p-4 bg-gray-50 dark:bg-gray-800 border-t border-gray-100 dark:border-gray-700 flex justify-end gap-2">
+            {running ? (
+              <button onClick={() => controller.current?.abort()} className="px-5 py-2 rounded-lg bg-rose-600 hover:bg-rose-700 text-white font-medium transition-colors">
+                Cancel
+              </button>
+            ) : (
+              <>
+                <button onClick={close} className="px-5 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 font-medium transition-colors">
+                  Close
+                </button>
+                <button onClick={generate} disabled={!rows.length} className="px-5 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors disabled:opacity-50">
+                  Generate {rows.length} report card{rows.length === 1 ? '' : 's'}
+                </button>
+              </>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+import { ChevronUpIcon, ChevronDownIcon, ViewColumnsIcon } from '@heroicons/react/24/outline'
+
+const KIND_LABELS = { section: 'Section', percent: 'Computed', rank: 'Computed', percentile: 'Computed', zscore: 'Computed', status: 'Policy', grade: 'Policy', placement: 'Policy' }
+
+/**
+ * Drop-down for picking, hiding and reordering the students-table columns.
+ * `columns` is the resolved layout from columns.js.
+ */
+export default function ColumnChooser({ columns, onChange, onReset, disabled }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+
+  const q = query.trim().toLowerCase()
+  const shown = columns.filter(c => !q || c.label.toLowerCase().includes(q))
+  const visibleCount = columns.filter(c => !c.hidden).length
+
+  function toggle(key) {
+    onChange(columns.map(c => (c.key === key ? { ...c, hidden: !c.hidden } : c)))
+  }
+
+  // Moves past hidden columns so each click visibly shifts the column in the table
+  function move(key, step) {
+    const from = columns.findIndex(c => c.key === key)
+    let to = from + step
+    while (to > 0 && to < columns.length - 1 && columns[to].hidden) to += step
+    if (to < 0 || to >= columns.length) return
+    const next = columns.slice()
+    const [col] = next.splice(from, 1)
+    next.splice(to, 0, col)
+    onChange(next)
+  }
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(o => !o)} disabled={disabled} className="h-full flex items-center gap-1.5 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50">
+        <ViewColumnsIcon className="w-5 h-5" />
+        Columns
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-20" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 mt-2 z-30 w-96 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 text-sm">
+            <div className="p-3 border-b border-gray-100 dark:border-gray-700 flex items-center gap-2">
+              <input
+                autoFocus
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder={`Find among ${columns.length} columns…`}
+                className="flex-1 px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900"
+              />
+              <button onClick={onReset} className="text-indigo-600 dark:text-indigo-400 hover:underline">Reset</button>
+            </div>
+            <ul className="max-h-96 overflow-y-auto py-1">
+              {shown.map(c => (
+                <li key={c.key} className="flex items-center gap-2 px-3 py-1 hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                  <label className="flex-1 flex items-center gap-2 min-w-0 cursor-pointer">
+                    <input type="checkbox" checked={!c.hidden} onChange={() => toggle(c.key)} disabled={!c.hidden && visibleCount === 1} />
+                    <span className={`truncate ${c.hidden ? 'text-gray-500 dark:text-gray-400' : ''}`} title={c.label}>{c.label}</span>
+                  </label>
+                  {(c.group || KIND_LABELS[c.kind]) && (
+                    <span className="shrink-0 text-[10px] uppercase tracking-wide text-gray-400">{c.group || KIND_LABELS[c.kind]}</span>
+                  )}
+                  {!c.hidden && (
+                    <span className="shrink-0 flex">
+                      <button onClick={() => move(c.key, -1)} title="Move left" className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+                        <ChevronUpIcon className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => move(c.key, 1)} title="Move right" className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+                        <ChevronDownIcon className="w-4 h-4" />
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+              {shown.length === 0 && <li className="px-3 py-2 text-gray-500 dark:text-gray-400">No matching columns.</li>}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
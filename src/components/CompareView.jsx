@@ -0,0 +1,216 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Bar } from 'react-chartjs-2'
+import { ExclamationCircleIcon } from '@heroicons/react/24/outline'
+import { runInWorker } from '../lib/loader.js'
+import { DISTRIBUTION_LABELS } from '../lib/analytics.js'
+import { prettyNumber } from '../lib/format.js'
+import { downloadCSV, filePart } from '../lib/download.js'
+
+const LOCATION_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ec4899', '#0ea5e9', '#84cc16']
+
+// Facility differences (percentage points) worth highlighting
+const SPREAD_HIGHLIGHT = 25
+
+const EMPTY_COMPARISON = { columns: [], sectionNames: [], questions: [] }
+
+function pct(v) {
+  return v === null || v === undefined ? '-' : `${prettyNumber(v)}%`
+}
+
+/**
+ * Same level and month across several locations: analytics cards,
+ * overlaid score distributions, section averages and per-question facility.
+ */
+export default function CompareView({ datasets, loading, manifest, initialMonth, initialLevel, policy, dark }) {
+  const locations = manifest.locations
+  const months = useMemo(() => {
+    const seen = new Map()
+    locations.forEach(l => l.months.forEach(m => { if (!seen.has(m.id)) seen.set(m.id, m.label) }))
+    return [...seen].map(([id, label]) => ({ id, label }))
+  }, [locations])
+
+  const [month, setMonth] = useState(initialMonth)
+  const [level, setLevel] = useState(initialLevel)
+  const [selected, setSelected] = useState(() => locations.map(l => l.id))
+
+  useEffect(() => { setSelected(locations.map(l => l.id)) }, [locations])
+
+  // compareLocations runs in the parser worker, given only the compared datasets
+  const [result, setResult] = useState(EMPTY_COMPARISON)
+  const [comparing, setComparing] = useState(false)
+  useEffect(() => {
+    let stale = false
+    const compared = (datasets || []).filter(d => d.month === month && d.level === level && selected.includes(d.location))
+    setComparing(true)
+    runInWorker('compare', { datasets: compared, options: { month, level, locations: selected, policy } })
+      .then(r => { if (!stale) setResult(r) })
+      .catch(e => console.warn('Could not compare locations:', e.message))
+      .finally(() => { if (!stale) setComparing(false) })
+    return () => { stale = true }
+  }, [datasets, month, level, selected, policy])
+  const available = result.columns.filter(c => c.available)
+  const locationLabel = (id) => locations.find(l => l.id === id)?.label || id
+  const levelLabel = manifest.levels.find(l => l.level === level)?.label || `Level ${level}`
+  const monthLabel = months.find(m => m.id === month)?.label || month
+  const colorFor = (id) => LOCATION_COLORS[locations.findIndex(l => l.id === id) % LOCATION_COLORS.length]
+
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+  const chartOptions = {
+    maintainAspectRatio: false,
+    responsive: true,
+    plugins: { legend: { labels: { color: textColor } } },
+    scales: {
+      x: { ticks: { color: textColor }, grid: { color: gridColor } },
+      y: { min: 0, ticks: { color: textColor, callback: (v) => `${v}%` }, grid: { color: gridColor } },
+    },
+  }
+
+  function toggle(id) {
+    setSelected(sel => (sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]))
+  }
+
+  function exportComparison() {
+    const noData = 'no data'
+    const cell = (c, v) => (c.available ? (v === null || v === undefined ? '' : Math.round(v * 100) / 100) : noData)
+    const header = ['Metric', ...result.columns.map(c => locationLabel(c.location))]
+    const rows = [
+      ['Students', ...result.columns.map(c => cell(c, c.analytics?.totalStudents))],
+      ['Average %', ...result.columns.map(c => cell(c, c.analytics?.avg))],
+      ['Pass rate %', ...result.columns.map(c => cell(c, c.analytics?.passRate))],
+      ['Min %', ...result.columns.map(c => cell(c, c.analytics?.min))],
+      ['Max %', ...result.columns.map(c => cell(c, c.analytics?.max))],
+      ...result.sectionNames.map(name => [`Section: ${name} %`, ...result.columns.map(c => cell(c, c.sectionAverages?.[name]))]),
+      ...result.questions.map(q => [`Facility: ${q.baseName.trim()}`, ...result.columns.map(c => cell(c, q.facilities[c.location]))]),
+    ]
+    downloadCSV([header, ...rows], `comparison_level${level}_${filePart(month)}.csv`)
+  }
+
+  const selectClass = 'px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer'
+  const cardClass = 'p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700'
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={level ?? ''} onChange={(e) => setLevel(Number(e.target.value))} className={selectClass}>
+          {manifest.levels.map(l => <option key={l.level} value={l.level}>{l.label}</option>)}
+        </select>
+        <select value={month ?? ''} onChange={(e) => setMonth(e.target.value)} className={selectClass}>
+          {months.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {locations.map(l => (
+            <label key={l.id} className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={selected.includes(l.id)} onChange={() => toggle(l.id)} />
+              <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: colorFor(l.id) }} />
+              {l.label}
+            </label>
+          ))}
+        </div>
+        <button onClick={exportComparison} disabled={!available.length} className="ml-auto px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50">
+          Export CSV
+        </button>
+      </div>
+
+      {(loading || comparing) && <div className="text-sm text-gray-500 dark:text-gray-400">{loading ? 'Loading all locations…' : 'Comparing…'}</div>}
+
+      {/* Per-location analytics cards */}
+      <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {result.columns.map(c => (
+          <div key={c.location} className={cardClass} style={{ borderTop: `4px solid ${colorFor(c.location)}` }}>
+            <div className="text-sm font-semibold mb-3">{locationLabel(c.location)}</div>
+            {c.available ? (
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                <div><div className="text-gray-500 dark:text-gray-400">Students</div><div className="text-2xl font-bold">{c.analytics.totalStudents}</div></div>
+                <div><div className="text-gray-500 dark:text-gray-400">Average</div><div className="text-2xl font-bold">{pct(c.analytics.avg)}</div></div>
+                <div><div className="text-gray-500 dark:text-gray-400">Pass rate</div><div className="text-2xl font-bold text-emerald-600 dark:text-emerald-400">{Math.round(c.analytics.passRate)}%</div></div>
+                <div><div className="text-gray-500 dark:text-gray-400">Range</div><div className="text-lg font-semibold">{pct(c.analytics.min)} - {pct(c.analytics.max)}</div></div>
+              </div>
+            ) : (
+              <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                <ExclamationCircleIcon className="w-5 h-5 shrink-0" />
+                {loading ? 'Loading…' : `No data for ${levelLabel} in ${monthLabel}.`}
+              </div>
+            )}
+          </div>
+        ))}
+      </section>
+
+      {available.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className={cardClass}>
+            <h3 className="text-lg font-semibold mb-4">Score Distribution (% of students)</h3>
+            <div className="h-64">
+              <Bar
+                options={chartOptions}
+                data={{
+                  labels: DISTRIBUTION_LABELS,
+                  datasets: available.map(c => ({
+                    label: locationLabel(c.location),
+                    data: c.distribution,
+                    backgroundColor: colorFor(c.location),
+                    borderRadius: 4,
+                  })),
+                }}
+              />
+            </div>
+          </div>
+          <div className={cardClass}>
+            <h3 className="text-lg font-semibold mb-4">Section Averages</h3>
+            <div className="h-64">
+              <Bar
+                options={{ ...chartOptions, scales: { ...chartOptions.scales, y: { ...chartOptions.scales.y, max: 100 } } }}
+                data={{
+                  labels: result.sectionNames,
+                  datasets: available.map(c => ({
+                    label: locationLabel(c.location),
+                    data: result.sectionNames.map(name => c.sectionAverages[name] ?? null),
+                    backgroundColor: colorFor(c.location),
+                    borderRadius: 4,
+                  })),
+                }}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {result.questions.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+          <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-lg font-semibold">Question facility by location</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Mean % score per question; differences of {SPREAD_HIGHLIGHT} points or more are highlighted.</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300">Question</th>
+                  <th className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300">Section</th>
+                  {result.columns.map(c => (
+                    <th key={c.location} className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{locationLabel(c.location)}</th>
+                  ))}
+                  <th className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300">Spread</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {result.questions.map(q => (
+                  <tr key={q.normalizedName} className={q.spread !== null && q.spread >= SPREAD_HIGHLIGHT ? 'bg-yellow-50/60 dark:bg-yellow-900/10' : ''}>
+                    <td className="px-4 py-2.5 max-w-md"><div className="truncate" title={q.baseName}>{q.baseName}</div></td>
+                    <td className="px-4 py-2.5 whitespace-nowrap text-gray-600 dark:text-gray-300">{q.section || '-'}</td>
+                    {result.columns.map(c => (
+                      <td key={c.location} className="px-4 py-2.5 whitespace-nowrap text-gray-600 dark:text-gray-300">
+                        {!c.available ? <span className="italic text-gray-400">no data</span> : !(c.location in q.facilities) ? <span className="italic text-gray-400">not asked</span> : pct(q.facilities[c.location])}
+                      </td>
+                    ))}
+                    <td className="px-4 py-2.5 whitespace-nowrap font-medium">{q.spread === null ? '-' : `${prettyNumber(q.spread)} pts`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import { ChevronDownIcon, ChevronRightIcon, ExclamationTriangleIcon, ExclamationCircleIcon, CheckCircleIcon } from '@heroicons/react/24/outline'
+import { issueCounts, issueReportRows } from '../lib/validate.js'
+import { downloadCSV } from '../lib/download.js'
+
+function fileName(path) {
+  return path ? String(path).split('/').pop() : '-'
+}
+
+/**
+ * Collapsible list of data quality issues for the loaded level,
+ * exportable as a CSV report.
+ */
+export default function DataHealthPanel({ issues, reportName }) {
+  const [open, setOpen] = useState(false)
+  const { errors, warnings } = issueCounts(issues)
+
+  const Icon = errors ? ExclamationCircleIcon : warnings ? ExclamationTriangleIcon : CheckCircleIcon
+  const tone = errors
+    ? 'text-rose-700 dark:text-rose-400'
+    : warnings ? 'text-yellow-700 dark:text-yellow-400' : 'text-emerald-700 dark:text-emerald-400'
+
+  return (
+    <section className="mb-6 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="flex items-center gap-3 px-4 py-3">
+        <button onClick={() => setOpen(!open)} disabled={!issues.length} className="flex items-center gap-2 text-sm font-medium disabled:cursor-default">
+          {issues.length > 0 && (open ? <ChevronDownIcon className="w-4 h-4"/> : <ChevronRightIcon className="w-4 h-4"/>)}
+          <Icon className={`w-5 h-5 ${tone}`}/>
+          Data health
+          <span className={tone}>
+            {issues.length ? `${errors} error(s), ${warnings} warning(s)` : 'No problems found'}
+          </span>
+        </button>
+        {issues.length > 0 && (
+          <button onClick={() => downloadCSV(issueReportRows(issues), reportName)} className="ml-auto px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+            Export report
+          </button>
+        )}
+      </div>
+
+      {open && issues.length > 0 && (
+        <div className="overflow-x-auto max-h-80 border-t border-gray-200 dark:border-gray-700">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 sticky top-0">
+              <tr>
+                {['', 'File', 'Row', 'Column', 'Problem'].map((h, i) => (
+                  <th key={i} className="px-4 py-2 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {issues.map((issue, i) => (
+                <tr key={i}>
+                  <td className="px-4 py-2">
+                    <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${issue.severity === 'error' ? 'bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400' : 'bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400'}`}>
+                      {issue.severity}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600 dark:text-gray-300" title={issue.file || ''}>{fileName(issue.file)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600 dark:text-gray-300">{issue.row ?? '-'}</td>
+                  <td className="px-4 py-2 max-w-[12rem] truncate text-gray-600 dark:text-gray-300" title={issue.column || ''}>{issue.column || '-'}</td>
+                  <td className="px-4 py-2">{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
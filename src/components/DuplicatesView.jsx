@@ -0,0 +1,101 @@
+import React from 'react'
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { RESOLUTION_POLICIES, KEEP_ALL, attemptId, keptAttempts } from '../lib/duplicates.js'
+import { SO_KEY } from '../lib/history.js'
+import { totalScore } from '../lib/dataset.js'
+import { prettyNumber } from '../lib/format.js'
+
+const selectClass = 'px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer'
+
+/**
+ * Review list of repeat submissions with the resolution policy and
+ * per-student overrides (which attempt counts, or all of them).
+ */
+export default function DuplicatesView({ groups, policy, splitNames, overrides, onPolicyChange, onSplitNamesChange, onOverride, privacy }) {
+  const dropped = groups.reduce((n, g) => n + g.rows.length - keptAttempts(g, policy, overrides[g.id], splitNames).length, 0)
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select value={policy} onChange={(e) => onPolicyChange(e.target.value)} className={selectClass}>
+          {RESOLUTION_POLICIES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <label className="flex items-center gap-2 cursor-pointer text-gray-600 dark:text-gray-300">
+          <input type="checkbox" checked={splitNames} onChange={(e) => onSplitNamesChange(e.target.checked)} />
+          Treat different names as different students
+        </label>
+        <span className="ml-auto text-gray-500 dark:text-gray-400">
+          {groups.length} group(s) of repeat submissions · {dropped} attempt(s) excluded
+        </span>
+      </div>
+
+      {groups.length === 0 && (
+        <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+          No repeat submissions in this dataset.
+        </div>
+      )}
+
+      {groups.map(g => {
+        const override = overrides[g.id]
+        const kept = keptAttempts(g, policy, override, splitNames)
+        return (
+          <div key={g.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-gray-100 dark:border-gray-700 text-sm">
+              <span className="font-semibold">{privacy.name(g.rows[g.rows.length - 1])}</span>
+              <span className="text-gray-500 dark:text-gray-400">matched by {g.reasons.join(', ')}</span>
+              {g.namesDiffer && (
+                <span className="flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">
+                  <ExclamationTriangleIcon className="w-3.5 h-3.5"/>
+                  Different names, possibly a shared family account
+                </span>
+              )}
+              <div className="ml-auto flex items-center gap-2">
+                <label className={`flex items-center gap-1.5 cursor-pointer ${override === KEEP_ALL ? 'font-medium' : ''}`}>
+                  <input type="radio" checked={override === KEEP_ALL} onChange={() => onOverride(g.id, KEEP_ALL)} />
+                  Keep all
+                </label>
+                {override && (
+                  <button onClick={() => onOverride(g.id, null)} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                    Use policy
+                  </button>
+                )}
+              </div>
+            </div>
+            <table className="w-full text-left text-sm">
+              <thead className="text-gray-500 dark:text-gray-400">
+                <tr>
+                  {['Keep', 'Submitted', 'Name', 'Identity Number', 'Username', 'Score'].map(h => (
+                    <th key={h} className="px-4 py-2 font-semibold whitespace-nowrap">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {g.rows.map(r => {
+                  const id = attemptId(r)
+                  const isKept = kept.includes(r)
+                  const { score, max, percent } = totalScore(r)
+                  return (
+                    <tr key={id} className={isKept ? '' : 'text-gray-400 dark:text-gray-500 line-through decoration-gray-300'}>
+                      <td className="px-4 py-2">
+                        <input type="radio" checked={override === id} onChange={() => onOverride(g.id, id)} title="Keep only this attempt" />
+                        {isKept && <span className="ml-2 text-xs font-bold uppercase text-emerald-700 dark:text-emerald-400 no-underline">kept</span>}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap">{r.Timestamp || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{privacy.value('Name', r.Name, r) || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{privacy.value(SO_KEY, r[SO_KEY], r) || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{r.Username ? privacy.value('Username', r.Username, r) : privacy.value('Email', r.Email, r) || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        {prettyNumber(score)} / {prettyNumber(max)}
+                        <span className="ml-1 text-gray-500">({percent === null ? '-' : `${prettyNumber(percent)}%`})</span>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,213 @@
+import React, { useMemo, useState } from 'react'
+import { XMarkIcon, FunnelIcon } from '@heroicons/react/24/outline'
+import { FILTER_TYPES, filterLabel, sameFilter } from '../lib/filters.js'
+
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+
+const EMPTY_DRAFT = { type: 'status', value: 'PASS', min: '', max: '', section: '', scoreKey: '', reference: false }
+
+/**
+ * Filter chips with an AND/OR switch and a small form to add a filter.
+ * `ctx` is the filters.js context plus { metaMap, sections, grades, rows, hasReference, placementLevels }.
+ */
+export default function FilterBuilder({ filters, combine, onChange, onCombineChange, ctx, disabled }) {
+  const [adding, setAdding] = useState(false)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const update = (patch) => setDraft(d => ({ ...d, ...patch }))
+
+  const questions = ctx.quizGroups.map((g, i) => ({ g, i, type: ctx.metaMap[g.normalizedName]?.Type?.trim() }))
+  const mcqs = questions.filter(q => q.type === 'MCQ')
+
+  // Answers students actually gave to the chosen question, most common first
+  const answers = useMemo(() => {
+    const group = ctx.quizGroups.find(g => g.scoreKey === draft.scoreKey)
+    if (draft.type !== 'answer' || !group) return []
+    const counts = new Map()
+    ctx.rows.forEach(r => {
+      const v = String(r[group.questionKey] ?? '').trim()
+      if (v) counts.set(v, (counts.get(v) || 0) + 1)
+    })
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])
+  }, [draft.type, draft.scoreKey, ctx.rows, ctx.quizGroups])
+
+  function changeType(type) {
+    const first = (type === 'answer' ? mcqs[0] : questions[0])?.g.scoreKey || ''
+    setDraft({
+      ...EMPTY_DRAFT,
+      type,
+      value: type === 'status' ? 'PASS' : type === 'grade' ? ctx.grades[0] || '' : type === 'placement' ? String(ctx.placementLevels[0] ?? '') : '',
+      section: ctx.sections[0]?.name || '',
+      scoreKey: type === 'blank' ? '' : first,
+    })
+  }
+
+  function built() {
+    switch (draft.type) {
+      case 'status':
+      case 'grade':
+      case 'placement':
+        return { type: draft.type, value: draft.value }
+      case 'total':
+        return { type: 'total', min: draft.min, max: draft.max }
+      case 'section':
+        return { type: 'section', section: draft.section, min: draft.min, max: draft.max }
+      case 'percentile':
+        return { type: 'percentile', min: draft.min, max: draft.max, ...(draft.reference && ctx.hasReference ? { reference: true } : {}) }
+      case 'zscore':
+        return { type: 'zscore', min: draft.min, max: draft.max }
+      case 'question':
+        return { type: 'question', scoreKey: draft.scoreKey, min: draft.min, max: draft.max }
+      case 'answer':
+        return { type: 'answer', scoreKey: draft.scoreKey, value: draft.value }
+      case 'blank':
+        return { type: 'blank', scoreKey: draft.scoreKey || null }
+    }
+  }
+
+  const filter = built()
+  const valid = (() => {
+    if (['total', 'section', 'question', 'percentile', 'zscore'].includes(filter.type) && filter.min === '' && filter.max === '') return false
+    if (filter.type === 'section' && !filter.section) return false
+    if (['question', 'answer'].includes(filter.type) && !filter.scoreKey) return false
+    if (['grade', 'answer', 'placement'].includes(filter.type) && !filter.value) return false
+    return true
+  })()
+
+  function add() {
+    if (!filters.some(f => sameFilter(f, filter))) onChange([...filters, filter])
+    setAdding(false)
+  }
+
+  const types = FILTER_TYPES.filter(t =>
+    (t.id !== 'grade' || ctx.grades.length) &&
+    (t.id !== 'section' || ctx.sections.length) &&
+    (t.id !== 'placement' || ctx.placementLevels.length) &&
+    (t.id !== 'answer' || mcqs.length))
+
+  const rangeInputs = (unit, step) => (
+    <>
+      <input type="number" step={step} value={draft.min} onChange={(e) => update({ min: e.target.value })} placeholder="min" className={`${inputClass} w-20`} />
+      <span>to</span>
+      <input type="number" step={step} value={draft.max} onChange={(e) => update({ max: e.target.value })} placeholder="max" className={`${inputClass} w-20`} />
+      {unit && <span className="text-gray-500 dark:text-gray-400">{unit}</span>}
+    </>
+  )
+
+  const questionSelect = (list, withAny) => (
+    <select value={draft.scoreKey} onChange={(e) => update({ scoreKey: e.target.value, value: '' })} className={`${inputClass} max-w-xs`}>
+      {withAny && <option value="">Any question</option>}
+      {list.map(q => (
+        <option key={q.g.scoreKey} value={q.g.scoreKey}>Q{q.i + 1} {q.g.baseName.trim()}</option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => { setAdding(a => !a); changeType('status') }}
+          disabled={disabled}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 font-medium transition-colors disabled:opacity-50">
+          <FunnelIcon className="w-4 h-4" />
+          Add filter
+        </button>
+
+        {filters.length > 1 && (
+          <div className="flex bg-white dark:bg-gray-800 rounded-lg p-0.5 border border-gray-200 dark:border-gray-700">
+            {['and', 'or'].map(c => (
+              <button
+                key={c}
+                onClick={() => onCombineChange(c)}
+                title={c === 'and' ? 'Students matching every filter' : 'Students matching any filter'}
+                className={`px-2.5 py-0.5 rounded-md text-xs font-semibold uppercase transition-colors ${combine === c ? 'bg-indigo-600 text-white' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+                {c}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {filters.map((f, i) => (
+          <span key={i} className="flex items-center gap-1 pl-3 pr-1.5 py-1 rounded-full bg-indigo-50 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 font-medium">
+            {filterLabel(f, ctx)}
+            <button onClick={() => onChange(filters.filter((_, j) => j !== i))} title="Remove filter" className="p-0.5 rounded-full hover:bg-indigo-100 dark:hover:bg-indigo-800/50">
+              <XMarkIcon className="w-3.5 h-3.5" />
+            </button>
+          </span>
+        ))}
+
+        {filters.length > 0 && (
+          <button onClick={() => onChange([])} className="text-gray-500 dark:text-gray-400 hover:underline">Clear all</button>
+        )}
+      </div>
+
+      {adding && (
+        <div className="mt-3 p-3 flex flex-wrap items-center gap-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+          <select value={draft.type} onChange={(e) => changeType(e.target.value)} className={inputClass}>
+            {types.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
+
+          {draft.type === 'status' && (
+            <select value={draft.value} onChange={(e) => update({ value: e.target.value })} className={inputClass}>
+              <option value="PASS">Passed</option>
+              <option value="FAIL">Failed</option>
+            </select>
+          )}
+          {draft.type === 'grade' && (
+            <select value={draft.value} onChange={(e) => update({ value: e.target.value })} className={inputClass}>
+              {ctx.grades.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+          )}
+          {draft.type === 'placement' && (
+            <select value={draft.value} onChange={(e) => update({ value: e.target.value })} className={inputClass}>
+              {ctx.placementLevels.map(lv => <option key={lv} value={lv}>{ctx.levelLabel(lv)}</option>)}
+              <option value="review">Needs review</option>
+            </select>
+          )}
+          {draft.type === 'total' && rangeInputs('%')}
+          {draft.type === 'section' && (
+            <>
+              <select value={draft.section} onChange={(e) => update({ section: e.target.value })} className={inputClass}>
+                {ctx.sections.map(sec => <option key={sec.name} value={sec.name}>{sec.name}</option>)}
+              </select>
+              {rangeInputs('%')}
+            </>
+          )}
+          {draft.type === 'percentile' && (
+            <>
+              {ctx.hasReference && (
+                <select value={draft.reference ? 'all' : 'own'} onChange={(e) => update({ reference: e.target.value === 'all' })} className={inputClass}>
+                  <option value="own">Within this center</option>
+                  <option value="all">Among all centers</option>
+                </select>
+              )}
+              {rangeInputs('percentile')}
+            </>
+          )}
+          {draft.type === 'zscore' && rangeInputs('', '0.1')}
+          {draft.type === 'question' && (
+            <>
+              {questionSelect(questions)}
+              {rangeInputs('points')}
+            </>
+          )}
+          {draft.type === 'answer' && (
+            <>
+              {questionSelect(mcqs)}
+              <select value={draft.value} onChange={(e) => update({ value: e.target.value })} className={`${inputClass} max-w-xs`}>
+                <option value="">Choose an answer…</option>
+                {answers.map(([v, n]) => <option key={v} value={v}>{v} ({n})</option>)}
+              </select>
+            </>
+          )}
+          {draft.type === 'blank' && questionSelect(questions, true)}
+
+          <div className="ml-auto flex gap-2">
+            <button onClick={() => setAdding(false)} className="px-3 py-1 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 font-medium">Cancel</button>
+            <button onClick={add} disabled={!valid} className="px-3 py-1 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white font-medium disabled:opacity-50">Add</button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
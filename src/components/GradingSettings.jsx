@@ -0,0 +1,217 @@
+import React from 'react'
+import { PlusIcon, TrashIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline'
+import { downloadBlob } from '../lib/download.js'
+
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+const numberClass = `${inputClass} w-20`
+const iconButton = 'p-1.5 rounded-md text-gray-500 hover:text-rose-600 hover:bg-gray-100 dark:hover:bg-gray-700'
+const addButton = 'flex items-center gap-1 text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline'
+
+function numberOrBlank(v) {
+  return v === '' ? '' : Number(v)
+}
+
+/**
+ * Editor for the grading policy (grading.json). Changes apply immediately
+ * and are kept in the browser until reset to the file.
+ */
+export default function GradingSettings({ policy, edited, levels, months, sections, onChange, onReset }) {
+  const update = (patch) => onChange({ ...policy, ...patch })
+
+  function updateOverride(i, patch) {
+    update({ overrides: policy.overrides.map((o, j) => (j === i ? { ...o, ...patch } : o)) })
+  }
+
+  function updateBand(i, patch) {
+    update({ gradeBands: policy.gradeBands.map((b, j) => (j === i ? { ...b, ...patch } : b)) })
+  }
+
+  function updateSectionMinimum(name, value) {
+    const next = { ...policy.sectionMinimums }
+    if (value === '') delete next[name]
+    else next[name] = Number(value)
+    update({ sectionMinimums: next })
+  }
+
+  function updatePlacement(patch) {
+    update({ placement: { ...policy.placement, ...patch } })
+  }
+
+  function updateCut(i, patch) {
+    updatePlacement({ cuts: policy.placement.cuts.map((c, j) => (j === i ? { ...c, ...patch } : c)) })
+  }
+
+  function updateRule(i, patch) {
+    updatePlacement({ sectionRules: policy.placement.sectionRules.map((rule, j) => (j === i ? { ...rule, ...patch } : rule)) })
+  }
+
+  function download() {
+    downloadBlob(new Blob([JSON.stringify(policy, null, 2)], { type: 'application/json' }), 'grading.json')
+  }
+
+  // Sections configured in the policy but absent from the current level are still editable
+  const sectionNames = [...new Set([...sections, ...Object.keys(policy.sectionMinimums)])]
+  const placement = policy.placement
+  const ruleSections = [...new Set([...sections, ...placement.sectionRules.map(rule => rule.section).filter(Boolean)])]
+  const levelOptions = levels.map(l => <option key={l.level} value={l.level}>{l.label}</option>)
+
+  return (
+    <section className="mb-6 p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700 space-y-5 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="text-lg font-semibold">Grading policy</h3>
+        {edited && <span className="px-2 py-0.5 rounded text-xs font-medium bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">Edited in this browser</span>}
+        <div className="ml-auto flex gap-2">
+          <button onClick={onReset} disabled={!edited} className="px-3 py-1.5 rounded-lg font-medium bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50">
+            Reset to file
+          </button>
+          <button onClick={download} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg font-medium bg-indigo-600 hover:bg-indigo-700 text-white">
+            <ArrowDownTrayIcon className="w-4 h-4"/>
+            Download grading.json
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-3">
+          <label className="flex items-center gap-2">
+            <span className="text-gray-600 dark:text-gray-300">Default pass mark</span>
+            <input type="number" min="0" max="100" value={policy.passMark} onChange={(e) => update({ passMark: numberOrBlank(e.target.value) })} className={numberClass} />
+            <span>%</span>
+          </label>
+
+          <div>
+            <div className="font-medium mb-2">Per level / month</div>
+            <div className="space-y-2">
+              {policy.overrides.map((o, i) => (
+                <div key={i} className="flex flex-wrap items-center gap-2">
+                  <select value={o.level ?? ''} onChange={(e) => updateOverride(i, { level: e.target.value === '' ? undefined : Number(e.target.value) })} className={inputClass}>
+                    <option value="">Any level</option>
+                    {levels.map(l => <option key={l.level} value={l.level}>{l.label}</option>)}
+                  </select>
+                  <select value={o.month ?? ''} onChange={(e) => updateOverride(i, { month: e.target.value || undefined })} className={inputClass}>
+                    <option value="">Any month</option>
+                    {o.month && !months.some(m => m.id === o.month) && <option value={o.month}>{o.month}</option>}
+                    {months.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                  </select>
+                  <input type="number" min="0" max="100" value={o.passMark ?? ''} onChange={(e) => updateOverride(i, { passMark: numberOrBlank(e.target.value) })} className={numberClass} />
+                  <span>%</span>
+                  <button onClick={() => update({ overrides: policy.overrides.filter((_, j) => j !== i) })} title="Remove" className={iconButton}>
+                    <TrashIcon className="w-4 h-4"/>
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => update({ overrides: [...policy.overrides, { level: levels[0]?.level, passMark: policy.passMark }] })} className={`${addButton} mt-2`}>
+              <PlusIcon className="w-4 h-4"/> Add override
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div className="font-medium mb-2">Grade bands</div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Minimum % for each grade. Students below the pass mark are graded Fail.</p>
+          <div className="space-y-2">
+            {policy.gradeBands.map((b, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <input value={b.grade} onChange={(e) => updateBand(i, { grade: e.target.value })} className={`${inputClass} w-24`} placeholder="Grade" />
+                <span className="text-gray-500">from</span>
+                <input type="number" min="0" max="100" value={b.min} onChange={(e) => updateBand(i, { min: numberOrBlank(e.target.value) })} className={numberClass} />
+                <span>%</span>
+                <button onClick={() => update({ gradeBands: policy.gradeBands.filter((_, j) => j !== i) })} title="Remove" className={iconButton}>
+                  <TrashIcon className="w-4 h-4"/>
+                </button>
+              </div>
+            ))}
+          </div>
+          <button onClick={() => update({ gradeBands: [...policy.gradeBands, { grade: '', min: policy.passMark }] })} className={`${addButton} mt-2`}>
+            <PlusIcon className="w-4 h-4"/> Add band
+          </button>
+        </div>
+
+        <div>
+          <div className="font-medium mb-2">Section minimums</div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">A student below a section minimum fails regardless of total. Leave blank for none.</p>
+          {sectionNames.length === 0 && <div className="text-gray-500 dark:text-gray-400">This level has no sections.</div>}
+          <div className="space-y-2">
+            {sectionNames.map(name => (
+              <label key={name} className="flex items-center gap-2">
+                <span className="w-28 truncate" title={name}>{name}</span>
+                <input type="number" min="0" max="100" value={policy.sectionMinimums[name] ?? ''} onChange={(e) => updateSectionMinimum(name, e.target.value)} className={numberClass} />
+                <span>%</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="pt-5 border-t border-gray-100 dark:border-gray-700">
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <div className="font-medium">Placement</div>
+          <label className="flex items-center gap-2">
+            <span className="text-gray-600 dark:text-gray-300">Placement test</span>
+            <select value={placement.level} onChange={(e) => updatePlacement({ level: Number(e.target.value) })} className={inputClass}>
+              {levelOptions}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-gray-600 dark:text-gray-300">Review within</span>
+            <input type="number" min="0" max="100" value={placement.margin} onChange={(e) => updatePlacement({ margin: numberOrBlank(e.target.value) })} className={numberClass} />
+            <span>points of a cut</span>
+          </label>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Minimum total % for each recommended level.</p>
+            <div className="space-y-2">
+              {placement.cuts.map((c, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <select value={c.level} onChange={(e) => updateCut(i, { level: Number(e.target.value) })} className={inputClass}>
+                    {levelOptions}
+                  </select>
+                  <span className="text-gray-500">from</span>
+                  <input type="number" min="0" max="100" value={c.min} onChange={(e) => updateCut(i, { min: numberOrBlank(e.target.value) })} className={numberClass} />
+                  <span>%</span>
+                  <button onClick={() => updatePlacement({ cuts: placement.cuts.filter((_, j) => j !== i) })} title="Remove" className={iconButton}>
+                    <TrashIcon className="w-4 h-4"/>
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => updatePlacement({ cuts: [...placement.cuts, { level: levels[levels.length - 1]?.level, min: '' }] })} className={`${addButton} mt-2`}>
+              <PlusIcon className="w-4 h-4"/> Add cut score
+            </button>
+          </div>
+
+          <div className="lg:col-span-2">
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">A student below the minimum in a section is placed no higher than the given level.</p>
+            <div className="space-y-2">
+              {placement.sectionRules.map((rule, i) => (
+                <div key={i} className="flex flex-wrap items-center gap-2">
+                  <select value={rule.section} onChange={(e) => updateRule(i, { section: e.target.value })} className={inputClass}>
+                    {ruleSections.map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <span className="text-gray-500">below</span>
+                  <input type="number" min="0" max="100" value={rule.min} onChange={(e) => updateRule(i, { min: numberOrBlank(e.target.value) })} className={numberClass} />
+                  <span>%: at most</span>
+                  <select value={rule.maxLevel} onChange={(e) => updateRule(i, { maxLevel: Number(e.target.value) })} className={inputClass}>
+                    {levelOptions}
+                  </select>
+                  <button onClick={() => updatePlacement({ sectionRules: placement.sectionRules.filter((_, j) => j !== i) })} title="Remove" className={iconButton}>
+                    <TrashIcon className="w-4 h-4"/>
+                  </button>
+                </div>
+              ))}
+            </div>
+            {ruleSections.length === 0
+              ? <div className="text-gray-500 dark:text-gray-400">Open the placement test to add section rules.</div>
+              : (
+                <button onClick={() => updatePlacement({ sectionRules: [...placement.sectionRules, { section: ruleSections[0], min: 50, maxLevel: levels[1]?.level ?? levels[0]?.level }] })} className={`${addButton} mt-2`}>
+                  <PlusIcon className="w-4 h-4"/> Add section rule
+                </button>
+              )}
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
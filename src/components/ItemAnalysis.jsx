@@ -0,0 +1,150 @@
+import React, { Fragment, useState } from 'react'
+import { ExclamationTriangleIcon, CheckCircleIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
+import { prettyNumber } from '../lib/format.js'
+
+function facilityClass(f) {
+  if (f === null) return 'text-gray-400'
+  if (f >= 85) return 'text-sky-700 dark:text-sky-400' // too easy
+  if (f < 30) return 'text-rose-700 dark:text-rose-400' // too hard
+  return 'text-gray-700 dark:text-gray-300'
+}
+
+function discriminationClass(d) {
+  if (d === null) return 'text-gray-400'
+  if (d < 0) return 'text-rose-700 dark:text-rose-400 font-semibold'
+  if (d < 0.2) return 'text-yellow-700 dark:text-yellow-400'
+  return 'text-emerald-700 dark:text-emerald-400'
+}
+
+/**
+ * Per-question table with facility, discrimination, blank rate and,
+ * for MCQ items, an expandable distractor breakdown. `pending` and
+ * `error` describe the worker run that produces `items`.
+ */
+export default function ItemAnalysis({ items, pending, error }) {
+  const [expanded, setExpanded] = useState(null)
+  const [flaggedOnly, setFlaggedOnly] = useState(false)
+
+  const rows = flaggedOnly ? items.filter(i => i.flags.length) : items
+  const flaggedCount = items.filter(i => i.flags.length).length
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-2 p-4 border-b border-gray-200 dark:border-gray-700">
+        <div>
+          <h3 className="text-lg font-semibold">Item analysis</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Facility = mean % score. D = upper minus lower 27% by total score. r<sub>pb</sub> = correlation with the rest of the test.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          Flagged only ({flaggedCount})
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+            <tr>
+              {['#', 'Question', 'Section', 'Type', 'Facility', 'D', 'rpb', 'Blank', 'Flags'].map(h => (
+                <th key={h} className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {rows.map(item => {
+              const open = expanded === item.index
+              const canExpand = !!item.options
+              return (
+                <Fragment key={item.index}>
+                  <tr
+                    onClick={() => canExpand && setExpanded(open ? null : item.index)}
+                    className={`${canExpand ? 'cursor-pointer' : ''} hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10 transition-colors`}
+                  >
+                    <td className="px-4 py-3 text-gray-500 whitespace-nowrap">
+                      <span className="inline-flex items-center gap-1">
+                        {canExpand && (open ? <ChevronDownIcon className="w-3.5 h-3.5" /> : <ChevronRightIcon className="w-3.5 h-3.5" />)}
+                        {item.index}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 max-w-md">
+                      <div className="truncate" title={item.group.baseName}>{item.group.baseName}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{item.section || '-'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{item.type || '-'}</td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${facilityClass(item.facility)}`}>
+                      {item.facility === null ? '-' : `${prettyNumber(item.facility)}%`}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${discriminationClass(item.discrimination)}`}>
+                      {item.discrimination === null ? '-' : item.discrimination.toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">
+                      {item.pointBiserial === null ? '-' : item.pointBiserial.toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{prettyNumber(item.blankRate)}%</td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {item.flags.map(f => (
+                          <span key={f} className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400 whitespace-nowrap">
+                            <ExclamationTriangleIcon className="w-3 h-3" /> {f}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                  {open && (
+                    <tr>
+                      <td colSpan={9} className="px-4 pb-4 pt-1 bg-gray-50/60 dark:bg-gray-900/40">
+                        <table className="w-full max-w-2xl text-sm">
+                          <thead>
+                            <tr className="text-xs uppercase text-gray-400">
+                              <th className="py-2 pr-4 text-left">Option</th>
+                              <th className="py-2 pr-4 text-right">Students</th>
+                              <th className="py-2 text-left w-1/2">Share</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {item.options.map(o => (
+                              <tr key={o.option} className={o.isKey ? 'text-emerald-700 dark:text-emerald-400 font-medium' : 'text-gray-700 dark:text-gray-300'}>
+                                <td className="py-1.5 pr-4">
+                                  <span className="inline-flex items-center gap-1">
+                                    {o.isKey && <CheckCircleIcon className="w-4 h-4" />}
+                                    {o.option}
+                                  </span>
+                                </td>
+                                <td className="py-1.5 pr-4 text-right">{o.count}</td>
+                                <td className="py-1.5">
+                                  <div className="h-2 w-full bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                                    <div style={{ width: `${o.percent}%` }} className={`h-full rounded-full ${o.isKey ? 'bg-emerald-500' : 'bg-indigo-400'}`} />
+                                  </div>
+                                </td>
+                              </tr>
+                            ))}
+                            <tr className="text-gray-400 italic">
+                              <td className="py-1.5 pr-4">No response</td>
+                              <td className="py-1.5 pr-4 text-right">{item.blankCount}</td>
+                              <td />
+                            </tr>
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={9} className={`px-6 py-8 text-center ${error ? 'text-rose-700 dark:text-rose-400' : 'text-gray-500'}`}>
+                  {error ? `Item analysis failed: ${error}`
+                    : pending ? 'Analyzing questions…'
+                    : items.length ? 'No flagged questions.' : 'No quiz questions in this dataset.'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react'
+import { ArrowUpTrayIcon, TrashIcon } from '@heroicons/react/24/outline'
+import { filesFromDataTransfer, filesFromList, importLocalFiles } from '../lib/localData.js'
+
+/**
+ * Drop zone / file picker for response + meta CSVs, folders or zips.
+ * Files are read in the browser and handed to `onImport`; nothing is uploaded.
+ * `onImport` returns the paths of earlier files it replaced.
+ */
+export default function LocalDataPanel({ levels, localFiles, keepLocal, onKeepLocalChange, onImport, onClear }) {
+  const [dragging, setDragging] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [fallbackLevel, setFallbackLevel] = useState(levels[0]?.level ?? 0)
+  const fileInput = useRef(null)
+  const folderInput = useRef(null)
+
+  async function handle(files) {
+    if (!files.length) return
+    setBusy(true)
+    setMessage(null)
+    try {
+      const { files: imported, skipped, notResponses, collisions } = await importLocalFiles(files, fallbackLevel)
+      const paths = Object.keys(imported)
+      const csvCount = paths.filter(p => /\.csv$/i.test(p)).length
+      const rubricCount = paths.length - csvCount
+      const problems = [
+        ...notResponses.map(p => `${p} is not a quiz export or meta file`),
+        ...collisions.map(c => `${c.path} was left out: it is the same level as ${c.file}`),
+      ]
+      if (!paths.length) {
+        setMessage({ error: true, text: ['No quiz CSV files found in the selection.', ...problems].join(' ') })
+      } else {
+        const replaced = onImport(imported) || []
+        const loaded = [`${csvCount} CSV file(s)`, ...(rubricCount ? [`${rubricCount} rubric file(s)`] : [])].join(' and ')
+        setMessage({
+          error: problems.length > 0,
+          text: [
+            `Loaded ${loaded}${skipped.length ? `, skipped ${skipped.length} other file(s)` : ''}.`,
+            ...(replaced.length ? [`Replaced earlier files: ${replaced.join(', ')}.`] : []),
+            ...problems.map(p => `${p}.`),
+          ].join(' '),
+        })
+      }
+    } catch (e) {
+      console.warn('Failed to read local files:', e)
+      setMessage({ error: true, text: `Could not read files: ${e.message}` })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function onDrop(e) {
+    e.preventDefault()
+    setDragging(false)
+    handle(await filesFromDataTransfer(e.dataTransfer))
+  }
+
+  const localPaths = Object.keys(localFiles).sort()
+
+  return (
+    <section className="mb-6 p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        className={`flex flex-col items-center justify-center gap-2 p-6 rounded-lg border-2 border-dashed transition-colors ${dragging ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20' : 'border-gray-300 dark:border-gray-600'}`}
+      >
+        <ArrowUpTrayIcon className="w-6 h-6 text-indigo-500" />
+        <div className="text-sm text-gray-600 dark:text-gray-300 text-center">
+          Drop <code>levelN_response.csv</code>, <code>meta_levelN.csv</code> and optional <code>rubric_levelN.json</code> files, a <code>&lt;location&gt;/&lt;month&gt;</code> folder, or a zip here.
+        </div>
+        <div className="flex gap-2 mt-1">
+          <button onClick={() => fileInput.current.click()} disabled={busy} className="px-3 py-1.5 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50">
+            Choose files
+          </button>
+          <button onClick={() => folderInput.current.click()} disabled={busy} className="px-3 py-1.5 rounded-lg text-sm font-medium border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50">
+            Choose folder
+          </button>
+        </div>
+        <input ref={fileInput} type="file" multiple accept=".csv,.json,.zip" className="hidden" onChange={(e) => { handle(filesFromList(e.target.files)); e.target.value = '' }} />
+        <input ref={folderInput} type="file" webkitdirectory="" directory="" className="hidden" onChange={(e) => { handle(filesFromList(e.target.files)); e.target.value = '' }} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-4 text-sm text-gray-600 dark:text-gray-300">
+        <label className="flex items-center gap-2">
+          Files without a level in their name are
+          <select value={fallbackLevel} onChange={(e) => setFallbackLevel(Number(e.target.value))} className="px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+            {levels.map(l => <option key={l.level} value={l.level}>{l.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={keepLocal} onChange={(e) => onKeepLocalChange(e.target.checked)} />
+          Keep in this browser after reload
+        </label>
+        {localPaths.length > 0 && (
+          <button onClick={onClear} className="ml-auto flex items-center gap-1 px-3 py-1.5 rounded-lg text-rose-700 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/20">
+            <TrashIcon className="w-4 h-4" /> Clear local data
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mt-3 text-sm ${message.error ? 'text-rose-700 dark:text-rose-400' : 'text-emerald-700 dark:text-emerald-400'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {localPaths.length > 0 && (
+        <ul className="mt-3 text-xs text-gray-500 dark:text-gray-400 font-mono space-y-0.5">
+          {localPaths.map(p => <li key={p}>{p}</li>)}
+        </ul>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from 'react'
+import { Bar } from 'react-chartjs-2'
+import { attemptId } from '../lib/duplicates.js'
+import { gradeKey, isUngraded } from '../lib/manualGrading.js'
+import { rubricScore, criterionAverages } from '../lib/rubric.js'
+import { prettyNumber } from '../lib/format.js'
+
+const selectClass = 'px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer'
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+
+/** Level buttons per criterion; `picked` is { [criterion name]: points }. */
+function RubricGrid({ entry, picked, onPick }) {
+  return (
+    <div className="space-y-2">
+      {entry.criteria.map(c => (
+        <div key={c.name}>
+          <div className="flex justify-between text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+            <span>{c.name}</span>
+            <span>{picked[c.name] !== undefined ? prettyNumber(picked[c.name]) : '–'} / {prettyNumber(c.max)}</span>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {c.levels.map(l => (
+              <button
+                key={l.points}
+                onClick={() => onPick(c.name, l.points)}
+                className={`px-2 py-1 rounded-md border text-xs ${picked[c.name] === l.points
+                  ? 'bg-indigo-600 border-indigo-600 text-white'
+                  : 'border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+              >
+                {l.label || 'Level'} · {prettyNumber(l.points)}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function GradeCard({ row, formRow, question, grade, onSave, privacy }) {
+  const [score, setScore] = useState(grade ? String(grade.score) : '')
+  const [picked, setPicked] = useState(grade?.criteria || {})
+  const [feedback, setFeedback] = useState(grade?.feedback || '')
+  const { group, points, rubric } = question
+  const form = formRow[group.scoreKey]
+  const formFeedback = formRow[group.feedbackKey]
+
+  // With a rubric the score is the sum of the picked levels
+  const fromRubric = rubric ? rubricScore(rubric, picked) : null
+  const value = fromRubric ? fromRubric.score : Number(score)
+  const valid = fromRubric
+    ? fromRubric.complete
+    : score.trim() !== '' && Number.isFinite(value) && value >= 0 && value <= points
+  const dirty = fromRubric
+    ? JSON.stringify(picked) !== JSON.stringify(grade?.criteria || {}) || feedback !== (grade?.feedback || '')
+    : score !== (grade ? String(grade.score) : '') || feedback !== (grade?.feedback || '')
+
+  const response = (
+    <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/50 border border-gray-100 dark:border-gray-700 whitespace-pre-wrap text-gray-800 dark:text-gray-200 max-h-64 overflow-y-auto">
+      {String(row[group.questionKey] ?? '').trim() || <span className="italic text-gray-400">No response</span>}
+    </div>
+  )
+
+  function clear() {
+    onSave(null)
+    setScore('')
+    setPicked({})
+    setFeedback('')
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="font-semibold">{privacy.name(row)}</span>
+        <span className="text-gray-500 dark:text-gray-400">{row.Timestamp}</span>
+        {grade
+          ? <span className="ml-auto px-2 py-0.5 rounded text-xs font-medium bg-emerald-50 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400">Graded {prettyNumber(grade.score)} / {prettyNumber(grade.max)}</span>
+          : isUngraded(formRow, group)
+            ? <span className="ml-auto px-2 py-0.5 rounded text-xs font-medium bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">Ungraded</span>
+            : <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">Form score {form}</span>}
+      </div>
+
+      {rubric ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {response}
+          <RubricGrid entry={rubric} picked={picked} onPick={(name, p) => setPicked(prev => ({ ...prev, [name]: p }))} />
+        </div>
+      ) : response}
+      {formFeedback && formFeedback !== '--' && (
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Form feedback: {formFeedback}</p>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-start gap-3">
+        {fromRubric ? (
+          <span className="py-1 font-medium">Score {prettyNumber(value)} / {prettyNumber(points)}</span>
+        ) : (
+          <label className="flex items-center gap-2">
+            Score
+            <input type="number" min={0} max={points} step="0.5" value={score} onChange={(e) => setScore(e.target.value)} className={`${inputClass} w-20 ${score !== '' && !valid ? 'border-rose-400 dark:border-rose-600' : ''}`} />
+            <span className="text-gray-500 dark:text-gray-400">/ {prettyNumber(points)}</span>
+          </label>
+        )}
+        <textarea value={feedback} onChange={(e) => setFeedback(e.target.value)} rows={2} placeholder="Feedback for the student" className={`${inputClass} flex-1 min-w-[16rem]`} />
+        <div className="flex flex-col gap-1.5">
+          <button onClick={() => onSave({ score: value, feedback: feedback.trim(), ...(fromRubric && { criteria: picked }) })} disabled={!valid || !dirty} className="px-3 py-1 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white font-medium disabled:opacity-50">
+            Save
+          </button>
+          {grade && (
+            <button onClick={clear} className="px-3 py-1 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 font-medium">
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+      {!fromRubric && score !== '' && !valid && <p className="mt-1 text-xs text-rose-600 dark:text-rose-400">Enter a score from 0 to {prettyNumber(points)}.</p>}
+    </div>
+  )
+}
+
+/** Cohort average per rubric criterion, as a percentage of its points. */
+function RubricAverages({ entry, pickedList, dark }) {
+  const averages = criterionAverages(entry, pickedList)
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4">
+      <h3 className="text-sm font-semibold mb-2">Rubric averages · {pickedList.length} graded</h3>
+      <div style={{ height: `${Math.max(2, averages.length) * 2.5}rem` }}>
+        <Bar
+          data={{
+            labels: averages.map(a => a.name),
+            datasets: [{
+              label: 'Average',
+              data: averages.map(a => a.percent ?? 0),
+              backgroundColor: dark ? 'rgba(165,180,252,0.6)' : 'rgba(99,102,241,0.6)',
+            }],
+          }}
+          options={{
+            indexAxis: 'y',
+            maintainAspectRatio: false,
+            plugins: {
+              legend: { display: false },
+              tooltip: {
+                callbacks: {
+                  label: (ctx) => {
+                    const a = averages[ctx.dataIndex]
+                    return a.average === null ? 'No grades' : `${prettyNumber(a.average)} / ${prettyNumber(a.max)} (${Math.round(a.percent)}%)`
+                  },
+                },
+              },
+            },
+            scales: {
+              x: { min: 0, max: 100, ticks: { color: textColor, callback: (v) => `${v}%` }, grid: { color: gridColor } },
+              y: { ticks: { color: textColor }, grid: { display: false } },
+            },
+          }}
+        />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Grading queue for open-ended questions: each response with a score and
+ * feedback box. Saved grades replace the form's score everywhere.
+ * `questions` is [{ group, index, points, rubric }]; `formRows` are the
+ * same attempts before manual grades, for the form's own score. Questions
+ * with a rubric are scored by picking a level per criterion.
+ */
+export default function ManualGradingView({ questions, rows, formRows, grades, dataset, onGrade, onExport, onImport, privacy, dark }) {
+  const [questionKey, setQuestionKey] = useState(null)
+  const [show, setShow] = useState('ungraded')
+  const [message, setMessage] = useState(null)
+
+  const question = questions.find(q => q.group.scoreKey === questionKey) || questions[0]
+  const formByAttempt = useMemo(() => new Map(formRows.map(r => [attemptId(r), r])), [formRows])
+  const gradedCount = question ? rows.filter(r => grades[gradeKey(dataset, attemptId(r), question.group.normalizedName)]).length : 0
+  const pickedList = question?.rubric
+    ? rows.map(r => grades[gradeKey(dataset, attemptId(r), question.group.normalizedName)]?.criteria).filter(Boolean)
+    : []
+
+  async function importFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { added, updated, skipped } = await onImport(await file.text())
+      setMessage(`Imported ${added} new and ${updated} updated grade(s)${skipped ? `; ${skipped} row(s) skipped` : ''}.`)
+    } catch (err) {
+      setMessage(`Could not import grades: ${err.message}`)
+    }
+  }
+
+  if (!questions.length) {
+    return (
+      <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+        This level has no Paragraph or open-ended questions to grade.
+      </div>
+    )
+  }
+
+  const visible = rows.filter(r => {
+    if (show === 'all') return true
+    const graded = grades[gradeKey(dataset, attemptId(r), question.group.normalizedName)]
+    return !graded && isUngraded(formByAttempt.get(attemptId(r)) || r, question.group)
+  })
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select value={question.group.scoreKey} onChange={(e) => setQuestionKey(e.target.value)} className={`${selectClass} max-w-md`}>
+          {questions.map(q => (
+            <option key={q.group.scoreKey} value={q.group.scoreKey}>Q{q.index + 1} {q.group.baseName.trim().slice(0, 80)}</option>
+          ))}
+        </select>
+        <select value={show} onChange={(e) => setShow(e.target.value)} className={selectClass}>
+          <option value="ungraded">Ungraded only</option>
+          <option value="all">All responses</option>
+        </select>
+        <span className="text-gray-500 dark:text-gray-400">{gradedCount} of {rows.length} graded here</span>
+        <div className="ml-auto flex gap-2">
+          <label className="px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 font-medium cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,text/csv" onChange={importFile} className="hidden" />
+          </label>
+          <button onClick={onExport} className="px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 font-medium">
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {message && <div className="text-sm text-gray-600 dark:text-gray-300">{message}</div>}
+
+      <details className="text-sm text-gray-600 dark:text-gray-400">
+        <summary className="cursor-pointer font-medium">Question text</summary>
+        <p className="mt-2 whitespace-pre-wrap">{question.group.baseName.trim()}</p>
+      </details>
+
+      {question.rubric && <RubricAverages entry={question.rubric} pickedList={pickedList} dark={dark} />}
+
+      {visible.length === 0 && (
+        <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+          Every response to this question has a score. Choose "All responses" to review or change them.
+        </div>
+      )}
+
+      {visible.map(r => {
+        const attempt = attemptId(r)
+        const key = gradeKey(dataset, attempt, question.group.normalizedName)
+        return (
+          <GradeCard
+            key={key}
+            row={r}
+            formRow={formByAttempt.get(attempt) || r}
+            question={question}
+            grade={grades[key]}
+            onSave={(value) => onGrade(question, r, value)}
+            privacy={privacy}
+          />
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,170 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Dialog } from '@headlessui/react'
+import { compareMonths, PROGRESS_STATUSES } from '../lib/history.js'
+import { prettyNumber } from '../lib/format.js'
+import { downloadCSV, filePart } from '../lib/download.js'
+import StudentHistory from './StudentHistory.jsx'
+
+const STATUS_STYLES = {
+  improved: 'bg-emerald-50 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400',
+  declined: 'bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400',
+  unchanged: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+  new: 'bg-sky-50 dark:bg-sky-900/30 text-sky-700 dark:text-sky-400',
+  dropped: 'bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400',
+}
+
+function percentText(record) {
+  if (!record) return '-'
+  return record.total.percent === null ? '-' : `${prettyNumber(record.total.percent)}%`
+}
+
+/**
+ * Cohort progress between two test cycles of one location: who improved,
+ * declined, is new or dropped out. Rows open the student's full history.
+ */
+export default function ProgressView({ index, months, location, loading, monthLabel, levelLabel, locationLabel, dark, privacy }) {
+  // Name and identity number as shown, masked in privacy mode
+  const latestRow = (student) => student.records[student.records.length - 1].row
+  const nameOf = (student) => (privacy.enabled ? privacy.name(latestRow(student)) : student.name)
+  const idOf = (student) => (privacy.enabled ? privacy.pseudonym(latestRow(student)) : student.so)
+
+  const [monthA, setMonthA] = useState(null)
+  const [monthB, setMonthB] = useState(null)
+  const [statusFilter, setStatusFilter] = useState(null)
+  const [selected, setSelected] = useState(null)
+
+  // Default to the two most recent months of the location
+  useEffect(() => {
+    const ids = months.map(m => m.id)
+    setMonthA(a => (ids.includes(a) ? a : ids[ids.length - 2] || ids[0] || null))
+    setMonthB(b => (ids.includes(b) ? b : ids[ids.length - 1] || null))
+  }, [months])
+
+  const rows = useMemo(() => {
+    if (!index || !monthA || !monthB) return []
+    return compareMonths(index.students, location, monthA, monthB)
+      .sort((a, b) => PROGRESS_STATUSES.indexOf(a.status) - PROGRESS_STATUSES.indexOf(b.status) || (b.delta ?? 0) - (a.delta ?? 0))
+  }, [index, location, monthA, monthB])
+
+  const counts = useMemo(() => {
+    const c = Object.fromEntries(PROGRESS_STATUSES.map(s => [s, 0]))
+    rows.forEach(r => { c[r.status]++ })
+    return c
+  }, [rows])
+
+  const visible = statusFilter ? rows.filter(r => r.status === statusFilter) : rows
+
+  function exportCSV() {
+    downloadCSV(visible.map(r => ({
+      ...(privacy.enabled
+        ? { Pseudonym: idOf(r.student) }
+        : { Name: r.student.name, 'Identity Number': r.student.so }),
+      [`Level (${monthA})`]: r.before ? levelLabel(r.before.level) : '',
+      [`Percent (${monthA})`]: r.before?.total.percent ?? '',
+      [`Level (${monthB})`]: r.after ? levelLabel(r.after.level) : '',
+      [`Percent (${monthB})`]: r.after?.total.percent ?? '',
+      Change: r.delta ?? '',
+      Status: r.status,
+    })), `${filePart(location)}_progress_${filePart(monthA)}_to_${filePart(monthB)}${privacy.enabled ? '_anonymized' : ''}.csv`)
+  }
+
+  const selectClass = 'px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer'
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm text-gray-500 dark:text-gray-400">Compare</span>
+        <select value={monthA || ''} onChange={(e) => setMonthA(e.target.value)} className={selectClass}>
+          {months.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <span className="text-sm text-gray-500 dark:text-gray-400">with</span>
+        <select value={monthB || ''} onChange={(e) => setMonthB(e.target.value)} className={selectClass}>
+          {months.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <button onClick={exportCSV} disabled={!visible.length} className="ml-auto px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50">
+          Export CSV
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {PROGRESS_STATUSES.map(s => (
+          <button
+            key={s}
+            onClick={() => setStatusFilter(statusFilter === s ? null : s)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize ring-2 transition-colors ${STATUS_STYLES[s]} ${statusFilter === s ? 'ring-indigo-500' : 'ring-transparent'}`}>
+            {s} · {counts[s]}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                {['Student', 'Identity Number', `Level (${monthLabel({ month: monthA, location })})`, '%', `Level (${monthLabel({ month: monthB, location })})`, '%', 'Change', 'Status'].map((h, i) => (
+                  <th key={i} className="px-6 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {visible.map(r => (
+                <tr key={r.student.id} onClick={() => setSelected(r.student)} className="cursor-pointer hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10 transition-colors">
+                  <td className="px-6 py-3 whitespace-nowrap font-medium">{nameOf(r.student)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{idOf(r.student) || '-'}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{r.before ? levelLabel(r.before.level) : '-'}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{percentText(r.before)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{r.after ? levelLabel(r.after.level) : '-'}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{percentText(r.after)}</td>
+                  <td className={`px-6 py-3 whitespace-nowrap ${r.delta > 0 ? 'text-emerald-700 dark:text-emerald-400' : r.delta < 0 ? 'text-rose-700 dark:text-rose-400' : 'text-gray-500'}`}>
+                    {r.delta === null ? '-' : `${r.delta > 0 ? '+' : ''}${prettyNumber(r.delta)} pts`}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    <span className={`px-2 py-0.5 rounded text-xs font-bold uppercase tracking-wider ${STATUS_STYLES[r.status]}`}>{r.status}</span>
+                  </td>
+                </tr>
+              ))}
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-6 py-8 text-center text-gray-500">
+                    {loading ? 'Loading all test cycles…' : months.length < 2 ? 'This location has only one test cycle so far.' : 'No students in this selection.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Dialog open={!!selected} onClose={() => setSelected(null)} className="relative z-50">
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" aria-hidden="true" />
+        <div className="fixed inset-0 flex items-center justify-center p-4">
+          <Dialog.Panel className="w-full max-w-4xl bg-white dark:bg-gray-900 rounded-2xl shadow-2xl flex flex-col max-h-[90vh] overflow-hidden">
+            {selected && (
+              <>
+                <div className="p-6 border-b border-gray-100 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-800/50">
+                  <h2 className="text-lg font-bold text-gray-900 dark:text-white">{nameOf(selected)}</h2>
+                  <p className="text-gray-500 dark:text-gray-400 text-sm mt-1">{idOf(selected) || 'No identity number'}</p>
+                </div>
+                <div className="flex-1 overflow-y-auto p-6">
+                  <StudentHistory
+                    records={selected.records}
+                    monthLabel={monthLabel}
+                    levelLabel={levelLabel}
+                    locationLabel={locationLabel}
+                    dark={dark}
+                  />
+                </div>
+                <div className="p-4 bg-gray-50 dark:bg-gray-800 border-t border-gray-100 dark:border-gray-700 text-right">
+                  <button onClick={() => setSelected(null)} className="px-5 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 font-medium transition-colors">
+                    Close
+                  </button>
+                </div>
+              </>
+            )}
+          </Dialog.Panel>
+        </div>
+      </Dialog>
+    </div>
+  )
+}
@@ -0,0 +1,162 @@
+import React, { Fragment, useMemo, useState } from 'react'
+import { ChevronDownIcon, ChevronRightIcon, ChevronLeftIcon, CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { clusterAnswers } from '../lib/answerClusters.js'
+import { extractScoreObj } from '../lib/dataset.js'
+import { prettyNumber } from '../lib/format.js'
+
+const selectClass = 'px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm cursor-pointer'
+const stepClass = 'p-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50'
+
+/**
+ * Question-by-question review: every answer to the picked question grouped
+ * into clusters of equivalent text, with the key and the most common wrong
+ * answers marked. Expanding a cluster lists its students; clicking one
+ * opens their detail dialog through `onOpenStudent`.
+ */
+export default function QuestionExplorer({ quizGroups, metaMap, rows, onOpenStudent, privacy }) {
+  const [index, setIndex] = useState(0)
+  const [expanded, setExpanded] = useState(null)
+
+  const current = Math.min(index, Math.max(0, quizGroups.length - 1))
+  const group = quizGroups[current]
+  const metaInfo = group ? metaMap[group.normalizedName] : null
+  const result = useMemo(() => (group ? clusterAnswers(rows, group, metaInfo) : null), [rows, group, metaInfo])
+
+  function pick(i) {
+    setIndex(i)
+    setExpanded(null)
+  }
+
+  if (!group) {
+    return (
+      <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+        This level has no quiz questions.
+      </div>
+    )
+  }
+
+  const { clusters, accepted, max, type } = result
+  const answered = clusters.filter(c => !c.blank)
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button onClick={() => pick(current - 1)} disabled={current === 0} title="Previous question" className={stepClass}>
+          <ChevronLeftIcon className="w-4 h-4" />
+        </button>
+        <select value={current} onChange={(e) => pick(Number(e.target.value))} className={`${selectClass} max-w-md`}>
+          {quizGroups.map((g, i) => (
+            <option key={g.scoreKey} value={i}>Q{i + 1} {g.baseName.trim().slice(0, 80)}</option>
+          ))}
+        </select>
+        <button onClick={() => pick(current + 1)} disabled={current === quizGroups.length - 1} title="Next question" className={stepClass}>
+          <ChevronRightIcon className="w-4 h-4" />
+        </button>
+        <span className="text-gray-500 dark:text-gray-400">
+          {answered.length} distinct answer{answered.length === 1 ? '' : 's'} from {rows.length} student{rows.length === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 text-sm">
+        <div className="flex flex-wrap gap-2 mb-2">
+          {type && (
+            <span className="inline-block px-2 py-0.5 rounded text-[10px] font-bold tracking-wider uppercase bg-gray-100 dark:bg-gray-700 text-gray-500">{type}</span>
+          )}
+          {metaInfo?.Section && (
+            <span className="inline-block px-2 py-0.5 rounded text-[10px] font-bold tracking-wider uppercase bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400">{metaInfo.Section}</span>
+          )}
+          {max > 0 && <span className="text-xs text-gray-500 dark:text-gray-400">{prettyNumber(max)} point{max === 1 ? '' : 's'}</span>}
+        </div>
+        <p className="font-medium whitespace-pre-wrap">{group.baseName.trim()}</p>
+        {accepted.length > 0 && (
+          <p className="mt-2 flex items-center gap-1.5 text-emerald-700 dark:text-emerald-400">
+            <CheckCircleIcon className="w-4 h-4 shrink-0" />
+            {accepted.join(' · ')}
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+            <tr>
+              {['Answer', 'Students', 'Avg score'].map(h => (
+                <th key={h} className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {clusters.map(c => {
+              const open = expanded === c.key
+              return (
+                <Fragment key={c.key}>
+                  <tr
+                    onClick={() => setExpanded(open ? null : c.key)}
+                    className={`cursor-pointer transition-colors ${c.isKey ? 'bg-emerald-50/60 dark:bg-emerald-900/10' : ''} hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10`}
+                  >
+                    <td className="px-4 py-3 max-w-xl">
+                      <div className="flex items-start gap-1.5">
+                        {open ? <ChevronDownIcon className="w-3.5 h-3.5 mt-0.5 shrink-0" /> : <ChevronRightIcon className="w-3.5 h-3.5 mt-0.5 shrink-0" />}
+                        <div className="min-w-0">
+                          <div className={`break-words ${c.blank ? 'italic text-gray-400' : c.isKey ? 'font-medium text-emerald-800 dark:text-emerald-300' : ''}`}>
+                            {c.label}
+                          </div>
+                          {c.variants.length > 1 && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 truncate" title={c.variants.map(v => `${v.text} (${v.count})`).join('\n')}>
+                              {c.variants.length} spellings
+                            </div>
+                          )}
+                        </div>
+                        {c.isKey && (
+                          <span className="ml-auto shrink-0 inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400">
+                            <CheckCircleIcon className="w-3.5 h-3.5" /> Key
+                          </span>
+                        )}
+                        {c.commonWrong && (
+                          <span className="ml-auto shrink-0 inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400">
+                            <ExclamationTriangleIcon className="w-3.5 h-3.5" /> Common wrong answer
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <div className="w-24 h-1.5 rounded bg-gray-100 dark:bg-gray-700 overflow-hidden">
+                          <div className={`h-full ${c.isKey ? 'bg-emerald-500' : c.blank ? 'bg-gray-400' : 'bg-indigo-500'}`} style={{ width: `${c.percent}%` }} />
+                        </div>
+                        {c.count} <span className="text-gray-500 dark:text-gray-400">({prettyNumber(c.percent)}%)</span>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">
+                      {max ? `${prettyNumber(c.averageScore)} / ${prettyNumber(max)}` : '-'}
+                    </td>
+                  </tr>
+                  {open && (
+                    <tr className="bg-gray-50 dark:bg-gray-900/40">
+                      <td colSpan={3} className="px-4 py-2">
+                        <ul className="flex flex-wrap gap-2">
+                          {c.rows.map((row, i) => (
+                            <li key={i}>
+                              <button
+                                onClick={() => onOpenStudent(row)}
+                                title={c.variants.length > 1 ? String(row[group.questionKey] ?? '') : undefined}
+                                className="px-2 py-1 rounded-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:border-indigo-400 dark:hover:border-indigo-500 text-xs"
+                              >
+                                {privacy.name(row)}
+                                <span className="ml-1.5 text-gray-500 dark:text-gray-400">{row[group.scoreKey] ? prettyNumber(extractScoreObj(row[group.scoreKey]).score) : '-'}</span>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+import React from 'react'
+
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+/** Center name, logo and signature line printed on report cards. */
+export default function ReportCardHeaderFields({ header, onChange }) {
+  const update = (patch) => onChange({ ...header, ...patch })
+
+  async function pickLogo(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) update({ logo: await readAsDataURL(file) })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-5 gap-y-2 text-sm">
+      <label className="flex items-center gap-2">
+        Center name
+        <input value={header.centerName} onChange={(e) => update({ centerName: e.target.value })} className={`${inputClass} w-56`} />
+      </label>
+      <label className="flex items-center gap-2">
+        Signature line
+        <input value={header.signatureLabel} onChange={(e) => update({ signatureLabel: e.target.value })} className={`${inputClass} w-44`} placeholder="None" />
+      </label>
+      <div className="flex items-center gap-2">
+        Logo
+        {header.logo && <img src={header.logo} alt="" className="h-8 w-8 object-contain rounded border border-gray-200 dark:border-gray-700" />}
+        <label className="px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 cursor-pointer">
+          {header.logo ? 'Change' : 'Choose PNG/JPEG'}
+          <input type="file" accept="image/png,image/jpeg" onChange={pickLogo} className="hidden" />
+        </label>
+        {header.logo && (
+          <button onClick={() => update({ logo: null })} className="text-rose-600 dark:text-rose-400 hover:underline">Remove</button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,201 @@
+import React, { Fragment, useState } from 'react'
+import { ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
+import { prettyNumber } from '../lib/format.js'
+import { downloadCSV } from '../lib/download.js'
+import { studentDisplayName } from '../lib/history.js'
+
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+const cardClass = 'bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden'
+const thClass = 'px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap'
+
+function signed(v) {
+  return `${v > 0 ? '+' : ''}${prettyNumber(v)}`
+}
+
+/**
+ * Matching rules for re-scoring plus the discrepancy report between the
+ * form's scores and the answer key, per question and per student.
+ */
+export default function RescoreView({ result, rules, onRulesChange, level, privacy }) {
+  const [expanded, setExpanded] = useState(null)
+  const [onlyDiffs, setOnlyDiffs] = useState(true)
+
+  const update = (patch) => onRulesChange({ ...rules, ...patch })
+  const students = onlyDiffs ? result.students.filter(s => s.changes.length || s.totalMismatch) : result.students
+  const changedQuestions = result.questions.filter(q => q.changed).length
+  const changedStudents = result.students.filter(s => s.changes.length).length
+
+  // Anonymized exports name students by pseudonym only
+  const who = (row) => (privacy.enabled
+    ? { Pseudonym: privacy.pseudonym(row) }
+    : { Student: studentDisplayName(row), 'Identity Number': row['Identity Number (SO Number)'] || '' })
+
+  function exportReport() {
+    const rows = []
+    result.students.forEach(s => {
+      s.changes.forEach(c => rows.push({
+        ...who(s.row),
+        Question: c.group.baseName.trim(),
+        Answer: c.answer || '',
+        'Form score': c.form,
+        'Re-scored': c.rescored,
+      }))
+      if (s.totalMismatch) rows.push({
+        ...who(s.row),
+        Question: 'Total score',
+        Answer: `Form total ${prettyNumber(s.formTotal.score)} vs sum of question scores ${prettyNumber(s.itemSum)}`,
+        'Form score': s.formTotal.score,
+        'Re-scored': s.rescoredTotal,
+      })
+    })
+    downloadCSV(rows, `level${level}_rescore_discrepancies${privacy.enabled ? '_anonymized' : ''}.csv`)
+  }
+
+  return (
+    <div className="space-y-6">
+      <section className="p-5 rounded-xl bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700 text-sm">
+        <h3 className="text-lg font-semibold mb-3">Matching rules</h3>
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+          {[
+            ['ignoreCase', 'Ignore case'],
+            ['ignoreWhitespace', 'Ignore whitespace'],
+            ['ignorePunctuation', 'Ignore punctuation'],
+            ['keepValidatedCredit', 'Keep teacher credit on ShortAnswerValidate'],
+          ].map(([key, label]) => (
+            <label key={key} className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={!!rules[key]} onChange={(e) => update({ [key]: e.target.checked })} />
+              {label}
+            </label>
+          ))}
+          <label className="flex items-center gap-2">
+            Alternatives separated by
+            <input value={rules.alternativesDelimiter} onChange={(e) => update({ alternativesDelimiter: e.target.value })} className={`${inputClass} w-12 text-center`} />
+          </label>
+          <label className="flex items-center gap-2">
+            Typo tolerance
+            <input type="number" min="0" max="5" value={rules.fuzzyTolerance} onChange={(e) => update({ fuzzyTolerance: Number(e.target.value) })} className={`${inputClass} w-16`} />
+            <span className="text-gray-500 dark:text-gray-400">letters (typed answers only)</span>
+          </label>
+        </div>
+      </section>
+
+      <div className={cardClass}>
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold">Questions</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {result.questions.length} auto-gradable question(s) with an answer key; {changedQuestions} score differently from the form.
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                {['Question', 'Type', 'Accepted answers', 'Changed', 'Gained', 'Lost'].map(h => <th key={h} className={thClass}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {result.questions.map(q => (
+                <tr key={q.group.scoreKey} className={q.changed ? 'bg-yellow-50/60 dark:bg-yellow-900/10' : ''}>
+                  <td className="px-4 py-2.5 max-w-md"><div className="truncate" title={q.group.baseName}>{q.group.baseName}</div></td>
+                  <td className="px-4 py-2.5 whitespace-nowrap text-gray-600 dark:text-gray-300">{q.type}</td>
+                  <td className="px-4 py-2.5 text-gray-600 dark:text-gray-300">{q.accepted.join(' · ')}</td>
+                  <td className="px-4 py-2.5 whitespace-nowrap font-medium">{q.changed} / {q.checked}</td>
+                  <td className="px-4 py-2.5 whitespace-nowrap text-emerald-700 dark:text-emerald-400">{q.gained || '-'}</td>
+                  <td className="px-4 py-2.5 whitespace-nowrap text-rose-700 dark:text-rose-400">{q.lost || '-'}</td>
+                </tr>
+              ))}
+              {result.questions.length === 0 && (
+                <tr><td colSpan={6} className="px-4 py-8 text-center text-gray-500">No auto-gradable questions with a CorrectAnswer in the meta file.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <div className="flex flex-wrap items-center justify-between gap-2 p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h3 className="text-lg font-semibold">Students</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {changedStudents} student(s) with a different re-scored total. Rows marked "total" have a form total that does not add up from its question scores.
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+              <input type="checkbox" checked={onlyDiffs} onChange={(e) => setOnlyDiffs(e.target.checked)} />
+              Discrepancies only
+            </label>
+            <button onClick={exportReport} disabled={!changedStudents && !result.students.some(s => s.totalMismatch)} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50">
+              Export CSV
+            </button>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                {['', 'Student', 'Form total', 'Sum of question scores', 'Re-scored total', 'Change'].map((h, i) => <th key={i} className={thClass}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {students.map((s, i) => {
+                const open = expanded === s.row
+                return (
+                  <Fragment key={i}>
+                    <tr
+                      onClick={() => s.changes.length && setExpanded(open ? null : s.row)}
+                      className={s.changes.length ? 'cursor-pointer hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10' : ''}>
+                      <td className="pl-4 py-2.5 w-6 text-gray-400">
+                        {s.changes.length > 0 && (open ? <ChevronDownIcon className="w-4 h-4"/> : <ChevronRightIcon className="w-4 h-4"/>)}
+                      </td>
+                      <td className="px-4 py-2.5 whitespace-nowrap font-medium">{privacy.name(s.row)}</td>
+                      <td className="px-4 py-2.5 whitespace-nowrap">
+                        {prettyNumber(s.formTotal.score)} / {prettyNumber(s.formTotal.max)}
+                        {s.totalMismatch && <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">total</span>}
+                      </td>
+                      <td className="px-4 py-2.5 whitespace-nowrap text-gray-600 dark:text-gray-300">{prettyNumber(s.itemSum)}</td>
+                      <td className="px-4 py-2.5 whitespace-nowrap">{prettyNumber(s.rescoredTotal)} / {prettyNumber(s.formTotal.max)}</td>
+                      <td className={`px-4 py-2.5 whitespace-nowrap font-medium ${s.diff > 0 ? 'text-emerald-700 dark:text-emerald-400' : s.diff < 0 ? 'text-rose-700 dark:text-rose-400' : 'text-gray-500'}`}>
+                        {s.diff ? signed(s.diff) : '-'}
+                      </td>
+                    </tr>
+                    {open && (
+                      <tr className="bg-gray-50 dark:bg-gray-900/40">
+                        <td />
+                        <td colSpan={5} className="px-4 py-3">
+                          <table className="text-xs w-full">
+                            <thead>
+                              <tr className="text-gray-500 dark:text-gray-400">
+                                <th className="py-1 pr-4 font-semibold">Question</th>
+                                <th className="py-1 pr-4 font-semibold">Answer</th>
+                                <th className="py-1 pr-4 font-semibold">Form</th>
+                                <th className="py-1 font-semibold">Re-scored</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {s.changes.map(c => (
+                                <tr key={c.group.scoreKey}>
+                                  <td className="py-1 pr-4 max-w-sm truncate" title={c.group.baseName}>{c.group.baseName}</td>
+                                  <td className="py-1 pr-4">{c.answer || <span className="italic text-gray-400">No response</span>}</td>
+                                  <td className="py-1 pr-4">{prettyNumber(c.form)}</td>
+                                  <td className={`py-1 font-medium ${c.rescored > c.form ? 'text-emerald-700 dark:text-emerald-400' : 'text-rose-700 dark:text-rose-400'}`}>{prettyNumber(c.rescored)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                )
+              })}
+              {students.length === 0 && (
+                <tr><td colSpan={6} className="px-4 py-8 text-center text-gray-500">Every student's form score matches the answer key.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react'
+import { ArrowDownTrayIcon, UserGroupIcon } from '@heroicons/react/24/outline'
+import { SO_KEY } from '../lib/history.js'
+import { CONTACT_KEY } from '../lib/duplicates.js'
+import { prettyNumber } from '../lib/format.js'
+
+const LISTS = [
+  { id: 'absent', label: 'No submission' },
+  { id: 'unknown', label: 'Not on roster' },
+  { id: 'mismatched', label: 'Different level' },
+]
+
+const buttonClass = 'flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 font-medium'
+
+function Table({ headers, rows, empty }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-left text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+          <tr>
+            {headers.map(h => (
+              <th key={h} className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+          {rows.map((cells, i) => (
+            <tr key={i}>
+              {cells.map((c, j) => <td key={j} className="px-4 py-3 whitespace-nowrap text-gray-600 dark:text-gray-300">{c || '-'}</td>)}
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={headers.length} className="px-4 py-6 text-center text-gray-500">{empty}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/**
+ * Roster against the month's submissions at this location, across every
+ * level: enrolled students with no submission, submissions from students
+ * not on the roster, and students who sat a level other than the one
+ * assigned. `rosterSource` is { source: 'served'|'uploaded', fileName }.
+ */
+export default function RosterView({ roster, rosterSource, rosterError, reconciliation, loading, monthLabel, levelLabel, privacy, onUpload, onRemoveUpload, onExportAbsent }) {
+  const [list, setList] = useState('absent')
+  const [message, setMessage] = useState(null)
+
+  async function uploadFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { students, skipped } = await onUpload(file)
+      setMessage(`Loaded ${students} student(s)${skipped ? `; ${skipped} row(s) without an SO number or name skipped` : ''}.`)
+    } catch (err) {
+      setMessage(`Could not load the roster: ${err.message}`)
+    }
+  }
+
+  const student = s => [
+    privacy.name(s.row),
+    privacy.value(SO_KEY, s.row[SO_KEY], s.row),
+    privacy.value(CONTACT_KEY, s.row[CONTACT_KEY], s.row),
+  ]
+  const assigned = lv => (lv === null ? '' : levelLabel(lv))
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 text-sm space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="flex items-center gap-1.5 text-gray-600 dark:text-gray-300">
+            <UserGroupIcon className="w-4 h-4" />
+            {roster
+              ? `${roster.students.length} enrolled, from ${rosterSource.source === 'uploaded' ? `uploaded ${rosterSource.fileName}` : 'the served roster.csv'}`
+              : 'No roster for this location.'}
+          </span>
+          <div className="ml-auto flex gap-2">
+            {rosterSource?.source === 'uploaded' && (
+              <button onClick={onRemoveUpload} className={buttonClass}>Remove uploaded roster</button>
+            )}
+            <label className={`${buttonClass} cursor-pointer`}>
+              {roster ? 'Replace roster' : 'Upload roster CSV'}
+              <input type="file" accept=".csv,text/csv" onChange={uploadFile} className="hidden" />
+            </label>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Columns are recognized by name: SO number, name, contact and assigned level. An uploaded roster stays in this browser and replaces the served one.
+        </p>
+        {message && <div className="text-gray-600 dark:text-gray-300">{message}</div>}
+        {rosterError && <div className="text-rose-700 dark:text-rose-400">{rosterError}</div>}
+      </div>
+
+      {roster && !reconciliation && (
+        <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+          {loading ? `Loading every level for ${monthLabel}…` : `No submissions loaded for ${monthLabel}.`}
+        </div>
+      )}
+
+      {reconciliation && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            {[
+              ['Participation', reconciliation.participationRate === null ? '-' : `${prettyNumber(reconciliation.participationRate)}%`],
+              ['Submitted', `${reconciliation.present} of ${reconciliation.enrolled}`],
+              ['No submission', reconciliation.absent.length],
+              ['Not on roster', reconciliation.unknown.length],
+            ].map(([label, value]) => (
+              <div key={label} className="p-4 rounded-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                <div className="text-gray-500 dark:text-gray-400">{label}</div>
+                <div className="mt-1 text-2xl font-bold">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="flex flex-wrap items-center gap-2 p-3 border-b border-gray-200 dark:border-gray-700 text-sm">
+              <div className="flex bg-gray-50 dark:bg-gray-900 rounded-lg p-0.5 border border-gray-200 dark:border-gray-700">
+                {LISTS.map(l => (
+                  <button
+                    key={l.id}
+                    onClick={() => setList(l.id)}
+                    className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${list === l.id ? 'bg-indigo-600 text-white' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+                    {l.label} ({reconciliation[l.id].length})
+                  </button>
+                ))}
+              </div>
+              {list === 'absent' && (
+                <button onClick={onExportAbsent} disabled={!reconciliation.absent.length} className={`${buttonClass} ml-auto disabled:opacity-50`}>
+                  <ArrowDownTrayIcon className="w-4 h-4" />
+                  Export for follow-up{privacy.enabled && ' (anonymized)'}
+                </button>
+              )}
+            </div>
+
+            {list === 'absent' && (
+              <Table
+                headers={['Name', 'Identity Number', 'Contact', 'Assigned level']}
+                rows={reconciliation.absent.map(s => [...student(s), assigned(s.level)])}
+                empty={`Everyone on the roster submitted in ${monthLabel}.`}
+              />
+            )}
+            {list === 'unknown' && (
+              <Table
+                headers={['Name', 'Identity Number', 'Contact', 'Level sat', 'Submitted']}
+                rows={reconciliation.unknown.map(({ level, row }) => [...student({ row }), levelLabel(level), row.Timestamp])}
+                empty="Every submission matches a student on the roster."
+              />
+            )}
+            {list === 'mismatched' && (
+              <Table
+                headers={['Name', 'Identity Number', 'Contact', 'Assigned level', 'Level sat']}
+                rows={reconciliation.mismatched.map(m => [...student(m.student), assigned(m.assigned), m.sat.map(levelLabel).join(', ')])}
+                empty="Everyone sat the level they are assigned to."
+              />
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
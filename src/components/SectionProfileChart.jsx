@@ -0,0 +1,100 @@
+import React from 'react'
+import { Chart as ChartJS, RadialLinearScale, PointElement, LineElement, Filler } from 'chart.js'
+import { Bar, Radar } from 'react-chartjs-2'
+import { ChartBarIcon } from '@heroicons/react/24/outline'
+import { prettyNumber } from '../lib/format.js'
+
+ChartJS.register(RadialLinearScale, PointElement, LineElement, Filler)
+
+/**
+ * Student skill profile: section percentages against the cohort average.
+ * Uses a radar when there are enough sections to form a shape, a grouped
+ * bar chart otherwise.
+ */
+export default function SectionProfileChart({ sections, scores, averages, dark }) {
+  const labels = sections.map(s => s.name)
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+
+  const data = {
+    labels,
+    datasets: [
+      {
+        label: 'Student',
+        data: labels.map(l => scores[l]?.percent ?? 0),
+        backgroundColor: dark ? 'rgba(165,180,252,0.35)' : 'rgba(99,102,241,0.25)',
+        borderColor: dark ? '#a5b4fc' : '#6366f1',
+        borderWidth: 2,
+      },
+      {
+        label: 'Cohort average',
+        data: labels.map(l => averages[l] ?? 0),
+        backgroundColor: dark ? 'rgba(156,163,175,0.25)' : 'rgba(107,114,128,0.15)',
+        borderColor: dark ? '#9ca3af' : '#6b7280',
+        borderWidth: 1,
+        borderDash: [4, 4],
+      },
+    ],
+  }
+  const legend = { labels: { color: textColor } }
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <ChartBarIcon className="w-5 h-5 text-indigo-500"/>
+        Section Scores
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+        <div className="h-64">
+          {labels.length >= 3 ? (
+            <Radar
+              data={data}
+              options={{
+                maintainAspectRatio: false,
+                plugins: { legend },
+                scales: {
+                  r: {
+                    min: 0,
+                    max: 100,
+                    ticks: { stepSize: 25, color: textColor, backdropColor: 'transparent' },
+                    grid: { color: gridColor },
+                    angleLines: { color: gridColor },
+                    pointLabels: { color: textColor },
+                  },
+                },
+              }}
+            />
+          ) : (
+            <Bar
+              data={data}
+              options={{
+                maintainAspectRatio: false,
+                plugins: { legend },
+                scales: {
+                  x: { ticks: { color: textColor }, grid: { color: gridColor } },
+                  y: { min: 0, max: 100, ticks: { color: textColor }, grid: { color: gridColor } },
+                },
+              }}
+            />
+          )}
+        </div>
+        <div className="space-y-2">
+          {sections.map(s => {
+            const sc = scores[s.name]
+            return (
+              <div key={s.name} className="flex items-center justify-between gap-4 p-2.5 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-100 dark:border-gray-700 text-sm">
+                <span className="font-medium text-gray-700 dark:text-gray-300">{s.name}</span>
+                <span className="text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                  {sc ? `${prettyNumber(sc.score)} / ${prettyNumber(sc.max)}` : '-'}
+                  <span className="ml-2 font-semibold text-indigo-600 dark:text-indigo-400">
+                    {sc?.percent === null || sc?.percent === undefined ? '-' : `${prettyNumber(sc.percent)}%`}
+                  </span>
+                </span>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
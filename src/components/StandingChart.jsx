@@ -0,0 +1,98 @@
+import React from 'react'
+import { Bar } from 'react-chartjs-2'
+import { TrophyIcon } from '@heroicons/react/24/outline'
+import { ordinal, formatZ } from '../lib/standing.js'
+import { prettyNumber } from '../lib/format.js'
+
+const BINS = 10
+
+function binOf(percent) {
+  return Math.min(BINS - 1, Math.max(0, Math.floor(percent / (100 / BINS))))
+}
+
+// Share of the cohort in each 10% band of total score
+function shares(percents) {
+  const counts = Array(BINS).fill(0)
+  percents.forEach(p => counts[binOf(p)]++)
+  return counts.map(c => (percents.length ? (c / percents.length) * 100 : 0))
+}
+
+/**
+ * Where a student sits in the score distribution of their cohort (and of
+ * all centers when `referencePercents` is given), with rank, percentile
+ * and z-score.
+ */
+export default function StandingChart({ percent, standing, percents, referencePercents, dark }) {
+  if (!standing) return null
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+  const studentBin = binOf(percent)
+  const labels = Array.from({ length: BINS }, (_, i) => `${i * 10}–${(i + 1) * 10}%`)
+  const ref = standing.reference
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <TrophyIcon className="w-5 h-5 text-indigo-500"/>
+        Standing
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+        <dl className="grid grid-cols-2 md:grid-cols-1 gap-3 text-sm">
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-gray-400 font-semibold">Rank</dt>
+            <dd className="font-medium">{standing.rank} of {standing.of}</dd>
+          </div>
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-gray-400 font-semibold">Percentile</dt>
+            <dd className="font-medium">{ordinal(standing.percentile)}</dd>
+          </div>
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-gray-400 font-semibold">Z-score</dt>
+            <dd className="font-medium">{formatZ(standing.z) ?? '-'}</dd>
+          </div>
+          {ref && (
+            <div>
+              <dt className="text-xs uppercase tracking-wide text-gray-400 font-semibold">All centers</dt>
+              <dd className="font-medium">{ordinal(ref.percentile)} · {ref.rank} of {ref.of}</dd>
+            </div>
+          )}
+        </dl>
+        <div className="md:col-span-2 h-48">
+          <Bar
+            data={{
+              labels,
+              datasets: [
+                {
+                  label: 'This center',
+                  data: shares(percents),
+                  backgroundColor: labels.map((_, i) => (i === studentBin
+                    ? (dark ? '#fbbf24' : '#f59e0b')
+                    : (dark ? 'rgba(165,180,252,0.6)' : 'rgba(99,102,241,0.5)'))),
+                },
+                ...(referencePercents ? [{
+                  label: 'All centers',
+                  data: shares(referencePercents),
+                  backgroundColor: dark ? 'rgba(156,163,175,0.35)' : 'rgba(107,114,128,0.25)',
+                }] : []),
+              ],
+            }}
+            options={{
+              maintainAspectRatio: false,
+              plugins: {
+                legend: { display: !!referencePercents, labels: { color: textColor } },
+                tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${prettyNumber(ctx.raw)}% of students` } },
+              },
+              scales: {
+                x: { ticks: { color: textColor, maxRotation: 0, autoSkip: true }, grid: { display: false } },
+                y: { beginAtZero: true, ticks: { color: textColor, callback: (v) => `${v}%` }, grid: { color: gridColor } },
+              },
+            }}
+          />
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        The highlighted bar is this student's band ({prettyNumber(percent)}%).
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,109 @@
+import React from 'react'
+import { Chart as ChartJS, LineElement, PointElement, CategoryScale, LinearScale, Tooltip, Legend } from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { ClockIcon } from '@heroicons/react/24/outline'
+import { prettyNumber } from '../lib/format.js'
+
+ChartJS.register(LineElement, PointElement, CategoryScale, LinearScale, Tooltip, Legend)
+
+const SECTION_COLORS = ['#f59e0b', '#10b981', '#0ea5e9', '#ec4899', '#8b5cf6', '#84cc16', '#f43f5e']
+
+/**
+ * Timeline of one student's attempts across test cycles: total and
+ * section percentages, pass/fail and the level sat.
+ */
+export default function StudentHistory({ records, monthLabel, levelLabel, locationLabel, dark, loading }) {
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+  const sectionNames = [...new Set(records.flatMap(r => Object.keys(r.sections)))]
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <ClockIcon className="w-5 h-5 text-indigo-500"/>
+        History
+      </h3>
+
+      {loading && <div className="text-sm text-gray-500 dark:text-gray-400">Loading other test cycles…</div>}
+
+      {!loading && records.length === 0 && (
+        <div className="text-sm text-gray-500 dark:text-gray-400">No attempts found for this student.</div>
+      )}
+
+      {!loading && records.length > 0 && (
+        <>
+          {records.length > 1 && (
+            <div className="h-56 mb-4">
+              <Line
+                options={{
+                  maintainAspectRatio: false,
+                  plugins: { legend: { labels: { color: textColor } } },
+                  scales: {
+                    x: { ticks: { color: textColor }, grid: { color: gridColor } },
+                    y: { min: 0, max: 100, ticks: { color: textColor, callback: (v) => `${v}%` }, grid: { color: gridColor } },
+                  },
+                }}
+                data={{
+                  labels: records.map(r => `${monthLabel(r)} · ${levelLabel(r.level)}`),
+                  datasets: [
+                    {
+                      label: 'Total %',
+                      data: records.map(r => r.total.percent),
+                      borderColor: dark ? '#a5b4fc' : '#6366f1',
+                      backgroundColor: dark ? '#a5b4fc' : '#6366f1',
+                      borderWidth: 3,
+                      tension: 0.2,
+                    },
+                    ...sectionNames.map((name, i) => ({
+                      label: name,
+                      data: records.map(r => r.sections[name]?.percent ?? null),
+                      borderColor: SECTION_COLORS[i % SECTION_COLORS.length],
+                      backgroundColor: SECTION_COLORS[i % SECTION_COLORS.length],
+                      borderWidth: 1.5,
+                      borderDash: [4, 3],
+                      spanGaps: true,
+                      hidden: true,
+                    })),
+                  ],
+                }}
+              />
+            </div>
+          )}
+
+          <div className="overflow-x-auto rounded-lg border border-gray-100 dark:border-gray-700">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  {['Month', 'Location', 'Level', 'Total', 'Status', ...sectionNames].map(h => (
+                    <th key={h} className="px-3 py-2 font-semibold text-gray-600 dark:text-gray-300 whitespace-nowrap">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {records.map((r, i) => (
+                  <tr key={i}>
+                    <td className="px-3 py-2 whitespace-nowrap">{monthLabel(r)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{locationLabel(r.location)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{levelLabel(r.level)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {prettyNumber(r.total.score)} / {prettyNumber(r.total.max)}
+                      <span className="ml-1 text-gray-500">({r.total.percent === null ? '-' : `${prettyNumber(r.total.percent)}%`})</span>
+                    </td>
+                    <td className={`px-3 py-2 whitespace-nowrap font-medium ${r.passed ? 'text-emerald-700 dark:text-emerald-400' : 'text-rose-700 dark:text-rose-400'}`}>
+                      {r.passed ? 'PASS' : 'FAIL'}{r.passed && r.grade ? ` · ${r.grade}` : ''}
+                    </td>
+                    {sectionNames.map(name => (
+                      <td key={name} className="px-3 py-2 whitespace-nowrap text-gray-600 dark:text-gray-300">
+                        {r.sections[name]?.percent === null || r.sections[name]?.percent === undefined ? '-' : `${prettyNumber(r.sections[name].percent)}%`}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,251 @@
+import React, { Fragment, useMemo, useState } from 'react'
+import { Bar } from 'react-chartjs-2'
+import { ChevronDownIcon, ChevronRightIcon, ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { buildTimeline, DEFAULT_SESSION_GAP, formatTime, formatOffset, toLocalInput, fromLocalInput } from '../lib/timeline.js'
+import { DISTRIBUTION_LABELS } from '../lib/analytics.js'
+import { prettyNumber } from '../lib/format.js'
+
+const inputClass = 'px-2 py-1 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm'
+
+// A session section average this many points under the whole cohort's is highlighted
+const SECTION_DIP = 15
+
+const HOUR = 3600000
+const DAY = 24 * HOUR
+
+function lateness(ms) {
+  if (ms >= DAY) return `${prettyNumber(ms / DAY)} day(s)`
+  if (ms >= HOUR) return `${prettyNumber(ms / HOUR)} h`
+  return `${Math.max(1, Math.round(ms / 60000))} min`
+}
+
+/**
+ * Submissions over time, grouped into test sessions (a pause longer than
+ * the session gap starts a new one), with per-session scores and section
+ * averages, and the submissions that fall outside the exam window.
+ * `examWindow` is { start, end } as "YYYY-MM-DDTHH:mm" in the form's timezone.
+ */
+export default function TimelineView({ rows, sections, sectionScoresByRow, gradeByRow, examWindow, onExamWindowChange, onOpenStudent, privacy, dark }) {
+  const [gap, setGap] = useState(DEFAULT_SESSION_GAP)
+  const [expanded, setExpanded] = useState(null)
+
+  // The window is entered in the form's timezone, which is only known once parsed
+  const base = useMemo(() => buildTimeline(rows), [rows])
+  const offset = base.offset
+  const timeline = useMemo(() => buildTimeline(rows, {
+    gapMinutes: gap,
+    examWindow: { start: fromLocalInput(examWindow?.start, offset), end: fromLocalInput(examWindow?.end, offset) },
+    sectionScoresFor: r => sectionScoresByRow.get(r),
+    isPassing: r => gradeByRow.get(r)?.passed,
+  }), [rows, gap, examWindow, offset, sectionScoresByRow, gradeByRow])
+
+  const overallSections = useMemo(() => {
+    const out = {}
+    sections.forEach(s => {
+      const pcts = rows.map(r => sectionScoresByRow.get(r)?.[s.name]?.percent).filter(p => p !== null && p !== undefined)
+      out[s.name] = pcts.length ? pcts.reduce((a, b) => a + b, 0) / pcts.length : null
+    })
+    return out
+  }, [rows, sections, sectionScoresByRow])
+
+  const hasWindow = !!(examWindow?.start || examWindow?.end)
+  const textColor = dark ? '#f5f5f5' : '#374151'
+  const gridColor = dark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)'
+
+  function setWindow(field, value) {
+    onExamWindowChange({ ...examWindow, [field]: value })
+  }
+
+  if (!timeline.points.length) {
+    return (
+      <div className="p-8 text-center text-sm text-gray-500 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+        None of the {rows.length} responses has a readable Timestamp.
+      </div>
+    )
+  }
+
+  const first = timeline.points[0].time
+  const last = timeline.points[timeline.points.length - 1].time
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 text-sm space-y-3">
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+          <span className="flex items-center gap-1.5 text-gray-600 dark:text-gray-300">
+            <ClockIcon className="w-4 h-4" />
+            {formatTime(first, offset)} – {formatTime(last, offset)} ({formatOffset(offset)})
+          </span>
+          <label className="flex items-center gap-2">
+            New session after a
+            <input type="number" min={5} step={5} value={gap} onChange={(e) => setGap(Number(e.target.value) || DEFAULT_SESSION_GAP)} className={`${inputClass} w-20`} />
+            minute pause
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium">Exam window</span>
+          <input
+            type="datetime-local"
+            value={examWindow?.start || ''}
+            onChange={(e) => setWindow('start', e.target.value)}
+            className={inputClass}
+          />
+          <span>to</span>
+          <input
+            type="datetime-local"
+            value={examWindow?.end || ''}
+            onChange={(e) => setWindow('end', e.target.value)}
+            className={inputClass}
+          />
+          <span className="text-gray-500 dark:text-gray-400">{formatOffset(offset)}</span>
+          {hasWindow ? (
+            <button onClick={() => onExamWindowChange(null)} className="text-indigo-600 dark:text-indigo-400 hover:underline">Clear</button>
+          ) : (
+            <button
+              onClick={() => onExamWindowChange({ start: toLocalInput(first, offset), end: toLocalInput(last + 60000, offset) })}
+              className="text-indigo-600 dark:text-indigo-400 hover:underline"
+            >
+              Use first to last submission
+            </button>
+          )}
+        </div>
+        {timeline.unparsed.length > 0 && (
+          <p className="text-yellow-700 dark:text-yellow-400">{timeline.unparsed.length} response(s) have a Timestamp that could not be read and are left out.</p>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4">
+        <h3 className="text-sm font-semibold mb-2">Submissions over time</h3>
+        <div className="h-56">
+          <Bar
+            data={{
+              labels: timeline.buckets.map(b => b.label),
+              datasets: [
+                {
+                  label: hasWindow ? 'In window' : 'Submissions',
+                  data: timeline.buckets.map(b => b.inWindow),
+                  backgroundColor: dark ? 'rgba(165,180,252,0.7)' : 'rgba(99,102,241,0.7)',
+                },
+                ...(hasWindow ? [{
+                  label: 'Outside window',
+                  data: timeline.buckets.map(b => b.outside),
+                  backgroundColor: dark ? 'rgba(251,113,133,0.7)' : 'rgba(225,29,72,0.7)',
+                }] : []),
+              ],
+            }}
+            options={{
+              maintainAspectRatio: false,
+              plugins: { legend: { display: hasWindow, labels: { color: textColor } } },
+              scales: {
+                x: { stacked: true, ticks: { color: textColor, maxRotation: 60, autoSkip: true }, grid: { display: false } },
+                y: { stacked: true, beginAtZero: true, ticks: { color: textColor, precision: 0 }, grid: { color: gridColor } },
+              },
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold">Sessions</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Section averages more than {SECTION_DIP} points below the whole level's are highlighted.
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                {['#', 'Time', 'Students', 'Average', 'Pass rate', 'Distribution', ...sections.map(s => s.name)].map(h => (
+                  <th key={h} className="px-4 py-3 font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {timeline.sessions.map(s => {
+                const open = expanded === s.index
+                const peak = Math.max(1, ...s.distribution)
+                const sameDay = formatTime(s.start, offset).split(',')[0] === formatTime(s.end, offset).split(',')[0]
+                return (
+                  <Fragment key={s.index}>
+                    <tr onClick={() => setExpanded(open ? null : s.index)} className="cursor-pointer hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10 transition-colors">
+                      <td className="px-4 py-3 text-gray-500 whitespace-nowrap">
+                        <span className="inline-flex items-center gap-1">
+                          {open ? <ChevronDownIcon className="w-3.5 h-3.5" /> : <ChevronRightIcon className="w-3.5 h-3.5" />}
+                          {s.index}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {formatTime(s.start, offset)} – {formatTime(s.end, offset, !sameDay)}
+                      </td>
+                      <td className="px-4 py-3">{s.rows.length}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">{s.average === null ? '-' : `${prettyNumber(s.average)}%`}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">{s.passRate === null ? '-' : `${prettyNumber(s.passRate)}%`}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-end gap-0.5 h-6" title={DISTRIBUTION_LABELS.map((l, i) => `${l}: ${s.distribution[i]}`).join('\n')}>
+                          {s.distribution.map((n, i) => (
+                            <div key={i} className="w-2.5 bg-indigo-400 dark:bg-indigo-500 rounded-sm" style={{ height: `${Math.max(n ? 12 : 2, (n / peak) * 100)}%` }} />
+                          ))}
+                        </div>
+                      </td>
+                      {sections.map(sec => {
+                        const v = s.sections[sec.name]
+                        const overall = overallSections[sec.name]
+                        const dip = v !== null && v !== undefined && overall !== null && overall - v > SECTION_DIP
+                        return (
+                          <td key={sec.name} className={`px-4 py-3 whitespace-nowrap ${dip ? 'text-rose-700 dark:text-rose-400 font-semibold' : 'text-gray-600 dark:text-gray-300'}`}>
+                            {v === null || v === undefined ? '-' : `${prettyNumber(v)}%`}
+                            {dip && <ExclamationTriangleIcon className="inline w-4 h-4 ml-1 -mt-0.5" />}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                    {open && (
+                      <tr className="bg-gray-50 dark:bg-gray-900/40">
+                        <td colSpan={6 + sections.length} className="px-4 py-2">
+                          <ul className="flex flex-wrap gap-2">
+                            {s.rows.map((row, i) => (
+                              <li key={i}>
+                                <button onClick={() => onOpenStudent(row)} className="px-2 py-1 rounded-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:border-indigo-400 dark:hover:border-indigo-500 text-xs">
+                                  {privacy.name(row)}
+                                </button>
+                              </li>
+                            ))}
+                          </ul>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {hasWindow && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 text-sm">
+          <h3 className="text-lg font-semibold mb-2">Outside the exam window ({timeline.outside.length})</h3>
+          {timeline.outside.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">Every submission falls inside the window.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+              {timeline.outside.map((o, i) => {
+                const start = fromLocalInput(examWindow.start, offset)
+                const end = fromLocalInput(examWindow.end, offset)
+                return (
+                  <li key={i} className="py-1.5 flex flex-wrap items-center gap-3">
+                    <button onClick={() => onOpenStudent(o.row)} className="font-medium text-indigo-600 dark:text-indigo-400 hover:underline">{privacy.name(o.row)}</button>
+                    <span className="text-gray-600 dark:text-gray-300">{formatTime(o.time, offset)}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${o.after ? 'bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400' : 'bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400'}`}>
+                      {o.after ? `${lateness(o.time - end)} late` : `${lateness(start - o.time)} early`}
+                    </span>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
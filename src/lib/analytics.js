@@ -0,0 +1,58 @@
+import { extractScoreObj } from './dataset.js'
+
+/**
+ * Whole-quiz summary numbers shared by the dashboard cards and the
+ * location comparison.
+ */
+
+export const EMPTY_ANALYTICS = { totalStudents: 0, avg: 0, max: 0, min: 0, passCount: 0, passRate: 0, detectedMaxScore: 0 }
+
+export const DISTRIBUTION_LABELS = ["0–20%", "21–40%", "41–60%", "61–80%", "81–100%"]
+
+/**
+ * `isPassing(row, percent)` decides pass/fail per student, so the grading
+ * policy (pass mark, section minimums) stays in one place.
+ */
+export function computeAnalytics(responses, isPassing) {
+  if (!responses || responses.length === 0) return EMPTY_ANALYTICS
+
+  const totalStudents = responses.length || 0;
+  const parsed = responses.map(r => extractScoreObj(r["Total score"] || r["Total Score"] || r["TotalScore"]));
+  const scores = parsed.map(p => p.score);
+  const maxScores = parsed.map(p => p.max).filter(x => x);
+  const detectedMaxScore = maxScores.length ? Math.max(...maxScores) : Math.max(...scores);
+
+  // Only calculate percentages if max score is detected and greater than zero
+  const percentages = detectedMaxScore > 0
+    ? scores.map(s => (s / detectedMaxScore) * 100)
+    : Array(totalStudents).fill(0);
+
+  const avg = percentages.length ? percentages.reduce((a, b) => a + b, 0) / percentages.length : 0;
+  const passCount = percentages.filter((p, i) => isPassing(responses[i], p)).length;
+  const min = percentages.length ? Math.min(...percentages) : 0;
+  const max = percentages.length ? Math.max(...percentages) : 0;
+
+  return {
+    totalStudents,
+    avg,
+    max,
+    min,
+    passCount,
+    passRate: totalStudents ? (passCount / totalStudents) * 100 : 0,
+    detectedMaxScore
+  };
+}
+
+/** Number of students per DISTRIBUTION_LABELS bucket of total %. */
+export function scoreDistribution(responses) {
+  const counts = DISTRIBUTION_LABELS.map(() => 0);
+  responses.forEach(r => {
+    const { score, max } = extractScoreObj(r["Total score"]);
+    if (!max || max === 0) return;
+    const pct = (score / max) * 100;
+    if (pct < 0 || pct > 100) return;
+    // Bucket edges are inclusive at the top: 20% is in "0–20%", 20.5% in "21–40%"
+    counts[Math.min(4, Math.max(0, Math.ceil(pct / 20) - 1))]++;
+  });
+  return counts;
+}
@@ -0,0 +1,85 @@
+import { extractScoreObj, normalizeKey } from './dataset.js'
+import { DEFAULT_RULES, acceptedAnswers, normalizeAnswer } from './rescore.js'
+import { isBlank } from './itemAnalysis.js'
+
+/**
+ * Groups the answers to one question into clusters of equivalent text:
+ * case and punctuation are ignored and runs of whitespace count as one
+ * space, so "Her students work hard." and "her  students work hard" fall
+ * together.
+ */
+
+// Typed answers, where the wrong answers are worth reading
+export const TYPED_TYPES = ['ShortAnswer', 'ShortAnswerValidate']
+
+// How many of the largest wrong clusters (given by two or more students) get called out
+const COMMON_WRONG_COUNT = 3
+
+const CLUSTER_RULES = { ...DEFAULT_RULES, ignoreWhitespace: false, fuzzyTolerance: 0 }
+
+export function clusterKey(v) {
+  return normalizeAnswer(v, CLUSTER_RULES)
+}
+
+/**
+ * Clusters for `group` over `rows`, largest first, blanks last. Each is
+ * { key, label, variants: [{ text, count }], rows, count, percent,
+ * averageScore, averagePercent, isKey, commonWrong, blank }; `label` is the
+ * most common spelling. Returns { clusters, accepted, max, type }.
+ */
+export function clusterAnswers(rows, group, metaInfo) {
+  const type = metaInfo?.Type || ''
+  const accepted = acceptedAnswers(metaInfo, CLUSTER_RULES)
+  const acceptedKeys = new Set(accepted.map(clusterKey))
+  const byKey = new Map()
+  let max = 0
+
+  rows.forEach(row => {
+    const answer = row[group.questionKey]
+    const blank = isBlank(answer)
+    const key = blank ? '' : clusterKey(answer)
+    let cluster = byKey.get(key)
+    if (!cluster) {
+      cluster = { key, blank: blank || !key, variants: new Map(), rows: [], scoreSum: 0 }
+      byKey.set(key, cluster)
+    }
+    const { score, max: itemMax } = extractScoreObj(row[group.scoreKey])
+    if (itemMax > max) max = itemMax
+    cluster.rows.push(row)
+    cluster.scoreSum += score || 0
+    if (!blank) {
+      const text = normalizeKey(answer)
+      cluster.variants.set(text, (cluster.variants.get(text) || 0) + 1)
+    }
+  })
+
+  const clusters = [...byKey.values()].map(c => {
+    const variants = [...c.variants.entries()]
+      .map(([text, count]) => ({ text, count }))
+      .sort((a, b) => b.count - a.count)
+    const averageScore = c.rows.length ? c.scoreSum / c.rows.length : 0
+    return {
+      key: c.key,
+      label: c.blank ? 'No answer' : variants[0].text,
+      variants,
+      rows: c.rows,
+      count: c.rows.length,
+      percent: rows.length ? (c.rows.length / rows.length) * 100 : 0,
+      averageScore,
+      averagePercent: max ? (averageScore / max) * 100 : null,
+      isKey: !c.blank && acceptedKeys.has(c.key),
+      commonWrong: false,
+      blank: c.blank,
+    }
+  })
+  clusters.sort((a, b) => (a.blank - b.blank) || (b.count - a.count) || a.label.localeCompare(b.label))
+
+  if (TYPED_TYPES.includes(type) && acceptedKeys.size) {
+    clusters
+      .filter(c => !c.blank && !c.isKey && c.count > 1)
+      .slice(0, COMMON_WRONG_COUNT)
+      .forEach(c => { c.commonWrong = true })
+  }
+
+  return { clusters, accepted, max, type }
+}
@@ -0,0 +1,187 @@
+import { extractScoreObj, parseTimestamp, totalScore } from './dataset.js'
+import { sectionColumnKey } from './sections.js'
+import { prettyNumber } from './format.js'
+import { formatZ } from './standing.js'
+
+/**
+ * Students-table columns. Every column has { key, label, kind }:
+ *   field    any response header, shown as-is
+ *   score    an "x / y" score column (Total score or a question's [Score])
+ *   status / grade   pass/fail and grade from the grading policy
+ *   percent / rank / percentile / zscore   computed from the total score;
+ *            `reference` marks rank and percentile against all centers
+ *   section  section sub-score %, with `section` naming it
+ *   placement   recommended level on the placement test (see placement.js)
+ * The layout (order and hidden columns) is remembered per level.
+ */
+
+const STORAGE_KEY = 'table-columns'
+
+export const STATUS_KEY = '__pass_fail__'
+export const GRADE_KEY = '__grade__'
+export const PERCENT_KEY = '__percent__'
+export const RANK_KEY = '__rank__'
+export const PERCENTILE_KEY = '__percentile__'
+export const Z_KEY = '__zscore__'
+export const REF_RANK_KEY = '__rank_all__'
+export const REF_PERCENTILE_KEY = '__percentile_all__'
+export const PLACEMENT_KEY = '__placement__'
+
+// Shown until the layout is changed
+const DEFAULT_KEYS = ['Username', 'Total score', PLACEMENT_KEY, STATUS_KEY, GRADE_KEY, 'Identity Number (SO Number)', 'Contact Number / Mobile Number']
+
+const BUILTIN = [
+  { key: 'Username', label: 'Username', kind: 'field' },
+  { key: 'Total score', label: 'Total Score', kind: 'score' },
+  { key: STATUS_KEY, label: 'Status', kind: 'status' },
+  { key: 'Identity Number (SO Number)', label: 'Identity Number', kind: 'field' },
+  { key: 'Contact Number / Mobile Number', label: 'Contact Number', kind: 'field' },
+  { key: PERCENT_KEY, label: 'Percentage', kind: 'percent' },
+  { key: RANK_KEY, label: 'Rank', kind: 'rank' },
+  { key: PERCENTILE_KEY, label: 'Percentile', kind: 'percentile' },
+  { key: Z_KEY, label: 'Z-score', kind: 'zscore' },
+]
+
+// Only while the reference cohort is switched on
+const REFERENCE_COLUMNS = [
+  { key: REF_RANK_KEY, label: 'Rank (all centers)', kind: 'rank', reference: true },
+  { key: REF_PERCENTILE_KEY, label: 'Percentile (all centers)', kind: 'percentile', reference: true },
+]
+
+/**
+ * Every column the table can show for this dataset: the built-ins, grade
+ * (when the policy has bands), cross-center standing (with a reference
+ * cohort), placement (on the placement test), sections, question scores
+ * and the remaining response headers. On the placement test, pass/fail and
+ * grade are `offByDefault`: the recommended level replaces them.
+ */
+export function availableColumns({ headers, quizGroups, sections, hasGrades, hasReference, hasPlacement }) {
+  const policyColumn = c => (hasPlacement && (c.kind === 'status' || c.kind === 'grade') ? { ...c, offByDefault: true } : c)
+  const columns = [
+    ...BUILTIN.map(policyColumn),
+    ...(hasReference ? REFERENCE_COLUMNS : []),
+    ...(hasGrades ? [policyColumn({ key: GRADE_KEY, label: 'Grade', kind: 'grade' })] : []),
+    ...(hasPlacement ? [{ key: PLACEMENT_KEY, label: 'Placement', kind: 'placement' }] : []),
+    ...sections.map(sec => ({ key: sectionColumnKey(sec.name), label: sec.name, kind: 'section', section: sec.name })),
+    ...quizGroups.map((g, i) => ({ key: g.scoreKey, label: `Q${i + 1} ${g.baseName.trim()}`, kind: 'score', group: 'Question scores' })),
+  ]
+  const seen = new Set(columns.map(c => c.key))
+  headers.forEach(h => {
+    if (seen.has(h)) return
+    seen.add(h)
+    columns.push({ key: h, label: h.trim(), kind: /\[score\]$/i.test(h) ? 'score' : 'field', group: 'Response columns' })
+  })
+  return columns
+}
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+/** Saved [{ key, hidden }] for a level, or null. */
+export function loadColumnLayout(level) {
+  return readAll()[level] || null
+}
+
+/** `layout` null forgets the level's layout. */
+export function saveColumnLayout(level, layout) {
+  const all = readAll()
+  if (layout) all[level] = layout
+  else delete all[level]
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all))
+}
+
+/**
+ * Available columns in display order with a `hidden` flag. Saved entries
+ * come first; columns the saved layout doesn't know about follow, hidden
+ * unless they are on by default (sections, for instance).
+ */
+export function resolveLayout(saved, available) {
+  const byKey = new Map(available.map(c => [c.key, c]))
+  const defaultHidden = c => !((DEFAULT_KEYS.includes(c.key) && !c.offByDefault) || c.kind === 'section')
+  if (!saved) {
+    const order = [...DEFAULT_KEYS.map(k => byKey.get(k)).filter(Boolean), ...available.filter(c => !DEFAULT_KEYS.includes(c.key))]
+    return order.map(c => ({ ...c, hidden: defaultHidden(c) }))
+  }
+  const listed = saved.filter(s => byKey.has(s.key)).map(s => ({ ...byKey.get(s.key), hidden: !!s.hidden }))
+  const known = new Set(saved.map(s => s.key))
+  return [...listed, ...available.filter(c => !known.has(c.key)).map(c => ({ ...c, hidden: defaultHidden(c) }))]
+}
+
+/** What gets stored for a resolved layout. */
+export function layoutToSave(columns) {
+  return columns.map(c => ({ key: c.key, hidden: c.hidden }))
+}
+
+// Standing of a row for a rank/percentile/zscore column, see standing.js
+function standingFor(row, column, ctx) {
+  const s = ctx.standingByRow.get(row)
+  return (column.reference ? s?.reference : s) || null
+}
+
+/**
+ * `ctx` is { gradeByRow, sectionScoresByRow, standingByRow, placementByRow, levelLabel }.
+ */
+export function cellText(row, column, ctx) {
+  switch (column.kind) {
+    case 'status': return ctx.gradeByRow.get(row)?.status
+    case 'grade': return ctx.gradeByRow.get(row)?.grade
+    case 'percent': {
+      const p = totalScore(row).percent
+      return p === null ? null : `${prettyNumber(p)}%`
+    }
+    case 'rank': return standingFor(row, column, ctx)?.rank
+    case 'percentile': {
+      const p = standingFor(row, column, ctx)?.percentile
+      return p === undefined ? null : String(Math.round(p))
+    }
+    case 'zscore': return formatZ(standingFor(row, column, ctx)?.z)
+    case 'placement': {
+      const p = ctx.placementByRow?.get(row)
+      return p ? `${ctx.levelLabel(p.level)}${p.review ? ' (review)' : ''}` : null
+    }
+    case 'section': {
+      const p = ctx.sectionScoresByRow.get(row)?.[column.section]?.percent
+      return p === null || p === undefined ? null : `${prettyNumber(p)}%`
+    }
+    default: return row[column.key]
+  }
+}
+
+/** Comparable value for sorting: a number, a lower-cased string, or null for empty cells. */
+export function sortValue(row, column, ctx) {
+  switch (column.kind) {
+    case 'score': {
+      const v = row[column.key]
+      return v === undefined || v === null || String(v).trim() === '' ? null : extractScoreObj(v).score
+    }
+    case 'percent': return totalScore(row).percent
+    case 'rank': return standingFor(row, column, ctx)?.rank ?? null
+    case 'percentile': return standingFor(row, column, ctx)?.percentile ?? null
+    case 'zscore': return standingFor(row, column, ctx)?.z ?? null
+    case 'section': return ctx.sectionScoresByRow.get(row)?.[column.section]?.percent ?? null
+    case 'placement': return ctx.placementByRow?.get(row)?.level ?? null
+    case 'status':
+    case 'grade': return cellText(row, column, ctx) || null
+  }
+  const v = String(row[column.key] ?? '').trim()
+  if (!v) return null
+  if (column.key === 'Timestamp') return parseTimestamp(v) ?? v.toLowerCase()
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v)
+  if (/^[\d.]+\s*\/\s*[\d.]+$/.test(v)) return extractScoreObj(v).score
+  return v.toLowerCase()
+}
+
+/** Comparator for `sortValue` results; empty cells always sort last, numbers before text. */
+export function compareValues(a, b, dir) {
+  if (a === null || b === null) return a === b ? 0 : a === null ? 1 : -1
+  const sign = dir === 'asc' ? 1 : -1
+  if (typeof a === 'number' && typeof b === 'number') return (a - b) * sign
+  if (typeof a === 'number') return -1
+  if (typeof b === 'number') return 1
+  return a.localeCompare(b, undefined, { numeric: true }) * sign
+}
@@ -0,0 +1,57 @@
+import { buildMetaMap, splitGroups, totalScore } from './dataset.js'
+import { buildSections, studentSectionScores, cohortSectionAverages } from './sections.js'
+import { analyzeItems } from './itemAnalysis.js'
+import { computeAnalytics, scoreDistribution } from './analytics.js'
+import { resolvePolicy, gradeResult } from './grading.js'
+
+/**
+ * Side-by-side summary of the same level and month across locations.
+ * A location without that combination gets `available: false` rather than
+ * zeroed numbers.
+ */
+export function compareLocations(datasets, { month, level, locations, policy }) {
+  const resolved = resolvePolicy(policy, { level, month })
+
+  const columns = locations.map(location => {
+    const found = datasets.find(d => d.location === location && d.month === month && d.level === level)
+    if (!found) return { location, available: false }
+
+    const { responses, meta, questionGroups } = found.dataset
+    const metaMap = buildMetaMap(meta)
+    const { quizGroups } = splitGroups(questionGroups, metaMap)
+    const sections = buildSections(quizGroups, metaMap)
+    const scoresByRow = new Map(responses.map(r => [r, studentSectionScores(r, sections)]))
+    const distribution = scoreDistribution(responses)
+    const scored = responses.filter(r => totalScore(r).max).length
+
+    return {
+      location,
+      available: true,
+      analytics: computeAnalytics(responses, (row, pct) => gradeResult(resolved, pct, scoresByRow.get(row)).passed),
+      // Share of students per bucket, so centers of different size overlay
+      distribution: distribution.map(c => (scored ? (c / scored) * 100 : 0)),
+      sectionAverages: cohortSectionAverages(responses, sections, r => scoresByRow.get(r)),
+      items: analyzeItems(responses, quizGroups, metaMap),
+    }
+  })
+
+  const available = columns.filter(c => c.available)
+  const sectionNames = [...new Set(available.flatMap(c => Object.keys(c.sectionAverages)))]
+
+  // Questions matched across locations by normalised text
+  const questions = []
+  available.forEach(c => c.items.forEach(item => {
+    let q = questions.find(x => x.normalizedName === item.group.normalizedName)
+    if (!q) {
+      q = { normalizedName: item.group.normalizedName, baseName: item.group.baseName, section: item.section, facilities: {} }
+      questions.push(q)
+    }
+    q.facilities[c.location] = item.facility
+  }))
+  questions.forEach(q => {
+    const values = Object.values(q.facilities).filter(v => v !== null && v !== undefined)
+    q.spread = values.length > 1 ? Math.max(...values) - Math.min(...values) : null
+  })
+
+  return { columns, sectionNames, questions }
+}
@@ -0,0 +1,236 @@
+import Papa from 'papaparse'
+
+/**
+ * Shared CSV → dataset pipeline used for both served files (public/) and
+ * files dropped into the browser.
+ */
+
+export function parseCSV(text) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(text, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (r) => resolve(r),
+      error: (e) => reject(e),
+    })
+  })
+}
+
+/**
+ * Standardizes text by removing extra spaces to ensure matching
+ * works between Response CSV and Meta CSV (which may have double spaces).
+ */
+export function normalizeKey(str) {
+  if (!str) return ''
+  // Replace multiple spaces/newlines with a single space and trim
+  return String(str).replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Robustly detects question groups based on [Score] and [Feedback] suffixes.
+ * Returns an array of objects: { baseName, normalizedName, questionKey, scoreKey, feedbackKey }
+ */
+export function detectQuestionGroups(headers) {
+  const groups = []
+
+  // Identify columns that look like score columns (ending in [Score] or [score])
+  const scoreCols = headers.filter(h => /\[score\]$/i.test(h.trim()))
+
+  scoreCols.forEach(scoreKey => {
+    // Determine the base question text by stripping the suffix
+    const baseName = scoreKey.replace(/\s*\[score\]$/i, '')
+
+    // Find the corresponding Question Column (should match baseName exactly or trimmed)
+    const questionKey = headers.find(h => h === baseName || h.trim() === baseName.trim())
+
+    // Find the corresponding Feedback Column
+    const feedbackKey = headers.find(h =>
+      h.trim() === `${baseName} [Feedback]` ||
+      h.trim() === `${baseName} [feedback]` ||
+      (h.includes(baseName) && /\[feedback\]$/i.test(h.trim()))
+    )
+
+    if (questionKey) {
+      groups.push({
+        baseName, // Kept as is for display
+        normalizedName: normalizeKey(baseName), // Used for meta lookup
+        questionKey,
+        scoreKey,
+        feedbackKey
+      })
+    }
+  })
+
+  return groups
+}
+
+export function extractScoreObj(v) {
+  if (!v) return { score: 0, max: 0 };
+  const m = String(v).match(/([\d.]+)\s*\/\s*([\d.]+)/);
+  if (m) {
+    return { score: Number(m[1]), max: Number(m[2]) };
+  }
+  const num = Number(v);
+  if (!isNaN(num)) return { score: num, max: null };
+  return { score: 0, max: 0 };
+}
+
+/** Map meta rows by normalized question text for quick lookup. */
+export function buildMetaMap(meta) {
+  const map = {}
+  meta.forEach(m => {
+    if (m.Question) {
+      // Use normalizeKey to handle fuzzy matching of whitespace
+      map[normalizeKey(m.Question)] = m
+    }
+  })
+  return map
+}
+
+export function isHTMLText(text) {
+  const t = (text || '').trim().toLowerCase()
+  return t.startsWith('<!doctype html') || t.startsWith('<html')
+}
+
+export function looksLikeCSV(text) {
+  return !!text && (text.includes(',') || text.trim().startsWith('"'))
+}
+
+/**
+ * Turns the raw text of a response CSV (and optional meta CSV) into
+ * { responses, meta, headers, questionGroups, parseErrors }. Throws when the
+ * response file is unusable; a bad meta file only logs a warning.
+ * `parseErrors` holds Papa Parse's row-level errors for both files.
+ */
+export async function buildDataset(respText, metaText, { lv, metaPath } = {}) {
+  if (isHTMLText(respText)) {
+    throw new Error(`Response file for level ${lv} is missing. Got HTML page instead of CSV.`);
+  }
+
+  // --- Guard: check if content looks like CSV ---
+  if (!looksLikeCSV(respText)) {
+    throw new Error(`Response file does not contain valid CSV for level ${lv}`);
+  }
+
+  // --- Parse CSV and filter out empty rows ---
+  const parsed = await parseCSV(respText);
+  const responses = parsed.data.filter(row =>
+    Object.values(row).some(v => (v || '').toString().trim().length > 0)
+  );
+
+  if (!responses.length) throw new Error(`No valid rows in response CSV for level ${lv}`);
+
+  // --- Parse meta file (optional) ---
+  let meta = [];
+  let metaErrors = [];
+  if (metaText !== null && metaText !== undefined) {
+    if (looksLikeCSV(metaText) && !isHTMLText(metaText)) {
+      const parsedMeta = await parseCSV(metaText);
+      meta = parsedMeta.data;
+      metaErrors = parsedMeta.errors;
+    } else {
+      console.warn(`Meta file ${metaPath || ''} does not look like valid CSV`);
+    }
+  }
+
+  // --- Headers ---
+  const headers = parsed.meta.fields || Object.keys(responses[0] || {});
+
+  return {
+    responses,
+    meta,
+    headers,
+    questionGroups: detectQuestionGroups(headers),
+    parseErrors: { response: parsed.errors, meta: metaErrors },
+  };
+}
+
+/**
+ * Determines which groups are "Personal Info" vs "Questions".
+ * Falls back to a name/email/identity regex when meta is missing.
+ */
+export function splitGroups(questionGroups, metaMap) {
+  const infoGroups = []
+  const quizGroups = []
+
+  questionGroups.forEach(g => {
+    // Use normalized lookup
+    const m = metaMap[g.normalizedName]
+
+    const isPI = m ? (m.Section === 'Personal Info') : (
+      // Fallback regex if meta is missing
+      /name|email|identity|contact|mobile/i.test(g.baseName)
+    )
+
+    if (isPI) infoGroups.push(g)
+    else quizGroups.push(g)
+  })
+  return { infoGroups, quizGroups }
+}
+
+/** Total score of a response row as { score, max, percent }. */
+export function totalScore(row) {
+  const { score, max } = extractScoreObj(row['Total score'] || row['Total Score'] || row['TotalScore'])
+  return { score, max, percent: max ? (score / max) * 100 : null }
+}
+
+const TIME_TAIL = String.raw`\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?\s*(?:GMT|UTC)?\s*(?:([+-])(\d{1,2})(?::?(\d{2}))?)?$`
+const YEAR_FIRST = new RegExp(String.raw`^(\d{4})[/-](\d{1,2})[/-](\d{1,2})` + TIME_TAIL, 'i')
+const YEAR_LAST = new RegExp(String.raw`^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})` + TIME_TAIL, 'i')
+
+// Date and time parts of a timestamp, with the day/month order of `order`
+function timestampParts(v, order) {
+  const str = String(v || '').trim()
+  let m = str.match(YEAR_FIRST)
+  if (m) {
+    const [, y, mo, d, ...time] = m
+    return [y, mo, d, ...time]
+  }
+  m = str.match(YEAR_LAST)
+  if (!m) return null
+  const [, a, b, y, ...time] = m
+  return order === 'dmy' ? [y, b, a, ...time] : [y, a, b, ...time]
+}
+
+/**
+ * Day/month order of a column of timestamps: 'ymd' for the form's default
+ * "2026/03/11", otherwise 'dmy' or 'mdy' depending on which part goes
+ * above 12 (US order when nothing tells them apart).
+ */
+export function timestampOrder(values) {
+  let dayFirst = false
+  for (const v of values) {
+    const m = String(v || '').trim().match(YEAR_LAST)
+    if (!m) continue
+    if (Number(m[1]) > 12) dayFirst = true
+    if (Number(m[2]) > 12) return 'mdy'
+  }
+  return dayFirst ? 'dmy' : values.some(v => YEAR_LAST.test(String(v || '').trim())) ? 'mdy' : 'ymd'
+}
+
+/** UTC offset written in a timestamp ("GMT+5") in minutes, or null. */
+export function timestampOffset(v) {
+  const parts = timestampParts(v)
+  if (!parts || !parts[7]) return null
+  const [, , , , , , , sign, oh, om] = parts
+  return (sign === '-' ? -1 : 1) * (Number(oh) * 60 + Number(om || 0))
+}
+
+/**
+ * Google Forms timestamp ("2026/03/11 11:41:00 AM GMT+5") in epoch ms,
+ * or null when it cannot be read. `order` says how to read "03/11/2026"
+ * (see timestampOrder); times without an offset are taken as UTC.
+ */
+export function parseTimestamp(v, order = 'mdy') {
+  const parts = timestampParts(v, order)
+  if (!parts) {
+    const t = Date.parse(v)
+    return Number.isNaN(t) ? null : t
+  }
+  const [y, mo, d, h, mi, s, ampm, sign, oh, om] = parts
+  let hour = Number(h) % 12
+  if (!ampm) hour = Number(h)
+  else if (ampm.toUpperCase() === 'PM') hour += 12
+  const offset = sign ? (sign === '-' ? -1 : 1) * (Number(oh) * 60 + Number(om || 0)) : 0
+  return Date.UTC(Number(y), Number(mo) - 1, Number(d), hour, Number(mi), Number(s || 0)) - offset * 60000
+}
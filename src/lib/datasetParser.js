@@ -0,0 +1,35 @@
+import { buildDataset, isHTMLText } from './dataset.js'
+import { validateDataset, validateRubric } from './validate.js'
+import { parseRubric } from './rubric.js'
+
+/**
+ * Turns the texts of one level into a dataset with its data quality
+ * `issues` and `rubric`. Runs in the parser worker, so it must not touch
+ * the DOM, storage or the network.
+ *
+ * `job` is { lv, respText, metaText, rubricText, respPath, metaPath, rubricPath };
+ * missing files are null.
+ */
+export async function parseLevelTexts(job) {
+  const { lv, respText, metaText, rubricText, respPath, metaPath, rubricPath } = job
+
+  let rubric = null
+  let rubricError = null
+  if (rubricPath) {
+    try {
+      if (rubricText === null || isHTMLText(rubricText)) throw new Error('Rubric file is missing.')
+      rubric = parseRubric(rubricText)
+    } catch (e) {
+      rubricError = e
+    }
+  }
+
+  const dataset = { ...await buildDataset(respText, metaText, { lv, metaPath }), rubric }
+  return {
+    ...dataset,
+    issues: [
+      ...validateDataset(dataset, { responsePath: respPath, metaPath, metaText }),
+      ...validateRubric(dataset, { rubricPath, error: rubricError }),
+    ],
+  }
+}
@@ -0,0 +1,21 @@
+import Papa from 'papaparse'
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/** File-name-safe part built from a label ("Ali Jiwani" → "Ali_Jiwani"). */
+export function filePart(v) {
+  return String(v || '').trim().replace(/[\\/:*?"<>|\s]+/g, '_')
+}
+
+/** Downloads an array of row objects (or arrays) as a CSV file. */
+export function downloadCSV(rows, filename) {
+  const csv = Papa.unparse(rows)
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), filename)
+}
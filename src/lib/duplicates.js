@@ -0,0 +1,172 @@
+import { parseTimestamp, timestampOrder, totalScore } from './dataset.js'
+import { SO_KEY, normalizeSO, normalizeEmail, normalizeName } from './history.js'
+
+/**
+ * Repeat submissions within one dataset. Rows are linked when they share an
+ * Identity Number, an email, or a normalised name plus contact number.
+ *
+ * Families often share one Identity Number and Google account, so groups
+ * whose attempts carry different names are marked `namesDiffer` and can be
+ * left alone by the resolution policy.
+ */
+
+export const CONTACT_KEY = 'Contact Number / Mobile Number'
+
+export const RESOLUTION_POLICIES = [
+  { id: 'latest', label: 'Keep latest' },
+  { id: 'first', label: 'Keep first' },
+  { id: 'best', label: 'Keep best' },
+  { id: 'all', label: 'Keep all' },
+]
+
+const POLICY_KEY = 'duplicate-policy'
+const SPLIT_NAMES_KEY = 'duplicate-split-names'
+const OVERRIDES_KEY = 'duplicate-overrides'
+
+// Manual choice that keeps every attempt of a group
+export const KEEP_ALL = 'all'
+
+function normalizeContact(v) {
+  // Last 10 digits, so "+92 300..." and "0300..." match
+  return String(v || '').replace(/\D/g, '').slice(-10)
+}
+
+function matchKeys(row) {
+  const keys = []
+  const so = normalizeSO(row[SO_KEY])
+  if (so) keys.push(['Identity Number', `so:${so}`])
+  ;[row.Email, row.Username].map(normalizeEmail).filter(Boolean).forEach(e => keys.push(['Email', `email:${e}`]))
+  const name = normalizeName(row.Name)
+  const contact = normalizeContact(row[CONTACT_KEY])
+  if (name && contact) keys.push(['Name + contact', `name:${name}|${contact}`])
+  return keys
+}
+
+/** Stable reference to one attempt, so overrides survive reloads. */
+export function attemptId(row) {
+  return `${row.Timestamp || ''}|${row.Username || row.Email || ''}`
+}
+
+/**
+ * Groups of probable duplicates, each
+ * { id, reasons: ['Identity Number', ...], namesDiffer, rows } with rows oldest first.
+ * `id` is the group's first match key and is used for overrides.
+ */
+export function findDuplicateGroups(responses) {
+  const parent = responses.map((_, i) => i)
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+  const firstByKey = new Map()
+  const reasonsByRoot = new Map()
+
+  responses.forEach((row, i) => {
+    matchKeys(row).forEach(([reason, key]) => {
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, { index: i, reason })
+        return
+      }
+      const a = find(firstByKey.get(key).index)
+      const b = find(i)
+      if (a !== b) parent[b] = a
+      const root = find(i)
+      if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set())
+      reasonsByRoot.get(root).add(reason)
+    })
+  })
+
+  const members = new Map()
+  responses.forEach((row, i) => {
+    const root = find(i)
+    if (!members.has(root)) members.set(root, [])
+    members.get(root).push(row)
+  })
+
+  // Day-first sheets would otherwise sort "02/03" before "13/02"
+  const order = timestampOrder(responses.map(r => r.Timestamp))
+  const time = row => parseTimestamp(row.Timestamp, order) ?? 0
+  const groups = []
+  members.forEach((rows, root) => {
+    if (rows.length < 2) return
+    const reasons = new Set()
+    reasonsByRoot.forEach((set, r) => { if (find(r) === root) set.forEach(x => reasons.add(x)) })
+    rows.sort((a, b) => time(a) - time(b))
+    const names = new Set(rows.map(r => normalizeName(r.Name)).filter(Boolean))
+    groups.push({ id: matchKeys(rows[0])[0]?.[1] || attemptId(rows[0]), reasons: [...reasons], namesDiffer: names.size > 1, rows })
+  })
+  return groups
+}
+
+// One attempt of `rows` (oldest first) under a policy
+function pickAttempts(rows, policy) {
+  switch (policy) {
+    case 'all': return rows
+    case 'first': return [rows[0]]
+    case 'best': return [rows.reduce((best, r) => ((totalScore(r).percent ?? -1) > (totalScore(best).percent ?? -1) ? r : best))]
+    default: return [rows[rows.length - 1]]
+  }
+}
+
+/**
+ * Attempts kept for one group under a policy, or a manual override
+ * (attempt id or KEEP_ALL). With `splitNames`, each name in a group of
+ * different names counts as its own student and keeps its own attempt.
+ */
+export function keptAttempts(group, policy, override, splitNames = false) {
+  if (override === KEEP_ALL) return group.rows
+  if (override) {
+    const chosen = group.rows.find(r => attemptId(r) === override)
+    if (chosen) return [chosen]
+  }
+  if (splitNames && group.namesDiffer) {
+    const byName = new Map()
+    group.rows.forEach(r => {
+      const name = normalizeName(r.Name)
+      byName.set(name, [...(byName.get(name) || []), r])
+    })
+    const kept = new Set([...byName.values()].flatMap(rows => pickAttempts(rows, policy)))
+    return group.rows.filter(r => kept.has(r))
+  }
+  return pickAttempts(group.rows, policy)
+}
+
+/** `responses` without the attempts dropped by the policy, in their original order. */
+export function resolveDuplicates(responses, groups, policy, overrides = {}, splitNames = false) {
+  const dropped = new Set()
+  groups.forEach(g => {
+    const kept = keptAttempts(g, policy, overrides[g.id], splitNames)
+    g.rows.forEach(r => { if (!kept.includes(r)) dropped.add(r) })
+  })
+  return dropped.size ? responses.filter(r => !dropped.has(r)) : responses
+}
+
+export function loadDuplicatePolicy() {
+  return localStorage.getItem(POLICY_KEY) || 'latest'
+}
+
+export function saveDuplicatePolicy(policy) {
+  localStorage.setItem(POLICY_KEY, policy)
+}
+
+export function loadSplitNames() {
+  return localStorage.getItem(SPLIT_NAMES_KEY) !== '0'
+}
+
+export function saveSplitNames(split) {
+  localStorage.setItem(SPLIT_NAMES_KEY, split ? '1' : '0')
+}
+
+/** Manual overrides of every dataset: { [datasetKey]: { [groupId]: attemptId | KEEP_ALL } }. */
+export function loadDuplicateOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+export function saveDuplicateOverrides(overrides) {
+  localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides))
+}
+
+export function datasetKey(location, month, level) {
+  return `${location}/${month}/${level}`
+}
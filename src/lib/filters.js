@@ -0,0 +1,132 @@
+import { extractScoreObj, totalScore } from './dataset.js'
+import { prettyNumber } from './format.js'
+
+/**
+ * Structured filters for the students table. A filter is a plain object:
+ *   { type: 'status', value: 'PASS' | 'FAIL' }
+ *   { type: 'grade', value }                      grade band from the policy
+ *   { type: 'total', min, max, aboveMin }         total %, inclusive; `aboveMin` true excludes `min` itself
+ *   { type: 'section', section, min, max }        section %, inclusive
+ *   { type: 'percentile', min, max, reference }   percentile rank; `reference` true = among all centers
+ *   { type: 'zscore', min, max }                  z-score within the dataset
+ *   { type: 'placement', value }                  recommended level, or 'review' for borderline
+ *   { type: 'question', scoreKey, min, max }      points on one question
+ *   { type: 'answer', scoreKey, value }           exact response to a question
+ *   { type: 'blank', scoreKey }                   unanswered question (scoreKey null = any)
+ * Question filters name the question by its score column, which is unique per dataset.
+ */
+
+export const FILTER_TYPES = [
+  { id: 'status', label: 'Pass / fail' },
+  { id: 'grade', label: 'Grade' },
+  { id: 'total', label: 'Total %' },
+  { id: 'section', label: 'Section %' },
+  { id: 'percentile', label: 'Percentile' },
+  { id: 'zscore', label: 'Z-score' },
+  { id: 'placement', label: 'Placement' },
+  { id: 'question', label: 'Question score' },
+  { id: 'answer', label: 'Answer chosen' },
+  { id: 'blank', label: 'Blank response' },
+]
+
+function inRange(v, min, max, aboveMin = false) {
+  if (v === null || v === undefined || Number.isNaN(v)) return false
+  const minOk = min === '' || min === null || (aboveMin ? v > Number(min) : v >= Number(min))
+  return minOk && (max === '' || max === null || v <= Number(max))
+}
+
+function isBlank(v) {
+  return !String(v ?? '').trim()
+}
+
+/**
+ * `ctx` is { quizGroups, gradeByRow, sectionScoresByRow, standingByRow, placementByRow, levelLabel }.
+ */
+export function matchesFilter(row, filter, ctx) {
+  const group = filter.scoreKey ? ctx.quizGroups.find(g => g.scoreKey === filter.scoreKey) : null
+  switch (filter.type) {
+    case 'status':
+      return (ctx.gradeByRow.get(row)?.status || 'FAIL') === filter.value
+    case 'grade':
+      return ctx.gradeByRow.get(row)?.grade === filter.value
+    case 'total':
+      return inRange(totalScore(row).percent, filter.min, filter.max, !!filter.aboveMin)
+    case 'section':
+      return inRange(ctx.sectionScoresByRow.get(row)?.[filter.section]?.percent, filter.min, filter.max)
+    case 'percentile': {
+      const s = ctx.standingByRow.get(row)
+      return inRange((filter.reference ? s?.reference : s)?.percentile, filter.min, filter.max)
+    }
+    case 'zscore':
+      return inRange(ctx.standingByRow.get(row)?.z, filter.min, filter.max)
+    case 'placement': {
+      const p = ctx.placementByRow?.get(row)
+      if (!p) return false
+      return filter.value === 'review' ? p.review : p.level === Number(filter.value)
+    }
+    case 'question': {
+      if (!group) return false
+      const { score, max } = extractScoreObj(row[group.scoreKey])
+      return max > 0 && inRange(score, filter.min, filter.max)
+    }
+    case 'answer':
+      return !!group && String(row[group.questionKey] ?? '').trim() === filter.value
+    case 'blank':
+      return group ? isBlank(row[group.questionKey]) : ctx.quizGroups.some(g => isBlank(row[g.questionKey]))
+    default:
+      return true
+  }
+}
+
+/** Rows passing all (`combine: 'and'`) or any (`'or'`) of the filters. */
+export function applyFilters(rows, filters, combine, ctx) {
+  if (!filters.length) return rows
+  return rows.filter(r => combine === 'or'
+    ? filters.some(f => matchesFilter(r, f, ctx))
+    : filters.every(f => matchesFilter(r, f, ctx)))
+}
+
+function rangeText(min, max, unit = '', aboveMin = false) {
+  const has = v => v !== '' && v !== null && v !== undefined
+  if (has(min) && aboveMin) return `> ${prettyNumber(Number(min))}${unit}${has(max) ? ` and ≤ ${prettyNumber(Number(max))}${unit}` : ''}`
+  if (has(min) && has(max)) return `${prettyNumber(Number(min))}–${prettyNumber(Number(max))}${unit}`
+  if (has(min)) return `≥ ${prettyNumber(Number(min))}${unit}`
+  if (has(max)) return `≤ ${prettyNumber(Number(max))}${unit}`
+  return 'any'
+}
+
+function questionName(ctx, scoreKey) {
+  const i = ctx.quizGroups.findIndex(g => g.scoreKey === scoreKey)
+  if (i === -1) return 'Unknown question'
+  const name = ctx.quizGroups[i].baseName.trim()
+  return `Q${i + 1} ${name.length > 30 ? `${name.slice(0, 30)}…` : name}`
+}
+
+/** Short text for a filter chip. */
+export function filterLabel(filter, ctx) {
+  switch (filter.type) {
+    case 'status': return filter.value === 'PASS' ? 'Passed' : 'Failed'
+    case 'grade': return `Grade ${filter.value}`
+    case 'total': return `Total ${rangeText(filter.min, filter.max, '%', filter.aboveMin)}`
+    case 'section': return `${filter.section} ${rangeText(filter.min, filter.max, '%')}`
+    case 'percentile': return `Percentile${filter.reference ? ' (all centers)' : ''} ${rangeText(filter.min, filter.max)}`
+    case 'zscore': return `Z-score ${rangeText(filter.min, filter.max)}`
+    case 'placement': return filter.value === 'review' ? 'Placement needs review' : `Placed in ${ctx.levelLabel(Number(filter.value))}`
+    case 'question': return `${questionName(ctx, filter.scoreKey)}: ${rangeText(filter.min, filter.max, ' pts')}`
+    case 'answer': return `${questionName(ctx, filter.scoreKey)} = "${filter.value}"`
+    case 'blank': return filter.scoreKey ? `${questionName(ctx, filter.scoreKey)} blank` : 'Any question blank'
+    default: return filter.type
+  }
+}
+
+export function sameFilter(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].every(k => String(a[k] ?? '') === String(b[k] ?? ''))
+}
+
+/** Adds the filter, or removes it when an identical one is already active (chart clicks toggle). */
+export function toggleFilter(filters, filter) {
+  return filters.some(f => sameFilter(f, filter))
+    ? filters.filter(f => !sameFilter(f, filter))
+    : [...filters, filter]
+}
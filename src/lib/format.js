@@ -0,0 +1,6 @@
+export function prettyNumber(n) {
+  if (n === null || n === undefined || n === '') return '-' 
+  const num = Number(n)
+  if (isNaN(num)) return n
+  return Math.round(num * 100) / 100
+}
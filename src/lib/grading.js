@@ -0,0 +1,130 @@
+import { DEFAULT_PLACEMENT, normalizePlacement } from './placement.js'
+
+/**
+ * Grading policy: pass mark per level/month, optional grade bands and
+ * optional minimum percentage per section, plus the cut scores used to
+ * place students from the placement test (see placement.js).
+ *
+ * Shape (public/grading.json):
+ * {
+ *   passMark: 50,
+ *   gradeBands: [{ grade: 'A', min: 85 }, ...],
+ *   sectionMinimums: { Writing: 30 },
+ *   overrides: [{ level: 0, month: 'March26', passMark: 40, gradeBands, sectionMinimums }],
+ *   placement: { level: 0, cuts, sectionRules, margin }
+ * }
+ * An override without `level` or `month` applies to every level or month;
+ * more specific overrides win over general ones.
+ */
+
+export const GRADING_URL = '/grading.json'
+const STORAGE_KEY = 'grading-policy'
+
+export const DEFAULT_POLICY = { passMark: 50, gradeBands: [], sectionMinimums: {}, overrides: [], placement: DEFAULT_PLACEMENT }
+
+// Cleared inputs are kept as '' while editing and must not read as 0
+const isNumber = v => v !== '' && v !== null && v !== undefined && Number.isFinite(Number(v))
+
+export function normalizePolicy(p) {
+  return {
+    passMark: isNumber(p?.passMark) ? Number(p.passMark) : DEFAULT_POLICY.passMark,
+    gradeBands: Array.isArray(p?.gradeBands) ? p.gradeBands : [],
+    sectionMinimums: p?.sectionMinimums && typeof p.sectionMinimums === 'object' ? p.sectionMinimums : {},
+    overrides: Array.isArray(p?.overrides) ? p.overrides : [],
+    placement: normalizePlacement(p?.placement),
+  }
+}
+
+/** Policy from grading.json, or the default 50% pass mark if there is none. */
+export async function loadGradingPolicy() {
+  try {
+    const resp = await fetch(GRADING_URL)
+    if (!resp.ok) return DEFAULT_POLICY
+    return normalizePolicy(await resp.json())
+  } catch (e) {
+    console.warn(`Grading policy ${GRADING_URL} could not be loaded. Using defaults.`, e.message)
+    return DEFAULT_POLICY
+  }
+}
+
+/** Policy edited in the settings panel, if any. */
+export function loadSavedPolicy() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? normalizePolicy(JSON.parse(raw)) : null
+  } catch {
+    return null
+  }
+}
+
+export function savePolicy(policy) {
+  if (policy) localStorage.setItem(STORAGE_KEY, JSON.stringify(policy))
+  else localStorage.removeItem(STORAGE_KEY)
+}
+
+function specificity(o) {
+  return (o.level !== undefined && o.level !== null && o.level !== '' ? 2 : 0) + (o.month ? 1 : 0)
+}
+
+function matches(o, level, month) {
+  const levelOk = o.level === undefined || o.level === null || o.level === '' || Number(o.level) === level
+  const monthOk = !o.month || o.month === month
+  return levelOk && monthOk
+}
+
+/**
+ * Effective { passMark, gradeBands, sectionMinimums } for a level and month.
+ * A blank pass mark falls back to the default, and bands without a usable
+ * `min` are left out.
+ */
+export function resolvePolicy(policy, { level, month }) {
+  const resolved = {
+    passMark: isNumber(policy.passMark) ? Number(policy.passMark) : DEFAULT_POLICY.passMark,
+    gradeBands: policy.gradeBands,
+    sectionMinimums: policy.sectionMinimums,
+  }
+  policy.overrides
+    .filter(o => matches(o, level, month))
+    .sort((a, b) => specificity(a) - specificity(b))
+    .forEach(o => {
+      if (isNumber(o.passMark)) resolved.passMark = Number(o.passMark)
+      if (Array.isArray(o.gradeBands)) resolved.gradeBands = o.gradeBands
+      if (o.sectionMinimums) resolved.sectionMinimums = { ...resolved.sectionMinimums, ...o.sectionMinimums }
+    })
+  return { ...resolved, gradeBands: usableBands(resolved.gradeBands) }
+}
+
+// A band with a blank `min` would otherwise read as 0 and match everyone
+function usableBands(bands) {
+  return bands.filter(b => isNumber(b.min))
+}
+
+/**
+ * Grades one student.
+ * `sectionScores` is { [section]: { percent } } (see sections.js).
+ * Returns { passed, status: 'PASS'|'FAIL', grade, failedSections }.
+ */
+export function gradeResult(resolved, percent, sectionScores = {}) {
+  const failedSections = Object.entries(resolved.sectionMinimums)
+    .filter(([name, min]) => min !== '' && min !== null && Number.isFinite(Number(min)))
+    .filter(([name, min]) => {
+      const p = sectionScores[name]?.percent
+      return p !== null && p !== undefined && p < Number(min)
+    })
+    .map(([name]) => name)
+
+  const passed = percent !== null && percent !== undefined && percent >= resolved.passMark && !failedSections.length
+
+  let grade = null
+  if (resolved.gradeBands.length) {
+    if (!passed) grade = 'Fail'
+    else {
+      const band = usableBands(resolved.gradeBands)
+        .sort((a, b) => Number(b.min) - Number(a.min))
+        .find(b => percent >= Number(b.min))
+      grade = band ? band.grade : 'Pass'
+    }
+  }
+
+  return { passed, status: passed ? 'PASS' : 'FAIL', grade, failedSections }
+}
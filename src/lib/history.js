@@ -0,0 +1,169 @@
+import { buildMetaMap, splitGroups, totalScore, normalizeKey } from './dataset.js'
+import { buildSections, studentSectionScores } from './sections.js'
+import { parseMonthId } from './manifest.js'
+
+/**
+ * Longitudinal view over every loaded dataset: matches the same student
+ * across months, levels and locations and compares two test cycles.
+ */
+
+export const SO_KEY = 'Identity Number (SO Number)'
+
+export function normalizeSO(v) {
+  return String(v || '').toLowerCase().replace(/[\s\-_]+/g, '')
+}
+
+export function normalizeEmail(v) {
+  const e = String(v || '').trim().toLowerCase()
+  return e.includes('@') ? e : ''
+}
+
+export function normalizeName(v) {
+  return normalizeKey(v).toLowerCase().replace(/[^\p{L}\p{N} ]/gu, '')
+}
+
+export function studentDisplayName(row) {
+  return normalizeKey(row.Name) || row.Username || 'Unknown student'
+}
+
+/** Identifying fields of a response row, normalised for matching. */
+export function studentIdentity(row) {
+  return {
+    so: normalizeSO(row[SO_KEY]),
+    emails: [...new Set([normalizeEmail(row.Email), normalizeEmail(row.Username)].filter(Boolean))],
+    name: normalizeName(row.Name),
+  }
+}
+
+/**
+ * Turns loaded datasets ([{ location, month, level, dataset }]) into flat
+ * history records with total and section percentages.
+ * `grade({ level, month, percent, sections })` returns a grading result
+ * (see grading.js).
+ */
+export function buildHistoryRecords(datasets, grade) {
+  const records = []
+  datasets.forEach(({ location, month, level, dataset }) => {
+    const metaMap = buildMetaMap(dataset.meta)
+    const { quizGroups } = splitGroups(dataset.questionGroups, metaMap)
+    const sections = buildSections(quizGroups, metaMap)
+    const monthOrder = parseMonthId(month).order
+    dataset.responses.forEach(row => {
+      const total = totalScore(row)
+      const sectionScores = studentSectionScores(row, sections)
+      const result = grade({ level, month, percent: total.percent, sections: sectionScores })
+      records.push({
+        location,
+        month,
+        monthOrder,
+        level,
+        row,
+        total,
+        sections: sectionScores,
+        passed: result.passed,
+        grade: result.grade,
+      })
+    })
+  })
+  records.sort((a, b) => a.monthOrder - b.monthOrder || a.level - b.level)
+  return records
+}
+
+/**
+ * Groups records into students. Records are matched by SO number; records
+ * without one fall back to email, then to normalised name.
+ * Siblings often share an SO number and Google account, so a record whose
+ * name differs from everyone already under its SO number or email is a
+ * different student.
+ * Returns { students: Map<id, student>, lookup(row) → student|null }.
+ */
+export function buildStudentIndex(records) {
+  const students = new Map()
+  const bySO = new Map()
+  const byEmail = new Map()
+  const byName = new Map()
+
+  // A record without a name, or a student not yet named, matches on the key alone
+  const sameName = (student, name) => !name || !student.nameKey || student.nameKey === name
+
+  function find({ so, emails, name }) {
+    if (so) return (bySO.get(so) || []).find(s => sameName(s, name)) || null
+    for (const e of emails) {
+      const student = (byEmail.get(e) || []).find(s => sameName(s, name))
+      if (student) return student
+    }
+    if (name && byName.has(name)) return byName.get(name)
+    return null
+  }
+
+  function add(map, key, student) {
+    const list = map.get(key) || []
+    if (!list.includes(student)) map.set(key, [...list, student])
+  }
+
+  function register(student, { so, emails, name }) {
+    if (name && !student.nameKey) student.nameKey = name
+    if (so) add(bySO, so, student)
+    emails.forEach(e => add(byEmail, e, student))
+    if (name && !byName.has(name)) byName.set(name, student)
+  }
+
+  // Records with an SO number first, so fallbacks can attach to them
+  const ordered = [...records].sort((a, b) => (normalizeSO(b.row[SO_KEY]) ? 1 : 0) - (normalizeSO(a.row[SO_KEY]) ? 1 : 0))
+
+  ordered.forEach(record => {
+    const identity = studentIdentity(record.row)
+    let student = find(identity)
+    if (!student) {
+      const base = identity.so ? `so:${identity.so}` : identity.emails[0] ? `email:${identity.emails[0]}` : `name:${identity.name || students.size}`
+      const id = students.has(base) ? `${base}:${identity.name || students.size}` : base
+      student = { id, name: studentDisplayName(record.row), so: record.row[SO_KEY] || '', nameKey: '', records: [] }
+      students.set(id, student)
+    }
+    register(student, identity)
+    record.studentId = student.id
+    student.records.push(record)
+  })
+
+  students.forEach(s => s.records.sort((a, b) => a.monthOrder - b.monthOrder || a.level - b.level))
+
+  return { students, lookup: (row) => find(studentIdentity(row)) }
+}
+
+/** The record that represents a student in a month: highest level attempted. */
+function recordForMonth(student, location, month) {
+  const inMonth = student.records.filter(r => r.month === month && (!location || r.location === location))
+  if (!inMonth.length) return null
+  return inMonth.reduce((best, r) => (r.level >= best.level ? r : best))
+}
+
+export const PROGRESS_STATUSES = ['improved', 'declined', 'unchanged', 'new', 'dropped']
+
+/**
+ * Compares two months for a location. A student who sat a higher level in
+ * the later month counts as improved (lower level: declined); otherwise the
+ * change in total percentage decides.
+ * Returns [{ student, before, after, delta, status }] where status is one of
+ * PROGRESS_STATUSES.
+ */
+export function compareMonths(students, location, monthA, monthB) {
+  const rows = []
+  students.forEach(student => {
+    const before = recordForMonth(student, location, monthA)
+    const after = recordForMonth(student, location, monthB)
+    if (!before && !after) return
+    let status
+    let delta = null
+    if (!before) status = 'new'
+    else if (!after) status = 'dropped'
+    else {
+      delta = (after.total.percent ?? 0) - (before.total.percent ?? 0)
+      const rounded = Math.round(delta * 10) / 10
+      // Moving to another level outweighs the percentage on different papers
+      if (after.level !== before.level) status = after.level > before.level ? 'improved' : 'declined'
+      else status = rounded > 0 ? 'improved' : rounded < 0 ? 'declined' : 'unchanged'
+    }
+    rows.push({ student, before, after, delta, status })
+  })
+  return rows
+}
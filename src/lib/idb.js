@@ -0,0 +1,52 @@
+/**
+ * Minimal promise wrapper over a single IndexedDB key/value store.
+ * Everything stays in the user's browser.
+ */
+
+const DB_NAME = 'quiz-visualizer'
+const DB_VERSION = 1
+const STORE = 'kv'
+
+let dbPromise = null
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE)
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+function run(mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }))
+}
+
+export function idbGet(key) {
+  return run('readonly', store => store.get(key))
+}
+
+export function idbSet(key, value) {
+  return run('readwrite', store => store.put(value, key))
+}
+
+export function idbDelete(key) {
+  return run('readwrite', store => store.delete(key))
+}
@@ -0,0 +1,127 @@
+import { extractScoreObj, normalizeKey } from './dataset.js'
+
+/**
+ * Classical item analysis over the quiz questions of one dataset.
+ *
+ * - facility: mean % score on the item
+ * - discrimination: proportion-correct of the top 27% minus the bottom 27%
+ *   of students ranked by `Total score`
+ * - pointBiserial: correlation between the item score and the total score
+ *   with that item removed
+ * - blankRate: % of students who left the item empty
+ * - options: for MCQ items, how many students picked each option
+ */
+
+const GROUP_FRACTION = 0.27
+
+export function isBlank(v) {
+  return v === null || v === undefined || String(v).trim() === ''
+}
+
+/**
+ * Comparison key for answers: case/whitespace-insensitive and ignoring
+ * trailing punctuation, so "Her students work hard." matches the key
+ * "Her students work hard".
+ */
+export function answerKey(v) {
+  return normalizeKey(v).toLowerCase().replace(/[.!?,;:]+$/, '')
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0
+}
+
+function correlation(xs, ys) {
+  const n = xs.length
+  if (n < 2) return null
+  const mx = mean(xs)
+  const my = mean(ys)
+  let sxy = 0, sxx = 0, syy = 0
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my)
+    sxx += (xs[i] - mx) ** 2
+    syy += (ys[i] - my) ** 2
+  }
+  if (!sxx || !syy) return null
+  return sxy / Math.sqrt(sxx * syy)
+}
+
+/** Item maximum from the `x / max` score cell, falling back to meta TotalPoints. */
+function itemMax(rows, group, metaInfo) {
+  for (const r of rows) {
+    const { max } = extractScoreObj(r[group.scoreKey])
+    if (max) return max
+  }
+  const points = Number(metaInfo?.TotalPoints)
+  return points > 0 ? points : 0
+}
+
+export function analyzeItems(responses, quizGroups, metaMap) {
+  if (!responses.length) return []
+
+  const totals = responses.map(r => extractScoreObj(r['Total score']).score)
+  const ranked = responses.map((_, i) => i).sort((a, b) => totals[b] - totals[a])
+  const groupSize = Math.max(1, Math.round(responses.length * GROUP_FRACTION))
+  const upper = ranked.slice(0, groupSize)
+  const lower = ranked.slice(-groupSize)
+
+  return quizGroups.map((group, index) => {
+    const metaInfo = metaMap[group.normalizedName]
+    const type = metaInfo?.Type || ''
+    const max = itemMax(responses, group, metaInfo)
+    const scores = responses.map(r => extractScoreObj(r[group.scoreKey]).score)
+    const ratios = scores.map(s => (max ? s / max : 0))
+
+    const facility = max ? mean(ratios) * 100 : null
+    const discrimination = max && responses.length > 1
+      ? mean(upper.map(i => ratios[i])) - mean(lower.map(i => ratios[i]))
+      : null
+    const pointBiserial = max ? correlation(scores, totals.map((t, i) => t - scores[i])) : null
+
+    const blankCount = responses.filter(r => isBlank(r[group.questionKey])).length
+    const blankRate = (blankCount / responses.length) * 100
+
+    let options = null
+    const correct = metaInfo?.CorrectAnswer && metaInfo.CorrectAnswer !== 'OpenEnded' ? metaInfo.CorrectAnswer : null
+    if (type === 'MCQ') {
+      const counts = new Map()
+      responses.forEach(r => {
+        const v = r[group.questionKey]
+        if (isBlank(v)) return
+        const k = answerKey(v)
+        const entry = counts.get(k) || { option: normalizeKey(v), count: 0 }
+        entry.count++
+        counts.set(k, entry)
+      })
+      if (correct && !counts.has(answerKey(correct))) {
+        counts.set(answerKey(correct), { option: normalizeKey(correct), count: 0 })
+      }
+      options = [...counts.entries()]
+        .map(([k, e]) => ({ ...e, isKey: !!correct && k === answerKey(correct), percent: (e.count / responses.length) * 100 }))
+        .sort((a, b) => b.count - a.count)
+    }
+
+    const flags = []
+    if (discrimination !== null && discrimination < 0) flags.push('Negative discrimination')
+    if (options) {
+      const key = options.find(o => o.isKey)
+      if (key && options.some(o => !o.isKey && o.count > key.count)) flags.push('Distractor beats key')
+    }
+
+    return {
+      index: index + 1,
+      group,
+      section: metaInfo?.Section || '',
+      type,
+      correct,
+      max,
+      facility,
+      discrimination,
+      pointBiserial,
+      blankCount,
+      blankRate,
+      options,
+      flags,
+    }
+  })
+}
@@ -0,0 +1,176 @@
+import { readSource, isLocalPath } from './localData.js'
+import { WORKER_TASKS } from './workerTasks.js'
+import { hashString } from './hash.js'
+import { idbGet, idbSet, idbDelete } from './idb.js'
+
+/**
+ * Loading of level datasets. Files are always read (so edits show up), but
+ * parsing is skipped when the same content was parsed before: parsed
+ * datasets are kept in memory and, for served files, in IndexedDB, keyed by
+ * a hash of the file contents. Parsing itself runs in a Web Worker, as do
+ * the heavier whole-level statistics (see workerTasks.js).
+ */
+
+// Bump when the parsed dataset shape changes, so old cache entries are ignored
+const CACHE_VERSION = 1
+const MEMORY_LIMIT = 60
+const IDB_LIMIT = 40
+const IDB_INDEX_KEY = 'dataset-cache-index'
+const IDB_PREFIX = 'dataset-cache:'
+
+const memory = new Map()
+
+function remember(key, dataset) {
+  memory.delete(key)
+  memory.set(key, dataset)
+  // Map iteration order is insertion order, so the first key is the least recently used
+  if (memory.size > MEMORY_LIMIT) memory.delete(memory.keys().next().value)
+}
+
+async function readPersisted(key) {
+  try {
+    return (await idbGet(IDB_PREFIX + key)) || null
+  } catch {
+    return null
+  }
+}
+
+async function persist(key, dataset) {
+  try {
+    const index = ((await idbGet(IDB_INDEX_KEY)) || []).filter(k => k !== key)
+    index.push(key)
+    const evicted = index.splice(0, Math.max(0, index.length - IDB_LIMIT))
+    await idbSet(IDB_PREFIX + key, dataset)
+    await idbSet(IDB_INDEX_KEY, index)
+    await Promise.all(evicted.map(k => idbDelete(IDB_PREFIX + k)))
+  } catch (e) {
+    console.warn('Could not cache dataset:', e.message)
+  }
+}
+
+let worker = null
+let workerBroken = false
+let nextJob = 0
+const pending = new Map()
+
+function getWorker() {
+  if (worker || workerBroken) return worker
+  try {
+    worker = new Worker(new URL('./parser.worker.js', import.meta.url), { type: 'module' })
+  } catch (e) {
+    console.warn('Parser worker unavailable, parsing on the main thread.', e.message)
+    workerBroken = true
+    return null
+  }
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const job = pending.get(id)
+    pending.delete(id)
+    if (!job) return
+    if (error) job.reject(new Error(error))
+    else job.resolve(result)
+  }
+  worker.onerror = (e) => {
+    // A worker that fails to start takes its queued jobs with it; redo them here
+    console.warn('Parser worker failed, parsing on the main thread.', e.message)
+    workerBroken = true
+    worker = null
+    pending.forEach(job => runInline(job.task, job.job).then(job.resolve, job.reject))
+    pending.clear()
+  }
+  return worker
+}
+
+function runInline(task, job) {
+  return new Promise(resolve => resolve(WORKER_TASKS[task](job)))
+}
+
+/**
+ * WORKER_TASKS[task](job) in the worker, or inline where workers are
+ * unavailable. Resolves with the task's result.
+ */
+export function runInWorker(task, job) {
+  const w = typeof Worker === 'undefined' ? null : getWorker()
+  if (!w) return runInline(task, job)
+  return new Promise((resolve, reject) => {
+    const id = ++nextJob
+    pending.set(id, { task, job, resolve, reject })
+    w.postMessage({ id, task, job })
+  })
+}
+
+function abortError() {
+  const e = new Error('Load cancelled')
+  e.name = 'AbortError'
+  return e
+}
+
+/**
+ * Reads and parses one manifest level entry ({ level, response, meta, rubric }).
+ * Throws when the response file is missing or unusable; a missing meta file
+ * only logs a warning. The dataset carries its data quality `issues` and
+ * its `rubric` (null when there is none or it is unusable).
+ * Rejects with an AbortError once `signal` aborts.
+ */
+export async function loadLevelEntry(entry, localFiles, { signal } = {}) {
+  const lv = entry?.level
+  const respPath = entry?.response
+  const metaPath = entry?.meta
+  const rubricPath = entry?.rubric
+
+  if (!respPath) throw new Error(`No response file listed in manifest for level ${lv}`);
+  const optional = (path, what) => (path
+    ? readSource(path, localFiles, signal).catch(e => {
+      if (e.name === 'AbortError') throw e
+      console.warn(`${what} ${path} failed to load.`, e.message);
+      return null
+    })
+    : null)
+
+  const [respText, metaText, rubricText] = await Promise.all([
+    readSource(respPath, localFiles, signal),
+    optional(metaPath, 'Meta file'),
+    optional(rubricPath, 'Rubric file'),
+  ]);
+  if (respText === null) throw new Error(`Response file missing for level ${lv}`);
+  if (signal?.aborted) throw abortError();
+
+  const key = [CACHE_VERSION, lv, respPath, metaPath, rubricPath, respText, metaText, rubricText]
+    .map(v => (typeof v === 'string' && v.length > 200 ? hashString(v) : v ?? ''))
+    .join('|');
+  const cached = memory.get(key);
+  if (cached) {
+    remember(key, cached);
+    return cached;
+  }
+
+  // Local files can hold data the user didn't ask to keep, so only served files go to IndexedDB
+  const persistable = !isLocalPath(respPath);
+  let dataset = persistable ? await readPersisted(key) : null;
+  if (!dataset) {
+    dataset = await runInWorker('parse', { lv, respText, metaText, rubricText, respPath, metaPath, rubricPath });
+    if (persistable) persist(key, dataset);
+  }
+  if (signal?.aborted) throw abortError();
+  remember(key, dataset);
+  return dataset;
+}
+
+/**
+ * Loads every location/month/level in the manifest.
+ * Returns [{ location, month, level, dataset }]; combinations that fail to
+ * load are skipped with a warning.
+ */
+export async function loadAllDatasets(manifest, localFiles) {
+  const jobs = []
+  manifest.locations.forEach(loc => loc.months.forEach(m => m.levels.forEach(entry => {
+    jobs.push(
+      loadLevelEntry(entry, localFiles)
+        .then(dataset => ({ location: loc.id, month: m.id, level: entry.level, dataset }))
+        .catch(e => {
+          console.warn(`Skipping ${loc.id}/${m.id} level ${entry.level}:`, e.message)
+          return null
+        })
+    )
+  })))
+  return (await Promise.all(jobs)).filter(Boolean)
+}
@@ -0,0 +1,196 @@
+import JSZip from 'jszip'
+import { idbGet, idbSet, idbDelete } from './idb.js'
+
+/**
+ * Ad-hoc "Local" dataset built from files the user drops into the page.
+ *
+ * Dropped files are normalised into canonical paths
+ * (`<group>/level<N>_response.csv`, `<group>/meta_level<N>.csv`,
+ * `<group>/rubric_level<N>.json`) and kept
+ * as { [path]: text }. The Local location is then derived from those paths
+ * in the same shape as a manifest location, with `local:` URLs that
+ * `readSource` resolves from memory instead of fetching.
+ */
+
+export const LOCAL_LOCATION_ID = '__local__'
+export const LOCAL_PREFIX = 'local:'
+const UPLOAD_GROUP = 'Upload'
+const IDB_KEY = 'local-session'
+
+/**
+ * Reads every file out of a drop event, walking dropped folders.
+ * Returns [{ path, file }].
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+  const items = [...(dataTransfer.items || [])]
+  const entries = items.map(i => i.webkitGetAsEntry?.()).filter(Boolean)
+  if (!entries.length) return filesFromList(dataTransfer.files)
+
+  const out = []
+  async function walk(entry, prefix) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      out.push({ path: prefix + entry.name, file })
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader()
+      // readEntries returns results in batches until an empty one
+      let batch
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        for (const child of batch) await walk(child, `${prefix}${entry.name}/`)
+      } while (batch.length)
+    }
+  }
+  for (const entry of entries) await walk(entry, '')
+  return out
+}
+
+/** Same as filesFromDataTransfer for an <input type="file"> FileList. */
+export function filesFromList(fileList) {
+  return [...(fileList || [])].map(file => ({ path: file.webkitRelativePath || file.name, file }))
+}
+
+const DATA_FILE = /(\.csv|rubric[^/]*\.json)$/i
+
+/** Expands zips and reads all CSVs and rubric files as text. Returns [{ path, text }]. */
+async function readDataFiles(files) {
+  const out = []
+  for (const { path, file } of files) {
+    if (/\.zip$/i.test(path)) {
+      const zip = await JSZip.loadAsync(file)
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir || !DATA_FILE.test(entry.name) || entry.name.startsWith('__MACOSX/')) continue
+        out.push({ path: entry.name, text: await entry.async('string') })
+      }
+    } else if (DATA_FILE.test(path)) {
+      out.push({ path, text: await file.text() })
+    }
+  }
+  return out
+}
+
+function isMetaFile(name, text) {
+  if (/^meta_level\d+\.csv$/i.test(name)) return true
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0]
+  return /^"?Question"?\s*,\s*"?Section"?/i.test(firstLine)
+}
+
+// Google Forms quiz exports always have a "Total score" column
+function isResponseFile(text) {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0]
+  return /(^|,)\s*"?\s*total\s*score\s*"?\s*(,|$)/i.test(firstLine)
+}
+
+/**
+ * Reads dropped files and returns
+ * { files: { [canonicalPath]: text }, skipped, notResponses, collisions }:
+ * `skipped` are files that are not CSVs, zips or rubrics, `notResponses`
+ * CSVs that are neither a meta file nor a quiz export (a roster, say), and
+ * `collisions` [{ path, file }] files that map to the same canonical path
+ * as an earlier one and were left out.
+ * Files without a level number in their name are assigned `fallbackLevel`.
+ * The last two folders of a file's path are taken as <location>/<month>.
+ */
+export async function importLocalFiles(files, fallbackLevel) {
+  const csvs = await readDataFiles(files)
+  const result = {}
+  const sources = {}
+  const skipped = files.filter(f => !/\.zip$/i.test(f.path) && !DATA_FILE.test(f.path)).map(f => f.path)
+  const notResponses = []
+  const collisions = []
+
+  for (const { path, text } of csvs) {
+    const parts = path.split('/').filter(Boolean)
+    const name = parts.pop()
+    const group = parts.slice(-2).join('/') || UPLOAD_GROUP
+    const levelMatch = name.match(/level\s*(\d+)/i)
+    const level = levelMatch ? Number(levelMatch[1]) : fallbackLevel
+    const file = /\.json$/i.test(name) ? `rubric_level${level}.json`
+      : isMetaFile(name, text) ? `meta_level${level}.csv`
+      : isResponseFile(text) ? `level${level}_response.csv`
+      : null
+    if (!file) {
+      notResponses.push(path)
+      continue
+    }
+    const target = `${group}/${file}`
+    if (target in result) {
+      collisions.push({ path, file: sources[target] })
+      continue
+    }
+    result[target] = text
+    sources[target] = path
+  }
+  return { files: result, skipped, notResponses, collisions }
+}
+
+/**
+ * Builds the manifest-shaped Local location from canonical paths,
+ * or null when there are no local response files.
+ */
+export function buildLocalLocation(localFiles) {
+  const months = []
+  Object.keys(localFiles).forEach(path => {
+    const m = path.match(/^(.*)\/level(\d+)_response\.csv$/)
+    if (!m) return
+    const [, group, lv] = m
+    let month = months.find(x => x.id === group)
+    if (!month) {
+      month = { id: group, label: group === UPLOAD_GROUP ? 'Uploaded files' : group.replace('/', ' · '), levels: [] }
+      months.push(month)
+    }
+    const metaPath = `${group}/meta_level${lv}.csv`
+    const entry = { level: Number(lv), response: LOCAL_PREFIX + path }
+    if (metaPath in localFiles) entry.meta = LOCAL_PREFIX + metaPath
+    const rubricPath = `${group}/rubric_level${lv}.json`
+    if (rubricPath in localFiles) entry.rubric = LOCAL_PREFIX + rubricPath
+    month.levels.push(entry)
+  })
+  if (!months.length) return null
+  months.forEach(m => m.levels.sort((a, b) => a.level - b.level))
+  return {
+    id: LOCAL_LOCATION_ID,
+    label: 'Local',
+    recentMonth: months[months.length - 1].id,
+    months,
+  }
+}
+
+/** Returns the manifest with the Local location appended (if any). */
+export function withLocalDataset(manifest, localFiles) {
+  const local = buildLocalLocation(localFiles)
+  if (!local) return manifest
+  return { ...manifest, locations: [...manifest.locations, local] }
+}
+
+export function isLocalPath(path) {
+  return typeof path === 'string' && path.startsWith(LOCAL_PREFIX)
+}
+
+/**
+ * Reads a manifest path as text: local paths from memory, everything else
+ * over fetch (cancelled by `signal`). Resolves to null when the file does
+ * not exist.
+ */
+export async function readSource(path, localFiles, signal) {
+  if (!path) return null
+  if (isLocalPath(path)) {
+    const text = localFiles[path.slice(LOCAL_PREFIX.length)]
+    return text === undefined ? null : text
+  }
+  const resp = await fetch(path, { signal })
+  if (!resp.ok) return null
+  return resp.text()
+}
+
+export function loadPersistedLocalFiles() {
+  return idbGet(IDB_KEY).then(v => v?.files || null)
+}
+
+export function persistLocalFiles(files) {
+  return idbSet(IDB_KEY, { files, savedAt: Date.now() })
+}
+
+export function clearPersistedLocalFiles() {
+  return idbDelete(IDB_KEY)
+}
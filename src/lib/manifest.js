@@ -0,0 +1,81 @@
+/**
+ * Helpers around public/index.json, the manifest describing which
+ * location / month / level combinations exist (see scripts/build-manifest.js).
+ */
+
+export const MANIFEST_URL = '/index.json'
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+]
+
+export const EMPTY_MANIFEST = { defaultLocation: null, levels: [], locations: [] }
+
+/**
+ * Parses folder names such as "March26" or "November2025" into a sortable
+ * number (yyyymm). Unknown formats sort first and keep their raw name as label.
+ */
+export function parseMonthId(id) {
+  const m = String(id).match(/^([A-Za-z]+)\s*(\d{2}|\d{4})$/)
+  if (!m) return { order: 0, label: id }
+  const idx = MONTH_NAMES.findIndex(n => n.toLowerCase().startsWith(m[1].toLowerCase().slice(0, 3)))
+  if (idx === -1) return { order: 0, label: id }
+  const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2])
+  return { order: year * 100 + idx + 1, label: `${MONTH_NAMES[idx]} ${year}` }
+}
+
+export async function loadManifest() {
+  const resp = await fetch(MANIFEST_URL)
+  if (!resp.ok) throw new Error(`Manifest ${MANIFEST_URL} could not be loaded (${resp.status})`)
+  const json = await resp.json()
+  return {
+    defaultLocation: json.defaultLocation || json.locations?.[0]?.id || null,
+    levels: json.levels || [],
+    locations: json.locations || [],
+  }
+}
+
+export function findLocation(manifest, locationId) {
+  return manifest.locations.find(l => l.id === locationId) || null
+}
+
+export function findMonth(manifest, locationId, monthId) {
+  return findLocation(manifest, locationId)?.months.find(m => m.id === monthId) || null
+}
+
+/**
+ * Returns the manifest entry ({ level, response, meta }) for a combination,
+ * or null when that location/month has no such level.
+ */
+export function findLevelEntry(manifest, locationId, monthId, level) {
+  return findMonth(manifest, locationId, monthId)?.levels.find(l => l.level === level) || null
+}
+
+/** Most recent month for a location, falling back to the last listed one. */
+export function recentMonthFor(manifest, locationId) {
+  const loc = findLocation(manifest, locationId)
+  if (!loc) return null
+  return loc.recentMonth || loc.months[loc.months.length - 1]?.id || null
+}
+
+export function levelLabel(manifest, level) {
+  return manifest.levels.find(l => l.level === level)?.label || `Level ${level}`
+}
+
+export function monthLabel(manifest, locationId, monthId) {
+  return findMonth(manifest, locationId, monthId)?.label || monthId
+}
+
+/**
+ * Picks a valid { location, month, level } closest to the requested one:
+ * unknown locations fall back to the default, unknown months to the most
+ * recent one, and missing levels to the first level that month has.
+ */
+export function resolveSelection(manifest, { location, month, level }) {
+  const loc = findLocation(manifest, location) || findLocation(manifest, manifest.defaultLocation) || manifest.locations[0]
+  if (!loc) return { location: null, month: null, level: null }
+  const m = loc.months.find(x => x.id === month) || loc.months.find(x => x.id === recentMonthFor(manifest, loc.id)) || loc.months[0]
+  const lv = m?.levels.find(x => x.level === level) || m?.levels[0]
+  return { location: loc.id, month: m?.id ?? null, level: lv?.level ?? null }
+}
@@ -0,0 +1,155 @@
+import Papa from 'papaparse'
+import { extractScoreObj } from './dataset.js'
+import { SO_KEY } from './history.js'
+import { attemptId } from './duplicates.js'
+import { idbGet, idbSet } from './idb.js'
+import { pseudonym, attemptPseudonym } from './privacy.js'
+
+/**
+ * Teacher-entered scores for open-ended questions (Paragraph type or an
+ * `OpenEnded` answer key). Grades live in IndexedDB as
+ * { [gradeKey]: { dataset, attempt, question, score, max, feedback, criteria?, updatedAt } }
+ * where gradeKey joins the dataset key, the attempt (Timestamp|Username)
+ * and the question's normalised text. Rubric-scored grades keep the
+ * points picked per criterion in `criteria` ({ [criterion name]: points }).
+ */
+
+const IDB_KEY = 'manual-grades'
+
+export function gradeKey(dataset, attempt, question) {
+  return `${dataset}|${attempt}|${question}`
+}
+
+export function loadManualGrades() {
+  return idbGet(IDB_KEY).then(v => v || {})
+}
+
+export function saveManualGrades(grades) {
+  return idbSet(IDB_KEY, grades)
+}
+
+/** Quiz questions that need a teacher's score. */
+export function manualQuestions(quizGroups, metaMap) {
+  return quizGroups.filter(g => {
+    const m = metaMap[g.normalizedName]
+    return m?.Type?.trim() === 'Paragraph' || m?.CorrectAnswer?.trim() === 'OpenEnded'
+  })
+}
+
+/** Points a question is worth: TotalPoints from the meta CSV, else the form's maximum. */
+export function questionPoints(group, metaMap, rows) {
+  const points = Number(metaMap[group.normalizedName]?.TotalPoints)
+  if (points > 0) return points
+  return Math.max(0, ...rows.map(r => extractScoreObj(r[group.scoreKey]).max || 0))
+}
+
+/** True when the form left the question without a usable score. */
+export function isUngraded(row, group) {
+  const cell = String(row[group.scoreKey] ?? '').trim()
+  return !cell || cell === '-' || !extractScoreObj(cell).max
+}
+
+function formatScore(score, max) {
+  return `${score.toFixed(2)} / ${max}`
+}
+
+/**
+ * Rows with the dataset's manual grades applied: question score and
+ * feedback replaced, total adjusted by the difference. Rows without a
+ * grade are returned as-is.
+ */
+export function applyManualGrades(rows, questionGroups, grades, dataset) {
+  const prefix = `${dataset}|`
+  if (!Object.keys(grades).some(k => k.startsWith(prefix))) return rows
+  return rows.map(row => {
+    const attempt = attemptId(row)
+    let next = null
+    let { score: total, max: totalMax } = extractScoreObj(row['Total score'])
+    questionGroups.forEach(g => {
+      const grade = grades[gradeKey(dataset, attempt, g.normalizedName)]
+      if (!grade) return
+      next = next || { ...row }
+      const before = extractScoreObj(row[g.scoreKey])
+      total += grade.score - (before.score || 0)
+      // The form's maximum already counts ungraded questions
+      if (before.max) totalMax += grade.max - before.max
+      next[g.scoreKey] = formatScore(grade.score, grade.max)
+      if (g.feedbackKey) next[g.feedbackKey] = grade.feedback || ''
+    })
+    if (!next) return row
+    if (totalMax) next['Total score'] = formatScore(total, totalMax)
+    return next
+  })
+}
+
+/**
+ * Grades as CSV rows, for `datasets` (all when omitted). With `salt`
+ * (privacy mode) the attempt is replaced by attemptPseudonym and the name
+ * and Identity Number by the student's pseudonym.
+ */
+export function gradesToCSVRows(grades, rows, datasets, salt = null) {
+  const byAttempt = new Map(rows.map(r => [attemptId(r), r]))
+  return Object.values(grades)
+    .filter(g => !datasets || datasets.includes(g.dataset))
+    .map(g => {
+      const row = byAttempt.get(g.attempt)
+      return {
+        Dataset: g.dataset,
+        Attempt: salt ? attemptPseudonym(g.attempt, salt) : g.attempt,
+        Question: g.question,
+        ...(salt
+          ? { Pseudonym: row ? pseudonym(row, salt) : '' }
+          : { Name: row?.Name || '', 'Identity Number': row?.[SO_KEY] || '' }),
+        Score: g.score,
+        Max: g.max,
+        Feedback: g.feedback || '',
+        Criteria: g.criteria ? JSON.stringify(g.criteria) : '',
+        'Updated at': new Date(g.updatedAt).toISOString(),
+      }
+    })
+}
+
+// Criteria column of an exported grade; anything unreadable is dropped
+function parseCriteria(cell) {
+  if (!cell) return null
+  try {
+    const json = JSON.parse(cell)
+    return json && typeof json === 'object' && !Array.isArray(json) ? json : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Merges a grades CSV into `grades`. When both sides graded the same
+ * response the more recent entry wins. `attemptFor(cell)` turns the Attempt
+ * cell into an attempt id, or null when it can't be resolved (an anonymized
+ * attempt from another browser); such rows are skipped.
+ * Returns { grades, added, updated, skipped }.
+ */
+export function mergeGradesCSV(grades, text, attemptFor = a => a) {
+  const { data } = Papa.parse(text.replace(/^\uFEFF/, ''), { header: true, skipEmptyLines: true })
+  const merged = { ...grades }
+  let added = 0
+  let updated = 0
+  let skipped = 0
+  data.forEach(r => {
+    const score = Number(r.Score)
+    const max = Number(r.Max)
+    const attempt = r.Attempt ? attemptFor(r.Attempt) : null
+    if (!r.Dataset || !attempt || !r.Question || r.Score === '' || !Number.isFinite(score) || !(max > 0) || score < 0 || score > max) {
+      skipped++
+      return
+    }
+    const updatedAt = Date.parse(r['Updated at']) || Date.now()
+    const key = gradeKey(r.Dataset, attempt, r.Question)
+    const existing = merged[key]
+    if (existing && existing.updatedAt >= updatedAt) return
+    if (existing) updated++
+    else added++
+    merged[key] = { dataset: r.Dataset, attempt, question: r.Question, score, max, feedback: r.Feedback || '', updatedAt }
+    const criteria = parseCriteria(r.Criteria)
+    if (criteria) merged[key].criteria = criteria
+  })
+  return { grades: merged, added, updated, skipped }
+}
@@ -0,0 +1,10 @@
+import { WORKER_TASKS } from './workerTasks.js'
+
+// Parses level files and works out statistics off the main thread; see runInWorker in loader.js
+self.onmessage = async ({ data: { id, task, job } }) => {
+  try {
+    self.postMessage({ id, result: await WORKER_TASKS[task](job) })
+  } catch (e) {
+    self.postMessage({ id, error: e.message })
+  }
+}
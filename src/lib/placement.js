@@ -0,0 +1,116 @@
+import { totalScore } from './dataset.js'
+import { prettyNumber } from './format.js'
+
+/**
+ * Placement from the placement test (PB, level 0): the total % picks a
+ * recommended level from the cut scores, and section rules can hold the
+ * recommendation down. Students close to a cut or a section rule are
+ * borderline and should be looked at by a teacher.
+ *
+ * Shape (the `placement` key of grading.json):
+ * {
+ *   level: 0,
+ *   cuts: [{ level: 1, min: 0 }, { level: 2, min: 40 }, ...],
+ *   sectionRules: [{ section: 'Grammar', min: 50, maxLevel: 2 }],
+ *   margin: 5
+ * }
+ * A section rule reads "below `min`% in `section`, place no higher than
+ * `maxLevel`". `margin` is in percentage points.
+ */
+
+export const DEFAULT_PLACEMENT = {
+  level: 0,
+  cuts: [
+    { level: 1, min: 0 },
+    { level: 2, min: 40 },
+    { level: 3, min: 60 },
+    { level: 4, min: 80 },
+  ],
+  sectionRules: [],
+  margin: 5,
+}
+
+const isNumber = v => v !== '' && v !== null && v !== undefined && Number.isFinite(Number(v))
+
+export function normalizePlacement(p) {
+  return {
+    level: isNumber(p?.level) ? Number(p.level) : DEFAULT_PLACEMENT.level,
+    cuts: Array.isArray(p?.cuts) ? p.cuts : DEFAULT_PLACEMENT.cuts,
+    sectionRules: Array.isArray(p?.sectionRules) ? p.sectionRules : [],
+    margin: isNumber(p?.margin) ? Number(p.margin) : DEFAULT_PLACEMENT.margin,
+  }
+}
+
+// Usable cuts, lowest first
+function sortedCuts(placement) {
+  return placement.cuts
+    .filter(c => isNumber(c.level) && isNumber(c.min))
+    .map(c => ({ level: Number(c.level), min: Number(c.min) }))
+    .sort((a, b) => a.min - b.min)
+}
+
+/** Levels a student can be placed into, lowest first. */
+export function placementLevels(placement) {
+  return [...new Set(sortedCuts(placement).map(c => c.level))].sort((a, b) => a - b)
+}
+
+/**
+ * Recommended level for one student, or null without a total % or cuts.
+ * `sectionScores` is { [section]: { percent } } (see sections.js).
+ * Returns {
+ *   level,        recommended level
+ *   totalLevel,   level from the total alone
+ *   cappedBy,     [{ section, percent, min, maxLevel }] section rules that lowered it
+ *   borderline,   [{ kind: 'cut', level, min, percent } | { kind: 'section', section, min, maxLevel, percent }]
+ *   review        true when anything is borderline
+ * }
+ */
+export function placementFor(placement, percent, sectionScores = {}) {
+  const cuts = sortedCuts(placement)
+  if (percent === null || percent === undefined || !cuts.length) return null
+  const margin = placement.margin
+
+  // Below every cut still places into the lowest level
+  const totalLevel = [...cuts].reverse().find(c => percent >= c.min)?.level ?? cuts[0].level
+
+  const rules = placement.sectionRules
+    .filter(r => r.section && isNumber(r.min) && isNumber(r.maxLevel))
+    .map(r => ({ section: r.section, min: Number(r.min), maxLevel: Number(r.maxLevel), percent: sectionScores[r.section]?.percent }))
+    .filter(r => r.percent !== null && r.percent !== undefined)
+  const cappedBy = rules.filter(r => r.percent < r.min && r.maxLevel < totalLevel)
+  const level = Math.min(totalLevel, ...cappedBy.map(r => r.maxLevel))
+
+  // The lowest cut is a floor rather than a boundary between two levels
+  const borderline = [
+    ...cuts.slice(1)
+      .filter(c => Math.abs(percent - c.min) <= margin)
+      .map(c => ({ kind: 'cut', level: c.level, min: c.min, percent })),
+    ...rules
+      .filter(r => r.maxLevel < totalLevel && Math.abs(r.percent - r.min) <= margin)
+      .map(r => ({ kind: 'section', ...r })),
+  ]
+
+  return { level, totalLevel, cappedBy, borderline, review: borderline.length > 0 }
+}
+
+/** Map(row → placementFor result) for the rows that have a total %. */
+export function computePlacements(rows, placement, sectionScoresByRow) {
+  const map = new Map()
+  rows.forEach(r => {
+    const result = placementFor(placement, totalScore(r).percent, sectionScoresByRow.get(r))
+    if (result) map.set(r, result)
+  })
+  return map
+}
+
+/** Readable reasons behind a placement; `levelLabel` names a level number. */
+export function placementNotes(result, levelLabel) {
+  if (!result) return []
+  const pct = p => `${prettyNumber(p)}%`
+  return [
+    ...result.cappedBy.map(r => `${r.section} ${pct(r.percent)} is below ${pct(r.min)}, so no higher than ${levelLabel(r.maxLevel)}`),
+    ...result.borderline.map(b => (b.kind === 'cut'
+      ? `Total ${pct(b.percent)} is within the margin of the ${levelLabel(b.level)} cut (${pct(b.min)})`
+      : `${b.section} ${pct(b.percent)} is within the margin of its ${pct(b.min)} rule`)),
+  ]
+}
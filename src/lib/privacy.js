@@ -0,0 +1,117 @@
+import { SO_KEY, normalizeSO, normalizeEmail, normalizeName, studentDisplayName } from './history.js'
+import { CONTACT_KEY } from './duplicates.js'
+import { hashString } from './hash.js'
+
+/**
+ * Privacy mode: personal fields are masked on screen and dropped from
+ * anonymized exports. Each student gets a stable pseudonym ("S-4F1A9C")
+ * hashed from their Identity Number (or email) and name with a per-browser
+ * secret, so the same student keeps the same pseudonym across exports from
+ * this browser but it can't be reversed by hashing known SO numbers.
+ */
+
+const MODE_KEY = 'privacy-mode'
+const SALT_KEY = 'privacy-salt'
+
+// Always personal, whether or not the meta CSV marks them
+export const FIXED_PII_KEYS = ['Username', 'Name', 'Email', SO_KEY, CONTACT_KEY]
+
+export function loadPrivacyMode() {
+  return localStorage.getItem(MODE_KEY) === '1'
+}
+
+export function savePrivacyMode(on) {
+  localStorage.setItem(MODE_KEY, on ? '1' : '0')
+}
+
+export function privacySalt() {
+  let salt = localStorage.getItem(SALT_KEY)
+  if (!salt) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    salt = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('')
+    localStorage.setItem(SALT_KEY, salt)
+  }
+  return salt
+}
+
+/**
+ * Columns holding personal data: the fixed identity columns plus every
+ * question the meta CSV puts in the Personal Info section, with its
+ * [Score] and [Feedback] columns.
+ */
+export function piiColumns(headers, infoGroups) {
+  const keys = new Set(FIXED_PII_KEYS.filter(k => headers.includes(k)))
+  infoGroups.forEach(g => [g.questionKey, g.scoreKey, g.feedbackKey].forEach(k => k && keys.add(k)))
+  return keys
+}
+
+/**
+ * Stable pseudonym for the student behind a row. The name is part of the
+ * key because siblings often share an Identity Number.
+ */
+export function pseudonym(row, salt) {
+  const id = normalizeSO(row[SO_KEY]) || normalizeEmail(row.Username) || normalizeEmail(row.Email)
+  const basis = `${id}|${normalizeName(row.Name)}`
+  return `S-${hashString(`${salt}|${basis}`).toString(16).slice(-6).toUpperCase().padStart(6, '0')}`
+}
+
+/**
+ * Stand-in for an attempt id (Timestamp|Username) in anonymized exports,
+ * hashed with the same secret so only this browser can map it back.
+ */
+export function attemptPseudonym(attempt, salt) {
+  return `A-${hashString(`${salt}|attempt|${attempt}`).toString(16).toUpperCase().padStart(14, '0')}`
+}
+
+export function initials(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean)
+  return parts.length ? parts.map(p => `${p[0].toUpperCase()}.`).join(' ') : ''
+}
+
+export function maskEmail(v) {
+  const s = String(v || '').trim()
+  const at = s.indexOf('@')
+  if (at < 1) return s ? `${s[0]}•••` : ''
+  return `${s[0]}•••${s.slice(at)}`
+}
+
+export function maskPhone(v) {
+  const digits = String(v || '').replace(/\D/g, '')
+  if (!digits) return ''
+  return `•••${digits.slice(-3)}`
+}
+
+/**
+ * Masking helpers for rendering. With `enabled` false everything passes
+ * through unchanged, so callers can use them unconditionally.
+ */
+export function createMasker({ enabled, piiKeys, salt }) {
+  function value(key, v, row) {
+    if (!enabled || !piiKeys.has(key) || v === null || v === undefined || v === '') return v
+    // Scores of personal-info questions are always 0 / 0
+    if (/\[score\]$/i.test(key)) return v
+    if (key === SO_KEY || /identity|\bso\b/i.test(key)) return pseudonym(row, salt)
+    if (key === CONTACT_KEY || /contact|mobile|phone/i.test(key)) return maskPhone(v)
+    if (key === 'Username' || /e-?mail/i.test(key)) return maskEmail(v)
+    if (/name/i.test(key)) return initials(v)
+    return '•••'
+  }
+  return {
+    enabled,
+    value,
+    pseudonym: (row) => pseudonym(row, salt),
+    /** Display name: initials plus pseudonym while masking. */
+    name: (row) => (enabled ? `${initials(row.Name) || 'Student'} · ${pseudonym(row, salt)}` : studentDisplayName(row)),
+  }
+}
+
+/**
+ * Export copy of a row without personal columns, led by its pseudonym.
+ */
+export function anonymizeRow(row, piiKeys, salt) {
+  const out = { Pseudonym: pseudonym(row, salt) }
+  Object.entries(row).forEach(([k, v]) => {
+    if (!piiKeys.has(k)) out[k] = v
+  })
+  return out
+}
@@ -0,0 +1,258 @@
+import { jsPDF } from 'jspdf'
+import { autoTable } from 'jspdf-autotable'
+import JSZip from 'jszip'
+import { extractScoreObj, totalScore } from './dataset.js'
+import { SO_KEY, studentDisplayName } from './history.js'
+import { prettyNumber } from './format.js'
+import { filePart } from './download.js'
+
+/**
+ * Per-student report cards rendered straight to PDF in the browser.
+ * The built-in PDF fonts only cover Latin text; other scripts print as
+ * placeholders.
+ */
+
+const STORAGE_KEY = 'report-card-header'
+
+// Tokens: {SO} {Name} {Level} {Month} {Location}
+export const DEFAULT_FILE_TEMPLATE = '{SO}_{Name}_{Level}_{Month}.pdf'
+
+/** Configurable header: center name, logo (data URL) and signature line label. */
+export const DEFAULT_REPORT_HEADER = { centerName: '', logo: null, signatureLabel: 'Teacher signature' }
+
+export function loadReportHeader() {
+  try {
+    return { ...DEFAULT_REPORT_HEADER, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return DEFAULT_REPORT_HEADER
+  }
+}
+
+export function saveReportHeader(header) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(header))
+  } catch (e) {
+    // A large logo can exceed the storage quota
+    console.warn('Could not save report card header:', e.message)
+  }
+}
+
+/**
+ * Everything printed on one student's card.
+ * `ctx` is { quizGroups, metaMap, sections, sectionScores, result,
+ * levelLabel, locationLabel, monthLabel, pseudonym }; `result` comes from
+ * gradeResult. With a `pseudonym` (privacy mode) the card and its file name
+ * carry the pseudonym instead of the name and Identity Number.
+ */
+export function buildReportCard(row, ctx) {
+  return {
+    name: ctx.pseudonym || studentDisplayName(row),
+    so: ctx.pseudonym ? '' : row[SO_KEY] || '',
+    anonymized: !!ctx.pseudonym,
+    levelLabel: ctx.levelLabel,
+    locationLabel: ctx.locationLabel,
+    monthLabel: ctx.monthLabel,
+    submitted: row.Timestamp || '',
+    total: totalScore(row),
+    result: ctx.result,
+    sections: ctx.sections.map(sec => ({ name: sec.name, ...(ctx.sectionScores?.[sec.name] || {}) })),
+    questions: ctx.quizGroups.map(g => {
+      const metaInfo = ctx.metaMap[g.normalizedName]
+      const correct = metaInfo?.CorrectAnswer && metaInfo.CorrectAnswer !== 'OpenEnded' ? metaInfo.CorrectAnswer : ''
+      const feedback = row[g.feedbackKey]
+      return {
+        question: g.baseName.trim(),
+        section: metaInfo?.Section || '',
+        response: row[g.questionKey] || '',
+        correct,
+        score: extractScoreObj(row[g.scoreKey]),
+        scoreText: row[g.scoreKey] || '-',
+        feedback: feedback && feedback !== '--' ? feedback : '',
+      }
+    }),
+  }
+}
+
+function imageFormat(dataUrl) {
+  const m = /^data:image\/(\w+)/.exec(dataUrl || '')
+  return m ? m[1].toUpperCase().replace('JPG', 'JPEG') : null
+}
+
+const MARGIN = 15
+const INDIGO = [79, 70, 229]
+const GRAY = [107, 114, 128]
+
+function drawReportCard(doc, card, header) {
+  const pageWidth = doc.internal.pageSize.getWidth()
+  let y = MARGIN
+
+  // --- Header band: logo, center name, test cycle ---
+  let textX = MARGIN
+  const format = imageFormat(header.logo)
+  if (format) {
+    try {
+      doc.addImage(header.logo, format, MARGIN, y, 18, 18)
+      textX = MARGIN + 22
+    } catch (e) {
+      console.warn('Could not draw report card logo:', e.message)
+    }
+  }
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(15)
+  doc.setTextColor(...INDIGO)
+  doc.text(header.centerName || 'Report card', textX, y + 6)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+  doc.setTextColor(...GRAY)
+  doc.text([card.locationLabel, card.monthLabel].filter(Boolean).join(' · '), textX, y + 12)
+  y += 24
+  doc.setDrawColor(229, 231, 235)
+  doc.line(MARGIN, y, pageWidth - MARGIN, y)
+  y += 8
+
+  // --- Student and result ---
+  doc.setTextColor(17, 24, 39)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(14)
+  doc.text(card.name, MARGIN, y)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+  doc.setTextColor(...GRAY)
+  doc.text(`${card.anonymized ? '' : `Identity Number: ${card.so || '-'}   ·   `}Level: ${card.levelLabel}`, MARGIN, y + 6)
+  if (card.submitted) doc.text(`Submitted: ${card.submitted}`, MARGIN, y + 11)
+
+  const right = pageWidth - MARGIN
+  doc.setTextColor(17, 24, 39)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(16)
+  doc.text(`${prettyNumber(card.total.score)} / ${prettyNumber(card.total.max)}`, right, y, { align: 'right' })
+  doc.setFontSize(10)
+  doc.setFont('helvetica', 'normal')
+  doc.text(card.total.percent === null ? '-' : `${prettyNumber(card.total.percent)}%`, right, y + 6, { align: 'right' })
+  if (card.result) {
+    doc.setFont('helvetica', 'bold')
+    doc.setTextColor(...(card.result.passed ? [4, 120, 87] : [190, 18, 60]))
+    const grade = card.result.grade && card.result.grade !== 'Fail' ? ` · ${card.result.grade}` : ''
+    doc.text(`${card.result.status}${grade}`, right, y + 11, { align: 'right' })
+  }
+  y += 18
+
+  // --- Section sub-scores ---
+  const tableStyles = { font: 'helvetica', fontSize: 9, cellPadding: 2, overflow: 'linebreak' }
+  const headStyles = { fillColor: INDIGO, textColor: 255, fontStyle: 'bold' }
+  if (card.sections.length) {
+    autoTable(doc, {
+      startY: y,
+      margin: { left: MARGIN, right: MARGIN },
+      head: [['Section', 'Score', '%']],
+      body: card.sections.map(s => [
+        s.name,
+        s.max ? `${prettyNumber(s.score)} / ${prettyNumber(s.max)}` : '-',
+        s.percent === null || s.percent === undefined ? '-' : `${prettyNumber(s.percent)}%`,
+      ]),
+      styles: tableStyles,
+      headStyles,
+      columnStyles: { 1: { cellWidth: 30 }, 2: { cellWidth: 20 } },
+    })
+    y = doc.lastAutoTable.finalY + 8
+  }
+
+  // --- Detailed responses ---
+  autoTable(doc, {
+    startY: y,
+    margin: { left: MARGIN, right: MARGIN },
+    head: [['#', 'Question', 'Response', 'Correct answer', 'Score', 'Feedback']],
+    body: card.questions.map((q, i) => [i + 1, q.question, q.response || '-', q.correct || '-', q.scoreText, q.feedback || '']),
+    styles: tableStyles,
+    headStyles,
+    columnStyles: { 0: { cellWidth: 8 }, 1: { cellWidth: 55 }, 4: { cellWidth: 18 } },
+    didParseCell: (data) => {
+      if (data.section !== 'body' || data.column.index !== 4) return
+      const { score, max } = card.questions[data.row.index].score
+      if (!max) return
+      data.cell.styles.textColor = score === max ? [4, 120, 87] : score === 0 ? [190, 18, 60] : [161, 98, 7]
+    },
+  })
+  y = doc.lastAutoTable.finalY + 20
+
+  // --- Signature line ---
+  if (header.signatureLabel) {
+    const pageHeight = doc.internal.pageSize.getHeight()
+    if (y > pageHeight - MARGIN - 10) {
+      doc.addPage()
+      y = MARGIN + 20
+    }
+    doc.setDrawColor(156, 163, 175)
+    doc.line(right - 70, y, right, y)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(9)
+    doc.setTextColor(...GRAY)
+    doc.text(header.signatureLabel, right - 35, y + 5, { align: 'center' })
+  }
+}
+
+/** One PDF with a card per student, each starting on a new page. */
+export function renderReportCards(cards, header) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  cards.forEach((card, i) => {
+    if (i > 0) doc.addPage()
+    drawReportCard(doc, card, header)
+  })
+  return doc
+}
+
+export function reportCardBlob(cards, header) {
+  return renderReportCards(cards, header).output('blob')
+}
+
+/** File name for a card from a template such as DEFAULT_FILE_TEMPLATE. */
+export function reportCardFileName(card, template = DEFAULT_FILE_TEMPLATE) {
+  const values = { SO: card.so, Name: card.name, Level: card.levelLabel, Month: card.monthLabel, Location: card.locationLabel }
+  const name = template
+    .replace(/\{(\w+)\}/g, (m, token) => (token in values ? filePart(values[token]) : m))
+    // Tokens with no value leave doubled or dangling separators behind
+    .replace(/_{2,}/g, '_')
+    .replace(/^_+|_+(?=\.pdf$)|_+$/gi, '')
+  return /\.pdf$/i.test(name) ? name : `${name || 'report_card'}.pdf`
+}
+
+/**
+ * Report cards for many students, as a zip of PDFs (`mode: 'zip'`) or one
+ * combined PDF (`mode: 'combined'`). Yields to the browser between cards so
+ * `onProgress(done, total)` can repaint; aborting `signal` stops the run
+ * with an AbortError.
+ * Returns the resulting Blob.
+ */
+export async function generateReportCards(cards, header, { mode, template, onProgress, signal }) {
+  const checkAborted = () => {
+    if (signal?.aborted) throw new DOMException('Report card generation cancelled', 'AbortError')
+  }
+  const zip = mode === 'zip' ? new JSZip() : null
+  const doc = zip ? null : new jsPDF({ unit: 'mm', format: 'a4' })
+  const used = new Set()
+
+  for (let i = 0; i < cards.length; i++) {
+    await new Promise(resolve => setTimeout(resolve))
+    checkAborted()
+
+    if (zip) {
+      const first = reportCardFileName(cards[i], template)
+      const base = first.replace(/\.pdf$/i, '')
+      let name = first
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}.pdf`
+      used.add(name.toLowerCase())
+      zip.file(name, renderReportCards([cards[i]], header).output('arraybuffer'))
+    } else {
+      if (i > 0) doc.addPage()
+      drawReportCard(doc, cards[i], header)
+    }
+    onProgress?.(i + 1, cards.length)
+  }
+
+  // Cancel can still land after the last card, while the archive is built
+  await new Promise(resolve => setTimeout(resolve))
+  checkAborted()
+  const blob = zip ? await zip.generateAsync({ type: 'blob' }) : doc.output('blob')
+  checkAborted()
+  return blob
+}
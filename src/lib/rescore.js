@@ -0,0 +1,182 @@
+import { buildMetaMap, extractScoreObj, normalizeKey, splitGroups } from './dataset.js'
+
+/**
+ * Re-scores auto-gradable questions from the `CorrectAnswer` column of the
+ * meta CSV and compares the result with the scores Google Forms recorded.
+ *
+ * Only `MCQ`, `ShortAnswer` and `ShortAnswerValidate` questions are
+ * re-scored; every other question keeps its form score, so re-scored totals
+ * still include manually graded work.
+ */
+
+export const RESCORABLE_TYPES = ['MCQ', 'ShortAnswer', 'ShortAnswerValidate']
+
+const STORAGE_KEY = 'rescore-rules'
+
+/**
+ * - ignoreCase / ignoreWhitespace / ignorePunctuation: how answers are
+ *   normalised before comparing
+ * - alternativesDelimiter: separates accepted answers in `CorrectAnswer`
+ *   ("colour|color")
+ * - fuzzyTolerance: typos (edit distance) accepted on typed answers
+ * - keepValidatedCredit: a `ShortAnswerValidate` answer that does not match
+ *   the key keeps the credit a teacher gave it on the form
+ */
+export const DEFAULT_RULES = {
+  ignoreCase: true,
+  ignoreWhitespace: true,
+  ignorePunctuation: true,
+  alternativesDelimiter: '|',
+  fuzzyTolerance: 0,
+  keepValidatedCredit: true,
+}
+
+// Keys shorter than this never match fuzzily, so "In" does not accept "On"
+const FUZZY_MIN_LENGTH = 4
+
+/** Rules edited in the re-scoring view, if any. */
+export function loadSavedRules() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? { ...DEFAULT_RULES, ...JSON.parse(raw) } : DEFAULT_RULES
+  } catch {
+    return DEFAULT_RULES
+  }
+}
+
+export function saveRules(rules) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules))
+}
+
+export function normalizeAnswer(v, rules) {
+  let s = normalizeKey(v)
+  if (rules.ignoreCase) s = s.toLowerCase()
+  if (rules.ignorePunctuation) s = s.replace(/\p{P}+/gu, '')
+  s = rules.ignoreWhitespace ? s.replace(/\s+/g, '') : normalizeKey(s)
+  return s
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+/** Accepted answers of a meta row, or [] when the question has no usable key. */
+export function acceptedAnswers(metaInfo, rules) {
+  const key = normalizeKey(metaInfo?.CorrectAnswer)
+  if (!key || key === 'OpenEnded') return []
+  const parts = rules.alternativesDelimiter ? key.split(rules.alternativesDelimiter) : [key]
+  return parts.map(p => p.trim()).filter(Boolean)
+}
+
+/**
+ * Whether `answer` matches one of `accepted`. Fuzzy matching only applies to
+ * typed answers; MCQ options are picked, so a near miss is a different option.
+ */
+export function matchAnswer(answer, accepted, rules, type) {
+  const a = normalizeAnswer(answer, rules)
+  if (!a) return false
+  const tolerance = type === 'MCQ' ? 0 : Number(rules.fuzzyTolerance) || 0
+  return accepted.some(key => {
+    const k = normalizeAnswer(key, rules)
+    if (a === k) return true
+    return tolerance > 0 && k.length >= FUZZY_MIN_LENGTH && editDistance(a, k) <= tolerance
+  })
+}
+
+function formatScore(score, max) {
+  return `${score.toFixed(2)} / ${max}`
+}
+
+function totalKeyOf(row) {
+  return ['Total score', 'Total Score', 'TotalScore'].find(k => k in row) || 'Total score'
+}
+
+const round = (v) => Math.round(v * 1000) / 1000
+
+/**
+ * Re-scores every response row.
+ *
+ * Returns
+ * - rows: copies of `responses` with re-scored `[Score]` cells and
+ *   `Total score`, in the same order
+ * - questions: [{ group, type, accepted, checked, changed, gained, lost }]
+ *   for each re-scorable question
+ * - students: [{ row, rescoredRow, formTotal, itemSum, rescoredTotal, diff,
+ *   totalMismatch, changes: [{ group, answer, form, rescored }] }]
+ * - byRow: Map from both the form row and the re-scored row to its student entry
+ */
+export function rescoreResponses(responses, quizGroups, metaMap, rules) {
+  const questions = quizGroups
+    .map(group => {
+      const metaInfo = metaMap[group.normalizedName]
+      const type = metaInfo?.Type
+      return { group, type, metaInfo, accepted: RESCORABLE_TYPES.includes(type) ? acceptedAnswers(metaInfo, rules) : [] }
+    })
+    .filter(q => q.accepted.length)
+    .map(q => ({ ...q, checked: 0, changed: 0, gained: 0, lost: 0 }))
+
+  const byRow = new Map()
+  const students = []
+
+  const rows = responses.map(row => {
+    const totalKey = totalKeyOf(row)
+    const formTotal = extractScoreObj(row[totalKey])
+    const itemSum = quizGroups.reduce((sum, g) => sum + extractScoreObj(row[g.scoreKey]).score, 0)
+    const next = { ...row }
+    const changes = []
+    let delta = 0
+
+    questions.forEach(q => {
+      const form = extractScoreObj(row[q.group.scoreKey])
+      const points = form.max || Number(q.metaInfo?.TotalPoints) || 0
+      if (!points) return
+      let rescored = matchAnswer(row[q.group.questionKey], q.accepted, rules, q.type) ? points : 0
+      if (!rescored && q.type === 'ShortAnswerValidate' && rules.keepValidatedCredit) rescored = form.score
+      q.checked++
+      next[q.group.scoreKey] = formatScore(rescored, points)
+      if (rescored !== form.score) {
+        q.changed++
+        if (rescored > form.score) q.gained++
+        else q.lost++
+        delta += rescored - form.score
+        changes.push({ group: q.group, answer: row[q.group.questionKey], form: form.score, rescored })
+      }
+    })
+
+    const rescoredTotal = round(formTotal.score + delta)
+    if (formTotal.max) next[totalKey] = formatScore(rescoredTotal, formTotal.max)
+
+    const entry = {
+      row,
+      rescoredRow: next,
+      formTotal,
+      itemSum: round(itemSum),
+      rescoredTotal,
+      diff: round(delta),
+      // Form total that does not add up from its own [Score] cells
+      totalMismatch: Math.abs(formTotal.score - itemSum) > 0.001,
+      changes,
+    }
+    students.push(entry)
+    byRow.set(row, entry)
+    byRow.set(next, entry)
+    return next
+  })
+
+  return { rows, questions: questions.map(({ metaInfo, ...q }) => q), students, byRow }
+}
+
+/** Re-scored response rows of a whole dataset ({ responses, meta, questionGroups }). */
+export function rescoreDataset(dataset, rules) {
+  const metaMap = buildMetaMap(dataset.meta)
+  const { quizGroups } = splitGroups(dataset.questionGroups, metaMap)
+  return rescoreResponses(dataset.responses, quizGroups, metaMap, rules).rows
+}
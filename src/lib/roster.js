@@ -0,0 +1,163 @@
+import Papa from 'papaparse'
+import { normalizeKey } from './dataset.js'
+import { SO_KEY, normalizeSO, normalizeName, studentDisplayName } from './history.js'
+import { CONTACT_KEY } from './duplicates.js'
+import { idbGet, idbSet } from './idb.js'
+
+/**
+ * Class rosters: who is enrolled at a location, checked against who
+ * actually submitted in a month.
+ *
+ * A roster is a CSV with an SO number, name, contact and assigned level
+ * column; headers are matched loosely ("SO Number", "Student name",
+ * "Mobile", "Level"). It is served as public/<location>/roster.csv (listed
+ * in the manifest as the location's `roster`) or uploaded, in which case
+ * it is kept in this browser's IndexedDB and takes precedence.
+ *
+ * Roster students are shaped like response rows ({ Name, [SO_KEY],
+ * [CONTACT_KEY] }) so masking and pseudonyms work on them unchanged.
+ */
+
+const IDB_KEY = 'rosters'
+
+const COLUMN_PATTERNS = {
+  so: /\bso\b|identity|roll|student\s*(id|no|number)/i,
+  name: /name/i,
+  contact: /contact|mobile|phone|cell/i,
+  level: /level|class|grade/i,
+}
+
+/** Roster column for each field ({ so, name, contact, level }), or null where none matches. */
+export function detectRosterColumns(headers) {
+  const used = new Set()
+  const out = {}
+  Object.entries(COLUMN_PATTERNS).forEach(([field, pattern]) => {
+    const h = headers.find(x => !used.has(x) && pattern.test(x))
+    out[field] = h ?? null
+    if (h) used.add(h)
+  })
+  return out
+}
+
+/**
+ * Level number for a roster cell: a level label from the manifest ("PB"),
+ * or the number in it ("Level 2", "2"). Null when blank or unknown.
+ */
+export function parseRosterLevel(v, levels) {
+  const s = normalizeKey(v).toLowerCase()
+  if (!s) return null
+  const byLabel = levels.find(l => String(l.label).toLowerCase() === s)
+  if (byLabel) return byLabel.level
+  const m = s.match(/\d+/)
+  return m ? Number(m[0]) : null
+}
+
+/**
+ * Parses roster CSV text. `levels` are the manifest levels ({ level, label }).
+ * Returns { students: [{ row, so, name, level }], columns, skipped }; rows
+ * with neither an SO number nor a name are skipped.
+ * Throws when the file has no SO number or name column.
+ */
+export function parseRoster(text, levels) {
+  const { data, meta } = Papa.parse(text.replace(/^\uFEFF/, ''), { header: true, skipEmptyLines: 'greedy', transformHeader: h => h.trim() })
+  const columns = detectRosterColumns(meta.fields || [])
+  if (!columns.so && !columns.name) throw new Error('The roster needs an SO number or a name column.')
+
+  const students = []
+  let skipped = 0
+  data.forEach(raw => {
+    const cell = key => (key ? normalizeKey(raw[key]) : '')
+    const row = { Name: cell(columns.name), [SO_KEY]: cell(columns.so), [CONTACT_KEY]: cell(columns.contact) }
+    const so = normalizeSO(row[SO_KEY])
+    const name = normalizeName(row.Name)
+    if (!so && !name) {
+      skipped++
+      return
+    }
+    students.push({ row, so, name, level: parseRosterLevel(cell(columns.level), levels) })
+  })
+  return { students, columns, skipped }
+}
+
+/** Uploaded rosters, { [locationId]: { fileName, text, savedAt } }. */
+export async function loadUploadedRosters() {
+  try {
+    return (await idbGet(IDB_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+/** `roster` null forgets the location's uploaded roster. */
+export async function saveUploadedRoster(locationId, roster) {
+  const all = await loadUploadedRosters()
+  if (roster) all[locationId] = { ...roster, savedAt: Date.now() }
+  else delete all[locationId]
+  await idbSet(IDB_KEY, all)
+  return all
+}
+
+/**
+ * Matches roster students with a month's submissions at the location
+ * (`submissions`: [{ level, row }] across every level). Students are matched
+ * by SO number, falling back to the name when the SO number is missing or
+ * not on the roster. Siblings often share an SO number, so when several
+ * roster students share one the name decides.
+ * Submissions at `placementLevel` count as taking part but are not compared
+ * with the assigned level.
+ * Returns {
+ *   enrolled, present,  counts of roster students and those who submitted
+ *   participationRate,  present / enrolled × 100 (null for an empty roster)
+ *   absent,             [roster student] with no submission
+ *   unknown,            [{ level, row }] submissions matching no roster student
+ *   mismatched          [{ student, assigned, sat: [levels] }] sat a different level than assigned
+ * }
+ */
+export function reconcileRoster(roster, submissions, { placementLevel = null } = {}) {
+  const bySO = new Map()
+  const byName = new Map()
+  roster.students.forEach(s => {
+    if (s.so) bySO.set(s.so, [...(bySO.get(s.so) || []), s])
+    if (s.name) byName.set(s.name, [...(byName.get(s.name) || []), s])
+  })
+
+  function match(row) {
+    const so = normalizeSO(row[SO_KEY])
+    const name = normalizeName(row.Name)
+    const sharing = so ? bySO.get(so) || [] : []
+    if (sharing.length === 1) return sharing[0]
+    if (sharing.length > 1) return sharing.find(s => s.name === name) || null
+    const named = byName.get(name) || []
+    return named.length === 1 ? named[0] : null
+  }
+
+  const sat = new Map()
+  const unknown = []
+  submissions.forEach(sub => {
+    const student = match(sub.row)
+    if (!student) {
+      unknown.push(sub)
+      return
+    }
+    if (!sat.has(student)) sat.set(student, new Set())
+    sat.get(student).add(sub.level)
+  })
+
+  const absent = roster.students.filter(s => !sat.has(s))
+  const mismatched = []
+  sat.forEach((levels, student) => {
+    if (student.level === null) return
+    const graded = [...levels].filter(lv => lv !== placementLevel).sort((a, b) => a - b)
+    if (graded.some(lv => lv !== student.level)) mismatched.push({ student, assigned: student.level, sat: graded })
+  })
+
+  const enrolled = roster.students.length
+  return {
+    enrolled,
+    present: sat.size,
+    participationRate: enrolled ? (sat.size / enrolled) * 100 : null,
+    absent,
+    unknown: unknown.sort((a, b) => a.level - b.level || studentDisplayName(a.row).localeCompare(studentDisplayName(b.row))),
+    mismatched,
+  }
+}
@@ -0,0 +1,95 @@
+import { normalizeKey } from './dataset.js'
+
+/**
+ * Scoring rubrics for open-ended questions, read from rubric_levelN.json
+ * next to meta_levelN.csv:
+ *
+ *   { "questions": [{
+ *       "question": "Task: Write a detailed essay",
+ *       "criteria": [
+ *         { "name": "Grammar", "levels": [{ "label": "Few errors", "points": 4 }, { "label": "Many errors", "points": 1 }] }
+ *       ]
+ *   }] }
+ *
+ * `question` is the question text, or enough of its beginning to tell it
+ * apart. A question's score is the sum of the points picked per criterion.
+ */
+
+/**
+ * Parsed rubric: { questions: [{ question, criteria: [{ name, levels, max }], max }] }.
+ * Throws with a readable message when the file is not a usable rubric.
+ */
+export function parseRubric(text) {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch (e) {
+    throw new Error(`Rubric is not valid JSON: ${e.message}`)
+  }
+  if (!Array.isArray(json?.questions)) throw new Error('Rubric needs a "questions" list.')
+
+  const questions = json.questions.map((q, i) => {
+    const label = `Rubric question ${i + 1}`
+    if (!normalizeKey(q?.question)) throw new Error(`${label} has no "question" text.`)
+    if (!Array.isArray(q.criteria) || !q.criteria.length) throw new Error(`${label} has no criteria.`)
+    const criteria = q.criteria.map((c, j) => {
+      if (!normalizeKey(c?.name)) throw new Error(`${label}, criterion ${j + 1} has no name.`)
+      const levels = (Array.isArray(c.levels) ? c.levels : []).map(l => ({ label: normalizeKey(l?.label), points: Number(l?.points) }))
+      if (!levels.length || levels.some(l => !Number.isFinite(l.points) || l.points < 0)) {
+        throw new Error(`Criterion "${c.name}" needs levels with non-negative points.`)
+      }
+      levels.sort((a, b) => b.points - a.points)
+      return { name: normalizeKey(c.name), levels, max: levels[0].points }
+    })
+    return {
+      question: normalizeKey(q.question),
+      criteria,
+      max: criteria.reduce((sum, c) => sum + c.max, 0),
+    }
+  })
+  return { questions }
+}
+
+/** Rubric entry for a question group, or null. Exact text wins over a prefix match. */
+export function rubricFor(rubric, group) {
+  if (!rubric) return null
+  const name = group.normalizedName.toLowerCase()
+  return rubric.questions.find(q => q.question.toLowerCase() === name)
+    || rubric.questions.find(q => name.startsWith(q.question.toLowerCase()))
+    || null
+}
+
+/**
+ * Sum of the picked points, given `picked` as { [criterion name]: points }.
+ * `complete` is false until every criterion has a level.
+ */
+export function rubricScore(entry, picked = {}) {
+  const chosen = entry.criteria.filter(c => picked[c.name] !== undefined && picked[c.name] !== null)
+  return {
+    score: chosen.reduce((sum, c) => sum + Number(picked[c.name]), 0),
+    complete: chosen.length === entry.criteria.length,
+  }
+}
+
+/** Label of the level worth `points` on a criterion. */
+export function levelLabel(criterion, points) {
+  return criterion.levels.find(l => l.points === Number(points))?.label || ''
+}
+
+/**
+ * Cohort average per criterion over rubric-graded responses.
+ * Returns [{ name, average, max, percent, count }].
+ */
+export function criterionAverages(entry, pickedList) {
+  return entry.criteria.map(c => {
+    const values = pickedList.map(p => p?.[c.name]).filter(v => v !== undefined && v !== null).map(Number)
+    const average = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null
+    return {
+      name: c.name,
+      average,
+      max: c.max,
+      percent: average === null || !c.max ? null : (average / c.max) * 100,
+      count: values.length,
+    }
+  })
+}
@@ -0,0 +1,79 @@
+import { extractScoreObj } from './dataset.js'
+
+/**
+ * Section sub-scores from the `Section` / `TotalPoints` columns of the meta CSV.
+ */
+
+// Spelling variants found in the meta files, folded onto one section name
+const SECTION_ALIASES = {
+  grammer: 'Grammar',
+  writting: 'Writing',
+  'reading comprehention': 'Reading Comprehension',
+  vocab: 'Vocabulary',
+}
+
+export const UNSECTIONED = 'Other'
+
+export function canonicalSection(name) {
+  const trimmed = String(name || '').replace(/\s+/g, ' ').trim()
+  if (!trimmed) return UNSECTIONED
+  return SECTION_ALIASES[trimmed.toLowerCase()] || trimmed
+}
+
+export function sectionColumnKey(name) {
+  return `__section__:${name}`
+}
+
+/**
+ * Groups quiz questions by section, in order of first appearance.
+ * Returns [{ name, groups: [{ group, points }], max }].
+ */
+export function buildSections(quizGroups, metaMap) {
+  const sections = []
+  quizGroups.forEach(group => {
+    const metaInfo = metaMap[group.normalizedName]
+    const name = canonicalSection(metaInfo?.Section)
+    let section = sections.find(s => s.name === name)
+    if (!section) {
+      section = { name, groups: [], max: 0 }
+      sections.push(section)
+    }
+    const points = Number(metaInfo?.TotalPoints) || 0
+    section.groups.push({ group, points })
+    section.max += points
+  })
+  return sections
+}
+
+/**
+ * Scores one student on every section. The per-question maximum comes from
+ * the `x / max` score cell, falling back to meta TotalPoints for ungraded
+ * cells such as `-- / 15`.
+ * Returns { [section]: { score, max, percent } }.
+ */
+export function studentSectionScores(row, sections) {
+  const out = {}
+  sections.forEach(section => {
+    let score = 0
+    let max = 0
+    section.groups.forEach(({ group, points }) => {
+      const obj = extractScoreObj(row[group.scoreKey])
+      score += obj.score
+      max += obj.max || points
+    })
+    out[section.name] = { score, max, percent: max ? (score / max) * 100 : null }
+  })
+  return out
+}
+
+/** Average section percentage across students: { [section]: percent|null }. */
+export function cohortSectionAverages(rows, sections, scoresFor) {
+  const out = {}
+  sections.forEach(section => {
+    const pcts = rows
+      .map(r => scoresFor(r)[section.name]?.percent)
+      .filter(p => p !== null && p !== undefined)
+    out[section.name] = pcts.length ? pcts.reduce((a, b) => a + b, 0) / pcts.length : null
+  })
+  return out
+}
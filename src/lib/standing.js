@@ -0,0 +1,91 @@
+import { totalScore } from './dataset.js'
+
+/**
+ * Where a student stands among peers by total %:
+ * - rank: competition rank, highest first ("1, 2, 2, 4")
+ * - percentile: percentile rank, the share of the cohort scoring lower
+ *   plus half of those tied with the student
+ * - z: distance from the cohort mean in standard deviations; null when
+ *   everyone scored the same
+ * The reference cohort is every location's students for the same level and
+ * month, for comparing across centers.
+ */
+
+const REFERENCE_KEY = 'reference-cohort'
+
+export function loadReferenceCohort() {
+  return localStorage.getItem(REFERENCE_KEY) === '1'
+}
+
+export function saveReferenceCohort(on) {
+  localStorage.setItem(REFERENCE_KEY, on ? '1' : '0')
+}
+
+/** Total percentages of the rows that have one. */
+export function cohortPercents(rows) {
+  return rows.map(r => totalScore(r).percent).filter(p => p !== null)
+}
+
+/** Sorted scores with mean and population SD, for standingOf. */
+export function cohortStats(percents) {
+  const sorted = [...percents].sort((a, b) => a - b)
+  const n = sorted.length
+  const mean = n ? sorted.reduce((a, b) => a + b, 0) / n : 0
+  const sd = n ? Math.sqrt(sorted.reduce((a, p) => a + (p - mean) ** 2, 0) / n) : 0
+  return { sorted, n, mean, sd }
+}
+
+// First index in `sorted` whose value is >= v (or > v when `strict`)
+function bound(sorted, v, strict) {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (strict ? sorted[mid] <= v : sorted[mid] < v) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+/** { rank, of, percentile, z } of a total % within a cohort, or null. */
+export function standingOf(percent, stats) {
+  if (percent === null || percent === undefined || !stats.n) return null
+  const below = bound(stats.sorted, percent, false)
+  const notAbove = bound(stats.sorted, percent, true)
+  return {
+    rank: stats.n - notAbove + 1,
+    of: stats.n,
+    percentile: ((below + (notAbove - below) / 2) / stats.n) * 100,
+    z: stats.sd ? (percent - stats.mean) / stats.sd : null,
+  }
+}
+
+/**
+ * Map(row → { rank, of, percentile, z, reference }) over `rows`;
+ * `reference` is the same measured against `referencePercents`, or null
+ * when there is no reference cohort.
+ */
+export function computeStanding(rows, referencePercents = null) {
+  const own = cohortStats(cohortPercents(rows))
+  const ref = referencePercents ? cohortStats(referencePercents) : null
+  const map = new Map()
+  rows.forEach(r => {
+    const { percent } = totalScore(r)
+    const standing = standingOf(percent, own)
+    if (standing) map.set(r, { ...standing, reference: ref ? standingOf(percent, ref) : null })
+  })
+  return map
+}
+
+/** "92nd"-style ordinal for a percentile. */
+export function ordinal(n) {
+  const v = Math.round(n)
+  const tens = v % 100
+  if (tens >= 11 && tens <= 13) return `${v}th`
+  return `${v}${['th', 'st', 'nd', 'rd'][v % 10] || 'th'}`
+}
+
+export function formatZ(z) {
+  if (z === null || z === undefined) return null
+  return `${z > 0 ? '+' : ''}${z.toFixed(2)}`
+}
@@ -0,0 +1,175 @@
+import { parseTimestamp, timestampOffset, timestampOrder, totalScore } from './dataset.js'
+import { scoreDistribution } from './analytics.js'
+
+/**
+ * Submission timeline of one dataset: when students submitted, the test
+ * sessions (sittings) those submissions fall into, and which submissions
+ * lie outside the exam window. Times are shown in the form's own timezone
+ * (the "GMT+5" in its timestamps), whatever the browser's timezone is.
+ */
+
+const WINDOWS_KEY = 'exam-windows'
+
+// Submissions further apart than this start a new session
+export const DEFAULT_SESSION_GAP = 90
+
+const HOUR = 3600000
+const DAY = 24 * HOUR
+const WEEK = 7 * DAY
+
+/** Saved exam windows: { [datasetKey]: { start, end } } as "YYYY-MM-DDTHH:mm" in the form's timezone. */
+export function loadExamWindows() {
+  try {
+    return JSON.parse(localStorage.getItem(WINDOWS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+export function saveExamWindows(windows) {
+  localStorage.setItem(WINDOWS_KEY, JSON.stringify(windows))
+}
+
+/** "YYYY-MM-DDTHH:mm" wall time in a zone `offset` minutes from UTC. */
+export function toLocalInput(ms, offset) {
+  return new Date(ms + offset * 60000).toISOString().slice(0, 16)
+}
+
+/** Epoch ms of a "YYYY-MM-DDTHH:mm" wall time, or null. */
+export function fromLocalInput(value, offset) {
+  if (!value) return null
+  const t = Date.parse(`${value}:00Z`)
+  return Number.isNaN(t) ? null : t - offset * 60000
+}
+
+/** Readable wall time, e.g. "11 Mar 2026, 14:05". */
+export function formatTime(ms, offset, withDate = true) {
+  const d = new Date(ms + offset * 60000)
+  const time = `${String(d.getUTCHours()).padStart(2, '0')}:${String(d.getUTCMinutes()).padStart(2, '0')}`
+  if (!withDate) return time
+  const date = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+  return `${date}, ${time}`
+}
+
+export function formatOffset(offset) {
+  if (!offset) return 'UTC'
+  const abs = Math.abs(offset)
+  return `GMT${offset < 0 ? '-' : '+'}${Math.floor(abs / 60)}${abs % 60 ? `:${String(abs % 60).padStart(2, '0')}` : ''}`
+}
+
+function average(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null
+}
+
+/**
+ * Submission counts per hour, or per day when the submissions span more
+ * than two days (per week past two months): [{ start, label, inWindow, outside }].
+ */
+function buckets(points, offset, isInside) {
+  if (!points.length) return []
+  const first = points[0].time
+  const last = points[points.length - 1].time
+  const span = last - first
+  const size = span > 60 * DAY ? WEEK : span > 2 * DAY ? DAY : HOUR
+  // Align buckets to the form's wall clock
+  const floor = (t) => Math.floor((t + offset * 60000) / size) * size - offset * 60000
+  const out = []
+  for (let start = floor(first); start <= last; start += size) {
+    out.push({
+      start,
+      label: size === HOUR
+        ? formatTime(start, offset)
+        : `${size === WEEK ? 'Week of ' : ''}${new Date(start + offset * 60000).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' })}`,
+      inWindow: 0,
+      outside: 0,
+    })
+  }
+  points.forEach(p => {
+    const bucket = out[Math.floor((p.time - out[0].start) / size)]
+    if (isInside(p.time)) bucket.inWindow++
+    else bucket.outside++
+  })
+  return out
+}
+
+/**
+ * Builds the timeline.
+ *
+ * - gapMinutes: a pause longer than this starts a new session
+ * - examWindow: { start, end } in epoch ms (either may be null)
+ * - sectionScoresFor(row): section scores, for per-session section averages
+ * - isPassing(row): for per-session pass rates
+ *
+ * Returns { offset, points: [{ row, time }], unparsed, sessions, outside,
+ * buckets } where each session is { index, start, end, rows, average,
+ * passRate, distribution, sections } and `outside` lists
+ * { row, time, before, after } for submissions outside the window.
+ */
+export function buildTimeline(rows, { gapMinutes = DEFAULT_SESSION_GAP, examWindow = {}, sectionScoresFor, isPassing } = {}) {
+  const order = timestampOrder(rows.map(r => r.Timestamp))
+  const points = []
+  const unparsed = []
+  rows.forEach(row => {
+    const time = parseTimestamp(row.Timestamp, order)
+    if (time === null) unparsed.push(row)
+    else points.push({ row, time })
+  })
+  points.sort((a, b) => a.time - b.time)
+
+  // The most common written offset is the form's timezone
+  const offsets = new Map()
+  rows.forEach(r => {
+    const o = timestampOffset(r.Timestamp)
+    if (o !== null) offsets.set(o, (offsets.get(o) || 0) + 1)
+  })
+  const offset = [...offsets.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0
+
+  const sessions = []
+  const gap = Math.max(1, Number(gapMinutes) || DEFAULT_SESSION_GAP) * 60000
+  points.forEach((p, i) => {
+    if (i === 0 || p.time - points[i - 1].time > gap) sessions.push({ start: p.time, points: [] })
+    const session = sessions[sessions.length - 1]
+    session.points.push(p)
+    session.end = p.time
+  })
+
+  const start = examWindow.start ?? null
+  const end = examWindow.end ?? null
+  const isInside = (t) => (start === null || t >= start) && (end === null || t <= end)
+
+  return {
+    offset,
+    points,
+    unparsed,
+    sessions: sessions.map((s, i) => {
+      const sessionRows = s.points.map(p => p.row)
+      const percents = sessionRows.map(r => totalScore(r).percent).filter(p => p !== null)
+      const sections = {}
+      if (sectionScoresFor) {
+        sessionRows.forEach(r => {
+          Object.entries(sectionScoresFor(r) || {}).forEach(([name, v]) => {
+            if (v?.percent === null || v?.percent === undefined) return
+            ;(sections[name] = sections[name] || []).push(v.percent)
+          })
+        })
+        Object.keys(sections).forEach(name => { sections[name] = average(sections[name]) })
+      }
+      return {
+        index: i + 1,
+        start: s.start,
+        end: s.end,
+        rows: sessionRows,
+        average: average(percents),
+        passRate: isPassing && sessionRows.length
+          ? (sessionRows.filter(r => isPassing(r)).length / sessionRows.length) * 100
+          : null,
+        distribution: scoreDistribution(sessionRows),
+        sections,
+      }
+    }),
+    outside: points
+      .filter(p => !isInside(p.time))
+      .map(p => ({ ...p, before: start !== null && p.time < start, after: end !== null && p.time > end })),
+    buckets: buckets(points, offset, isInside),
+  }
+}
@@ -0,0 +1,85 @@
+import { SO_KEY, normalizeSO, normalizeName } from './history.js'
+import { attemptId } from './duplicates.js'
+
+/**
+ * View state mirrored in the query string so links can be shared:
+ * ?location=AliJiwani&month=March26&level=3&q=ali&sort=Total+score&dir=asc&page=2&size=24&view=items&student=krmku0102.ali-khan
+ * Parameters at their default value are left out.
+ */
+
+export const URL_DEFAULTS = { search: '', sortBy: 'Total score', sortDir: 'desc', page: 1, pageSize: 12, view: 'students' }
+
+const PAGE_SIZES = [8, 12, 24]
+
+// Page size that shows every row in one scrolling table
+export const ALL_ROWS = 'all'
+
+/**
+ * Stable reference to a student for links: normalised Identity Number plus
+ * name, since siblings often share an Identity Number; else the attempt id.
+ */
+export function studentParam(row) {
+  const so = normalizeSO(row[SO_KEY])
+  if (!so) return attemptId(row)
+  const name = normalizeName(row.Name).replace(/\s+/g, '-')
+  return name ? `${so}.${name}` : so
+}
+
+/**
+ * Latest matching row for a `student` parameter, or null. `alias(row)`
+ * gives another accepted reference, such as the privacy-mode pseudonym.
+ * A bare Identity Number (older links) still matches when only one
+ * student has it.
+ */
+export function findStudent(rows, param, alias) {
+  let matches = rows.filter(r => studentParam(r) === param || alias?.(r) === param)
+  if (!matches.length) {
+    matches = rows.filter(r => normalizeSO(r[SO_KEY]) === param)
+    if (new Set(matches.map(r => normalizeName(r.Name))).size > 1) return null
+  }
+  return matches[matches.length - 1] || null
+}
+
+function intParam(params, key) {
+  const v = Number(params.get(key))
+  return Number.isInteger(v) && v > 0 ? v : null
+}
+
+/**
+ * State requested by the current URL. Selection fields are null when absent;
+ * the rest fall back to URL_DEFAULTS.
+ */
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search)
+  const level = params.get('level')
+  const pageSize = params.get('size') === ALL_ROWS ? ALL_ROWS : intParam(params, 'size')
+  return {
+    location: params.get('location'),
+    month: params.get('month'),
+    level: level !== null && level !== '' && !Number.isNaN(Number(level)) ? Number(level) : null,
+    search: params.get('q') || URL_DEFAULTS.search,
+    sortBy: params.get('sort') || URL_DEFAULTS.sortBy,
+    sortDir: params.get('dir') === 'asc' ? 'asc' : URL_DEFAULTS.sortDir,
+    page: intParam(params, 'page') || URL_DEFAULTS.page,
+    pageSize: PAGE_SIZES.includes(pageSize) || pageSize === ALL_ROWS ? pageSize : URL_DEFAULTS.pageSize,
+    view: params.get('view') || URL_DEFAULTS.view,
+    student: params.get('student'),
+  }
+}
+
+/** Query string ("?…" or "") for a state object shaped like readUrlState's result. */
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams()
+  if (state.location) params.set('location', state.location)
+  if (state.month) params.set('month', state.month)
+  if (state.level !== null && state.level !== undefined) params.set('level', state.level)
+  if (state.search) params.set('q', state.search)
+  if (state.sortBy !== URL_DEFAULTS.sortBy) params.set('sort', state.sortBy)
+  if (state.sortDir !== URL_DEFAULTS.sortDir) params.set('dir', state.sortDir)
+  if (state.page !== URL_DEFAULTS.page) params.set('page', state.page)
+  if (state.pageSize !== URL_DEFAULTS.pageSize) params.set('size', state.pageSize)
+  if (state.view !== URL_DEFAULTS.view) params.set('view', state.view)
+  if (state.student) params.set('student', state.student)
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
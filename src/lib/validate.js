@@ -0,0 +1,155 @@
+import { extractScoreObj, normalizeKey, isHTMLText, looksLikeCSV } from './dataset.js'
+import { canonicalSection } from './sections.js'
+import { rubricFor } from './rubric.js'
+
+/**
+ * Data quality checks run on every load. Each issue is
+ * { severity: 'error'|'warning', code, message, file, row, column };
+ * `row` is the record number in the CSV, counting the header as 1.
+ */
+
+export const KNOWN_TYPES = ['PI', 'MCQ', 'ShortAnswer', 'ShortAnswerValidate', 'Paragraph']
+
+const TOTAL_KEYS = ['Total score', 'Total Score', 'TotalScore']
+const TOTAL_PATTERN = /^\s*[\d.]+\s*\/\s*[\d.]+\s*$/
+
+function issue(severity, code, message, { file = null, row = null, column = null } = {}) {
+  return { severity, code, message, file, row, column }
+}
+
+/** Issue for a level that could not be loaded at all. */
+export function loadFailureIssue(error, file) {
+  const html = /HTML/.test(error.message)
+  return issue('error', html ? 'html-instead-of-csv' : 'load-failed', error.message, { file })
+}
+
+function parseIssues(errors, file) {
+  return (errors || []).map(e => issue(
+    'warning',
+    'csv-parse',
+    `CSV parse problem: ${e.message}`,
+    { file, row: e.row !== undefined ? e.row + 2 : null }
+  ))
+}
+
+/**
+ * Checks a parsed dataset against its meta file.
+ * `metaText` is the raw meta text (null when there is no meta file).
+ */
+export function validateDataset(dataset, { responsePath, metaPath, metaText }) {
+  const { responses, meta, headers, questionGroups, parseErrors } = dataset
+  const issues = []
+
+  issues.push(...parseIssues(parseErrors?.response, responsePath))
+  issues.push(...parseIssues(parseErrors?.meta, metaPath))
+
+  // --- Meta file itself ---
+  if (metaText === null || metaText === undefined) {
+    issues.push(issue('warning', 'meta-missing', 'No meta file; sections, question types and answer keys are unavailable.', { file: metaPath }))
+  } else if (isHTMLText(metaText)) {
+    issues.push(issue('error', 'html-instead-of-csv', 'Meta file is an HTML page, not CSV. It was ignored.', { file: metaPath }))
+  } else if (!looksLikeCSV(metaText)) {
+    issues.push(issue('error', 'meta-invalid', 'Meta file does not look like CSV. It was ignored.', { file: metaPath }))
+  }
+
+  // --- Meta rows that match no response header ---
+  const headerKeys = new Set(headers.map(h => normalizeKey(h)))
+  const metaKeys = new Set()
+  meta.forEach((m, i) => {
+    const key = normalizeKey(m.Question)
+    const row = i + 2
+    if (!key) {
+      issues.push(issue('warning', 'meta-empty-question', 'Meta row has no Question text.', { file: metaPath, row, column: 'Question' }))
+      return
+    }
+    if (metaKeys.has(key)) {
+      issues.push(issue('warning', 'meta-duplicate', `Question "${key}" appears more than once in the meta file; the last row wins.`, { file: metaPath, row, column: 'Question' }))
+    }
+    metaKeys.add(key)
+    if (!headerKeys.has(key)) {
+      issues.push(issue('warning', 'meta-unmatched', `Question "${key}" does not match any response column.`, { file: metaPath, row, column: 'Question' }))
+    }
+    if (m.Type && !KNOWN_TYPES.includes(m.Type.trim())) {
+      issues.push(issue('warning', 'meta-unknown-type', `Unknown question type "${m.Type}".`, { file: metaPath, row, column: 'Type' }))
+    }
+    const section = normalizeKey(m.Section)
+    if (section && canonicalSection(section) !== section) {
+      issues.push(issue('warning', 'section-spelling', `Section "${section}" is read as "${canonicalSection(section)}".`, { file: metaPath, row, column: 'Section' }))
+    }
+  })
+
+  // --- Questions without a meta row, and point mismatches ---
+  const metaRowIndex = new Map(meta.map((m, i) => [normalizeKey(m.Question), i]))
+  if (meta.length) {
+    questionGroups.forEach(g => {
+      const i = metaRowIndex.get(g.normalizedName)
+      if (i === undefined) {
+        issues.push(issue('warning', 'question-without-meta', `Question "${g.normalizedName}" has no meta row; its section and type are guessed.`, { file: responsePath, column: g.scoreKey }))
+        return
+      }
+      const points = Number(meta[i].TotalPoints)
+      const maxima = new Set(responses.map(r => extractScoreObj(r[g.scoreKey]).max).filter(Boolean))
+      maxima.forEach(max => {
+        if (Number.isFinite(points) && max !== points) {
+          issues.push(issue('warning', 'points-mismatch', `TotalPoints is ${meta[i].TotalPoints} but the form scores "${g.normalizedName}" out of ${max}.`, { file: metaPath, row: i + 2, column: 'TotalPoints' }))
+        }
+      })
+    })
+  }
+
+  // --- Total score ---
+  const totalKey = TOTAL_KEYS.find(k => headers.includes(k))
+  if (!totalKey) {
+    issues.push(issue('error', 'total-missing', 'Response file has no "Total score" column.', { file: responsePath }))
+  } else {
+    responses.forEach((r, i) => {
+      if (!TOTAL_PATTERN.test(String(r[totalKey] || ''))) {
+        issues.push(issue('error', 'total-unparsable', `Total score "${r[totalKey] || ''}" is not of the form "score / max".`, { file: responsePath, row: i + 2, column: totalKey }))
+      }
+    })
+  }
+
+  return issues
+}
+
+/**
+ * Checks an optional rubric file: it must parse (`error` is the parse
+ * failure), name real questions and add up to each question's TotalPoints.
+ */
+export function validateRubric(dataset, { rubricPath, error }) {
+  if (error) return [issue('warning', 'rubric-invalid', `${error.message} The rubric was ignored.`, { file: rubricPath })]
+  const { rubric, questionGroups, meta } = dataset
+  if (!rubric) return []
+  const issues = []
+  rubric.questions.forEach((q, i) => {
+    const group = questionGroups.find(g => rubricFor({ questions: [q] }, g))
+    if (!group) {
+      issues.push(issue('warning', 'rubric-unmatched', `Rubric question "${q.question}" does not match any question.`, { file: rubricPath, row: i + 1 }))
+      return
+    }
+    const points = Number(meta.find(m => normalizeKey(m.Question) === group.normalizedName)?.TotalPoints)
+    if (Number.isFinite(points) && points > 0 && points !== q.max) {
+      issues.push(issue('warning', 'rubric-points-mismatch', `Rubric criteria for "${q.question}" add up to ${q.max} but TotalPoints is ${points}.`, { file: rubricPath, row: i + 1 }))
+    }
+  })
+  return issues
+}
+
+export function issueCounts(issues) {
+  return {
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+  }
+}
+
+/** Flat rows for the exported report. */
+export function issueReportRows(issues) {
+  return issues.map(i => ({
+    Severity: i.severity,
+    Check: i.code,
+    File: i.file || '',
+    Row: i.row ?? '',
+    Column: i.column || '',
+    Message: i.message,
+  }))
+}
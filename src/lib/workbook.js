@@ -0,0 +1,163 @@
+import * as XLSX from 'xlsx'
+import { totalScore } from './dataset.js'
+import { SO_KEY, studentDisplayName } from './history.js'
+import { CONTACT_KEY } from './duplicates.js'
+import { downloadBlob } from './download.js'
+import { anonymizeRow, pseudonym } from './privacy.js'
+
+/**
+ * Excel export of one level: Summary, Students, Questions and Raw sheets.
+ * Numbers are written as numbers; percentages as fractions with a % format.
+ */
+
+const PERCENT = '0.0%'
+const DECIMAL = '0.00'
+
+function num(v, z) {
+  if (v === null || v === undefined || Number.isNaN(Number(v))) return { t: 's', v: '' }
+  return z ? { t: 'n', v: Number(v), z } : { t: 'n', v: Number(v) }
+}
+
+// Dashboard percentages are 0–100
+function pct(v) {
+  return v === null || v === undefined ? { t: 's', v: '' } : num(v / 100, PERCENT)
+}
+
+function sheet(rows, widths) {
+  const ws = XLSX.utils.aoa_to_sheet(rows)
+  if (widths) ws['!cols'] = widths.map(wch => ({ wch }))
+  return ws
+}
+
+/**
+ * `ctx` is { locationLabel, monthLabel, levelLabel, scoreSource, analytics,
+ * policy (resolved), rows, allRows, headers, sections, sectionScoresByRow,
+ * gradeByRow, standingByRow, hasReference, placementByRow, placementLabel,
+ * items, anonymize }. `rows` are the students to list (the filtered table);
+ * `hasReference` adds standing among all centers. `placementByRow` (null
+ * outside the placement test) adds recommended levels, named by
+ * `placementLabel`. `anonymize` ({ piiKeys, salt }) swaps personal columns
+ * for the student's pseudonym.
+ */
+export function buildWorkbook(ctx) {
+  const wb = XLSX.utils.book_new()
+  const { analytics, policy } = ctx
+  const hasGrades = policy.gradeBands.length > 0
+  const anon = ctx.anonymize
+  const placements = ctx.placementByRow
+
+  // --- Summary ---
+  const summary = [
+    ['Location', ctx.locationLabel],
+    ['Month', ctx.monthLabel],
+    ['Level', ctx.levelLabel],
+    ['Scores', ctx.scoreSource === 'rescored' ? 'Re-scored from answer key' : 'Form scores'],
+    ...(anon ? [['Personal data', 'Removed; students are identified by pseudonym']] : []),
+    ['Exported students', num(ctx.rows.length)],
+    [],
+    ['Total students', num(analytics.totalStudents)],
+    ['Average score', pct(analytics.avg)],
+    ['Pass count', num(analytics.passCount)],
+    ['Pass rate', pct(analytics.passRate)],
+    ['Lowest score', pct(analytics.min)],
+    ['Highest score', pct(analytics.max)],
+    [],
+    ['Grading policy'],
+    ['Pass mark', pct(policy.passMark)],
+    ...[...policy.gradeBands]
+      .sort((a, b) => Number(b.min) - Number(a.min))
+      .map(b => [`Grade ${b.grade}`, pct(Number(b.min))]),
+    ...Object.entries(policy.sectionMinimums).map(([name, min]) => [`Minimum in ${name}`, pct(Number(min))]),
+    ...(placements ? placementSummary(ctx.rows, placements, ctx.placementLabel) : []),
+  ]
+  XLSX.utils.book_append_sheet(wb, sheet(summary, [24, 36]), 'Summary')
+
+  // --- Students ---
+  const studentHeader = [
+    ...(anon ? ['Pseudonym'] : ['Name', 'Identity Number', 'Username', 'Contact']),
+    'Submitted', 'Score', 'Max', 'Percent', 'Status',
+    ...(hasGrades ? ['Grade'] : []),
+    ...(placements ? ['Placement', 'Needs review'] : []),
+    'Rank', 'Percentile', 'Z-score',
+    ...(ctx.hasReference ? ['Rank (all centers)', 'Percentile (all centers)'] : []),
+    ...ctx.sections.map(sec => `${sec.name} %`),
+  ]
+  const students = ctx.rows.map(r => {
+    const total = totalScore(r)
+    const result = ctx.gradeByRow.get(r)
+    const sectionScores = ctx.sectionScoresByRow.get(r) || {}
+    const standing = ctx.standingByRow.get(r)
+    return [
+      ...(anon ? [pseudonym(r, anon.salt)] : [studentDisplayName(r), r[SO_KEY] || '', r.Username || '', r[CONTACT_KEY] || '']),
+      r.Timestamp || '',
+      num(total.score, DECIMAL),
+      num(total.max),
+      pct(total.percent),
+      result?.status || '',
+      ...(hasGrades ? [result?.grade || ''] : []),
+      ...(placements ? placementCells(placements.get(r), ctx.placementLabel) : []),
+      num(standing?.rank),
+      num(standing && Math.round(standing.percentile)),
+      num(standing?.z, DECIMAL),
+      ...(ctx.hasReference ? [num(standing?.reference?.rank), num(standing?.reference && Math.round(standing.reference.percentile))] : []),
+      ...ctx.sections.map(sec => pct(sectionScores[sec.name]?.percent)),
+    ]
+  })
+  XLSX.utils.book_append_sheet(wb, sheet([studentHeader, ...students], [...(anon ? [12] : [28, 18, 28, 18]), 26, 8, 6, 9, 8]), 'Students')
+
+  // --- Questions ---
+  const questions = ctx.items.map(i => [
+    num(i.index),
+    i.group.baseName.trim(),
+    i.section,
+    i.type,
+    i.correct || '',
+    num(i.max),
+    pct(i.facility),
+    num(i.discrimination, DECIMAL),
+    num(i.pointBiserial, DECIMAL),
+    pct(i.blankRate),
+    i.flags.join('; '),
+  ])
+  XLSX.utils.book_append_sheet(wb, sheet([
+    ['#', 'Question', 'Section', 'Type', 'Correct answer', 'Points', 'Facility', 'Discrimination', 'Point-biserial', 'Blank', 'Flags'],
+    ...questions,
+  ], [4, 60, 20, 18, 24, 7, 9, 13, 12, 8, 30]), 'Questions')
+
+  // --- Raw responses, every form column as exported by Google Forms ---
+  const rawHeaders = anon ? ['Pseudonym', ...ctx.headers.filter(h => !anon.piiKeys.has(h))] : ctx.headers
+  const raw = ctx.rows.map(r => {
+    const row = anon ? anonymizeRow(r, anon.piiKeys, anon.salt) : r
+    return rawHeaders.map(h => row[h] ?? '')
+  })
+  XLSX.utils.book_append_sheet(wb, sheet([rawHeaders, ...raw]), 'Raw responses')
+
+  return wb
+}
+
+// Students placed into each level among the exported rows
+function placementSummary(rows, placements, label) {
+  const counts = new Map()
+  let review = 0
+  rows.forEach(r => {
+    const p = placements.get(r)
+    if (!p) return
+    counts.set(p.level, (counts.get(p.level) || 0) + 1)
+    if (p.review) review++
+  })
+  return [
+    [],
+    ['Placement'],
+    ...[...counts.entries()].sort((a, b) => a[0] - b[0]).map(([lv, n]) => [label(lv), num(n)]),
+    ['Needs review', num(review)],
+  ]
+}
+
+function placementCells(p, label) {
+  return p ? [label(p.level), p.review ? 'Yes' : ''] : ['', '']
+}
+
+export function downloadWorkbook(wb, filename) {
+  const data = XLSX.write(wb, { bookType: 'xlsx', type: 'array' })
+  downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename)
+}
@@ -0,0 +1,21 @@
+import { parseLevelTexts } from './datasetParser.js'
+import { analyzeItems } from './itemAnalysis.js'
+import { scoreDistribution } from './analytics.js'
+import { compareLocations } from './compare.js'
+
+/**
+ * Work that runs in the parser worker (see runInWorker in loader.js), by
+ * name. Jobs and results must survive structured cloning. Results looked
+ * up per row object (grades, standing, placement, section scores) stay on
+ * the main thread, since rows copied back from the worker would not match.
+ */
+export const WORKER_TASKS = {
+  parse: parseLevelTexts,
+  // Item analysis and score distribution of a level's final responses
+  levelStats: ({ responses, quizGroups, metaMap }) => ({
+    items: analyzeItems(responses, quizGroups, metaMap),
+    distribution: scoreDistribution(responses),
+  }),
+  // compareLocations over the datasets of the compared month and level
+  compare: ({ datasets, options }) => compareLocations(datasets, options),
+}